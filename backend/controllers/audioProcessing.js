@@ -0,0 +1,340 @@
+// controllers/audioProcessing.js
+
+const ffmpeg = require("fluent-ffmpeg");
+const ffmpegPath = require("ffmpeg-static");
+const ffprobePath = require("@ffprobe-installer/ffprobe").path;
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+ffmpeg.setFfprobePath(ffprobePath);
+
+// Uploads recorded with separate channels put the microphone on the left and the tab on the right
+const CHANNEL_LAYOUTS = ["mono", "local-remote"];
+const SPEAKER_CHANNELS = [
+  { speaker: "Local", channel: "FL" },
+  { speaker: "Remote", channel: "FR" },
+];
+
+// Builds a unique temporary file path. The prefix is kept apart from the files transcribe() writes.
+const tempPath = (name) =>
+  path.join(os.tmpdir(), `ffmpeg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${name}`);
+
+// Removes temporary files, ignoring ones that are already gone
+const removeFiles = (files) => {
+  for (const file of files) {
+    try {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    } catch (error) {
+      console.warn(`AUDIO_LOG: Failed to clean up temporary file ${file}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Splits a stereo recording into one mono track per speaker.
+ * @param {Buffer} audioBuffer - A two-channel recording, microphone left and tab audio right.
+ * @returns {Promise<Array<{speaker: string, buffer: Buffer}>>} The 'Local' and 'Remote' tracks as mono WebM/Opus.
+ */
+const splitSpeakerChannels = async (audioBuffer) => {
+  const inputPath = tempPath("input.webm");
+  const outputs = SPEAKER_CHANNELS.map(({ speaker, channel }) => ({
+    speaker,
+    channel,
+    file: tempPath(`${speaker.toLowerCase()}.webm`),
+  }));
+
+  try {
+    fs.writeFileSync(inputPath, audioBuffer);
+
+    await new Promise((resolve, reject) => {
+      // channelsplit leaves each output tagged with its source position, so re-tag it as mono for the encoder
+      const command = ffmpeg(inputPath).complexFilter([
+        `[0:a]channelsplit=channel_layout=stereo${outputs.map((o) => `[${o.channel}]`).join("")}`,
+        ...outputs.map((o) => `[${o.channel}]aformat=channel_layouts=mono[${o.speaker}]`),
+      ]);
+      for (const output of outputs) {
+        command
+          .output(output.file)
+          .outputOptions(["-map", `[${output.speaker}]`, "-c:a", "libopus", "-b:a", "48k"]);
+      }
+      command.on("end", resolve).on("error", reject).run();
+    });
+
+    console.log("AUDIO_LOG: Split recording into Local and Remote tracks.");
+    return outputs.map((output) => ({
+      speaker: output.speaker,
+      buffer: fs.readFileSync(output.file),
+    }));
+  } finally {
+    removeFiles([inputPath, ...outputs.map((output) => output.file)]);
+  }
+};
+
+// Preprocessing before transcription. Stretches quieter than SILENCE_NOISE_DB for at least
+// SILENCE_MIN_SECONDS are cut out (Whisper tends to invent text for them), keeping SILENCE_PADDING_SECONDS
+// of each edge so words are not clipped.
+const TRANSCRIPTION_SAMPLE_RATE = 16000;
+const SILENCE_NOISE_DB = -45;
+const SILENCE_MIN_SECONDS = 2;
+const SILENCE_PADDING_SECONDS = 0.3;
+// Chunks with less sound than this are treated as silent and not transcribed
+const MIN_SPEECH_SECONDS = 0.5;
+// Less trimmable silence than this is not worth a cut
+const MIN_TRIM_SECONDS = 1;
+
+// Reads silencedetect's log into [{start, end}] intervals, closing an open one at `durationSeconds`
+const parseSilences = (stderr, durationSeconds) => {
+  const silences = [];
+  let start = null;
+  for (const line of stderr.split("\n")) {
+    const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+    if (startMatch) start = Math.max(0, parseFloat(startMatch[1]));
+    const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+    if (endMatch && start !== null) {
+      silences.push({ start, end: parseFloat(endMatch[1]) });
+      start = null;
+    }
+  }
+  if (start !== null) silences.push({ start, end: durationSeconds });
+  return silences;
+};
+
+// The parts of [0, durationSeconds] outside the silences, padded into them and merged where they touch
+const speechIntervals = (silences, durationSeconds) => {
+  const intervals = [];
+  let cursor = 0;
+  for (const silence of [...silences, { start: durationSeconds, end: durationSeconds }]) {
+    if (silence.start > cursor) {
+      const start = Math.max(0, cursor - SILENCE_PADDING_SECONDS);
+      const end = Math.min(durationSeconds, silence.start + SILENCE_PADDING_SECONDS);
+      const last = intervals[intervals.length - 1];
+      if (last && start <= last.end) {
+        last.end = end;
+      } else {
+        intervals.push({ start, end });
+      }
+    }
+    cursor = Math.max(cursor, silence.end);
+  }
+  return intervals;
+};
+
+/**
+ * Prepares audio for transcription: finds long silent stretches, cuts them out, and converts what
+ * is left to 16kHz mono with normalized loudness.
+ * @param {Buffer} audioBuffer - The audio of one chunk (or one speaker's track of it).
+ * @param {number} durationSeconds - Its length, from ffprobe.
+ * @returns {Promise<{silent: boolean, buffer?: Buffer, durationSeconds: number, trimmedSeconds: number, timeMap: Array<{start: number, sourceStart: number, length: number}>}>}
+ * `silent` chunks have no buffer and should not be transcribed. `timeMap` lists where each kept
+ * stretch of the output came from in the input, for toSourceTime().
+ */
+const preprocessAudio = async (audioBuffer, durationSeconds) => {
+  const inputPath = tempPath("raw_input");
+  const outputPath = tempPath("prepared.webm");
+
+  try {
+    fs.writeFileSync(inputPath, audioBuffer);
+
+    const stderr = await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioFilters([
+          "aformat=channel_layouts=mono",
+          `silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${SILENCE_MIN_SECONDS}`,
+        ])
+        .format("null")
+        .output("-")
+        .on("end", (stdout, log) => resolve(log || ""))
+        .on("error", reject)
+        .run();
+    });
+
+    const duration = Number(durationSeconds) || 0;
+    const intervals = speechIntervals(parseSilences(stderr, duration), duration);
+    const keptSeconds = intervals.reduce((sum, interval) => sum + interval.end - interval.start, 0);
+    const trimmedSeconds = Math.max(0, duration - keptSeconds);
+
+    if (keptSeconds < MIN_SPEECH_SECONDS) {
+      console.log(`AUDIO_LOG: Chunk of ${duration.toFixed(1)}s is silent.`);
+      return { silent: true, durationSeconds: duration, trimmedSeconds: duration, timeMap: [] };
+    }
+
+    const cut = trimmedSeconds >= MIN_TRIM_SECONDS;
+    const kept = cut ? intervals : [{ start: 0, end: duration }];
+    const filters = [];
+    if (cut) {
+      const ranges = kept.map((i) => `between(t,${i.start.toFixed(3)},${i.end.toFixed(3)})`).join("+");
+      filters.push(`aselect='${ranges}'`, "asetpts=N/SR/TB");
+    }
+    filters.push(
+      "aformat=channel_layouts=mono",
+      "loudnorm=I=-16:TP=-1.5:LRA=11",
+      // loudnorm works at 192kHz internally
+      `aresample=${TRANSCRIPTION_SAMPLE_RATE}`
+    );
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioFilters(filters)
+        .outputOptions(["-ac", "1", "-ar", String(TRANSCRIPTION_SAMPLE_RATE), "-c:a", "libopus", "-b:a", "32k"])
+        .output(outputPath)
+        .on("end", resolve)
+        .on("error", reject)
+        .run();
+    });
+
+    const timeMap = [];
+    let position = 0;
+    for (const interval of kept) {
+      timeMap.push({ start: position, sourceStart: interval.start, length: interval.end - interval.start });
+      position += interval.end - interval.start;
+    }
+
+    console.log(
+      `AUDIO_LOG: Prepared ${duration.toFixed(1)}s of audio, trimmed ${cut ? trimmedSeconds.toFixed(1) : 0}s of silence.`
+    );
+    return {
+      silent: false,
+      buffer: fs.readFileSync(outputPath),
+      durationSeconds: duration,
+      trimmedSeconds: cut ? trimmedSeconds : 0,
+      timeMap,
+    };
+  } finally {
+    removeFiles([inputPath, outputPath]);
+  }
+};
+
+/**
+ * Maps a time in preprocessed audio back to the audio it was made from.
+ * @param {number} seconds - A time in the preprocessed audio, e.g. a Whisper segment's start.
+ * @param {Array<{start: number, sourceStart: number, length: number}>} [timeMap] - From preprocessAudio(); no map means no cut.
+ * @returns {number} The time in the original audio.
+ */
+const toSourceTime = (seconds, timeMap) => {
+  if (!timeMap || timeMap.length === 0) return seconds;
+  const entry = timeMap.find((e) => seconds < e.start + e.length) || timeMap[timeMap.length - 1];
+  return entry.sourceStart + Math.min(Math.max(seconds - entry.start, 0), entry.length);
+};
+
+/**
+ * Plans how a recording is cut into overlapping segments. Each segment starts `overlapSeconds`
+ * before the previous one ends, and owns the audio up to the middle of each overlap, so the
+ * owned ranges line up end to end without gaps or repeats.
+ * @param {number} durationSeconds - The length of the recording.
+ * @param {number} segmentSeconds - The longest a segment may be, overlap included.
+ * @param {number} overlapSeconds - How much consecutive segments share.
+ * @returns {Array<{index: number, startSeconds: number, durationSeconds: number, keepFromSeconds: number, keepUntilSeconds: number}>}
+ * `keepFromSeconds` and `keepUntilSeconds` are the owned range, relative to the start of the segment.
+ */
+const planSegments = (durationSeconds, segmentSeconds, overlapSeconds) => {
+  const step = segmentSeconds - overlapSeconds;
+  const segments = [];
+  for (let start = 0; start < durationSeconds; start += step) {
+    const length = Math.min(segmentSeconds, durationSeconds - start);
+    const first = start === 0;
+    const last = start + length >= durationSeconds;
+    segments.push({
+      index: segments.length,
+      startSeconds: start,
+      durationSeconds: length,
+      keepFromSeconds: first ? 0 : overlapSeconds / 2,
+      keepUntilSeconds: last ? length : step + overlapSeconds / 2,
+    });
+    if (last) break;
+  }
+  return segments;
+};
+
+/**
+ * Cuts a long recording into overlapping segments that each fit the transcription limits.
+ * Segments are re-encoded as WebM/Opus with the original channels kept, so a speaker-separated
+ * recording stays speaker-separated. They are written to files rather than kept in memory, as
+ * a long upload makes many of them; the caller removes them.
+ * @param {string} inputPath - The recording on disk.
+ * @param {Object} options
+ * @param {number} options.durationSeconds - The length of the recording, from ffprobe.
+ * @param {number} options.segmentSeconds - The longest a segment may be, overlap included.
+ * @param {number} options.overlapSeconds - How much consecutive segments share.
+ * @param {string} options.outputDir - Where to write the segments.
+ * @returns {Promise<Array<Object>>} The segments from planSegments(), each with the `path` of its file.
+ */
+const splitAudio = async (inputPath, { durationSeconds, segmentSeconds, overlapSeconds, outputDir }) => {
+  const segments = planSegments(durationSeconds, segmentSeconds, overlapSeconds);
+
+  for (const segment of segments) {
+    segment.path = path.join(outputDir, `part_${segment.index}.webm`);
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .seekInput(segment.startSeconds)
+        .duration(segment.durationSeconds)
+        .noVideo()
+        .outputOptions(["-c:a", "libopus", "-b:a", "64k"])
+        .output(segment.path)
+        .on("end", resolve)
+        .on("error", reject)
+        .run();
+    });
+    segment.size = fs.statSync(segment.path).size;
+  }
+
+  console.log(`AUDIO_LOG: Split a ${Math.round(durationSeconds)}s recording into ${segments.length} segments.`);
+  return segments;
+};
+
+/**
+ * Joins audio files into one mono WebM/Opus file for playback, in the order given.
+ * @param {Array<{buffer: Buffer, fromSeconds?: number, untilSeconds?: number}>} pieces - The files. A piece
+ * with a range only contributes that stretch, e.g. a split upload's segment without its overlaps.
+ * @returns {Promise<Buffer>} The joined audio.
+ */
+const joinAudio = async (pieces) => {
+  const inputs = pieces.map((piece, i) => tempPath(`join_${i}`));
+  const outputPath = tempPath("joined.webm");
+
+  try {
+    pieces.forEach((piece, i) => fs.writeFileSync(inputs[i], piece.buffer));
+
+    // Uploads can differ in channels and sample rate, so every piece is brought to the same format first
+    const filters = pieces.map((piece, i) => {
+      const trim =
+        typeof piece.fromSeconds === "number"
+          ? `atrim=start=${piece.fromSeconds}:end=${piece.untilSeconds},asetpts=PTS-STARTPTS,`
+          : "";
+      return `[${i}:a]${trim}aformat=sample_rates=48000:channel_layouts=mono[a${i}]`;
+    });
+    filters.push(`${pieces.map((piece, i) => `[a${i}]`).join("")}concat=n=${pieces.length}:v=0:a=1[joined]`);
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg();
+      for (const input of inputs) command.input(input);
+      command
+        .complexFilter(filters)
+        .outputOptions(["-map", "[joined]", "-c:a", "libopus", "-b:a", "48k", "-f", "webm"])
+        .output(outputPath)
+        .on("end", resolve)
+        .on("error", reject)
+        .run();
+    });
+
+    console.log(`AUDIO_LOG: Joined ${pieces.length} audio files for playback.`);
+    return fs.readFileSync(outputPath);
+  } finally {
+    removeFiles([...inputs, outputPath]);
+  }
+};
+
+module.exports = {
+  CHANNEL_LAYOUTS,
+  splitSpeakerChannels,
+  planSegments,
+  splitAudio,
+  parseSilences,
+  speechIntervals,
+  preprocessAudio,
+  toSourceTime,
+  joinAudio,
+};
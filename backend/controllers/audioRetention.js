@@ -0,0 +1,142 @@
+// controllers/audioRetention.js
+
+const config = require('../utils/config');
+const { getAudioExpiry } = require('../utils/audioRetention');
+const { joinAudio } = require('./audioProcessing');
+const {
+    getKeptAudio,
+    setPlaybackAudio,
+    listMeetingsWithKeptAudio,
+    removeKeptAudio,
+} = require('../db/mongoutils/transcription.db');
+const { resolveAudioRetentionDays } = require('../db/mongoutils/workspace.db');
+const { fetchAudioFile, storeAudioFile, deleteAudioFile } = require('../db/cloudinary-utils/audio.db');
+
+// How often a playback file is rebuilt when more audio is kept while it is being built
+const MAX_BUILD_ATTEMPTS = 3;
+
+// Playback files being built, by jobId, so concurrent requests share one build
+const pendingBuilds = new Map();
+
+let purgeTimer = null;
+let purging = false;
+
+/**
+ * Deletes an audio file from Cloudinary, logging instead of throwing.
+ * @param {string} fileId - The Cloudinary public id.
+ * @returns {Promise<boolean>} True if it was deleted.
+ */
+const tryDeleteAudioFile = async (fileId) => {
+    try {
+        await deleteAudioFile(fileId);
+        return true;
+    } catch (error) {
+        console.error(`AUDIO_LOG: Failed to delete audio file ${fileId}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Joins a meeting's kept audio into one file and stores it in Cloudinary. The file is reused until
+ * more audio is kept.
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @returns {Promise<{fileId: string, fileCount: number, size: number}|null>} The playback file, or null if no audio is kept.
+ */
+const buildPlaybackAudio = async (jobId) => {
+    for (let attempt = 1; attempt <= MAX_BUILD_ATTEMPTS; attempt++) {
+        const kept = await getKeptAudio(jobId);
+        if (!kept || kept.audioFiles.length === 0) return null;
+        const { audioFiles, playbackAudio } = kept;
+        if (playbackAudio && playbackAudio.fileCount === audioFiles.length) return playbackAudio;
+
+        // Segments of a split upload overlap, so only the part that is theirs alone is played
+        const pieces = [];
+        for (const file of audioFiles) {
+            pieces.push({
+                buffer: await fetchAudioFile(file.fileId),
+                fromSeconds: file.keepFromSeconds,
+                untilSeconds: file.keepUntilSeconds,
+            });
+        }
+        const buffer = await joinAudio(pieces);
+        const uploaded = await storeAudioFile(buffer, 'playback.webm', jobId);
+        const built = { fileId: uploaded.public_id, fileCount: audioFiles.length, size: buffer.length };
+
+        const previousFileId = playbackAudio ? playbackAudio.fileId : null;
+        if (await setPlaybackAudio(jobId, built, previousFileId)) {
+            if (previousFileId) await tryDeleteAudioFile(previousFileId);
+            console.log(`AUDIO_LOG: Built playback audio for meeting ${jobId} from ${audioFiles.length} files.`);
+            return built;
+        }
+        // More audio was kept, or it was purged, while this one was built
+        await tryDeleteAudioFile(built.fileId);
+    }
+    throw new Error(`The kept audio of meeting ${jobId} kept changing while its playback file was built.`);
+};
+
+/**
+ * Returns the file that plays a meeting's kept audio in order, building it first if needed.
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @returns {Promise<{fileId: string, fileCount: number, size: number}|null>} The playback file, or null if no audio is kept.
+ */
+const getPlaybackAudio = (jobId) => {
+    if (!pendingBuilds.has(jobId)) {
+        const build = buildPlaybackAudio(jobId).finally(() => pendingBuilds.delete(jobId));
+        pendingBuilds.set(jobId, build);
+    }
+    return pendingBuilds.get(jobId);
+};
+
+/**
+ * Deletes the kept audio of every meeting whose retention has run out, including meetings whose
+ * retention was turned off after their audio was kept.
+ * @returns {Promise<number>} How many meetings had their audio purged.
+ */
+const purgeExpiredAudio = async () => {
+    if (purging) return 0;
+    purging = true;
+    let purged = 0;
+    try {
+        const now = new Date();
+        const meetings = await listMeetingsWithKeptAudio();
+        for (const meeting of meetings) {
+            const expiresAt = getAudioExpiry(meeting.createdAt, await resolveAudioRetentionDays(meeting));
+            if (expiresAt && expiresAt > now) continue;
+
+            // Files that fail to delete stay recorded and are retried on the next run
+            const deleted = [];
+            for (const { fileId } of meeting.audioFiles) {
+                if (await tryDeleteAudioFile(fileId)) deleted.push(fileId);
+            }
+            const playbackFileId = meeting.playbackAudio ? meeting.playbackAudio.fileId : undefined;
+            const playbackDeleted = playbackFileId ? await tryDeleteAudioFile(playbackFileId) : false;
+            await removeKeptAudio(meeting.jobId, deleted, playbackDeleted ? playbackFileId : undefined);
+            purged++;
+        }
+        if (purged > 0) {
+            console.log(`AUDIO_LOG: Purged the kept audio of ${purged} meetings.`);
+        }
+    } catch (error) {
+        console.error('AUDIO_LOG: Failed to purge expired audio:', error);
+    } finally {
+        purging = false;
+    }
+    return purged;
+};
+
+/**
+ * Purges expired audio now and then every AUDIO_PURGE_INTERVAL_MINUTES.
+ */
+const startAudioPurgeSchedule = () => {
+    if (purgeTimer) return;
+    purgeTimer = setInterval(purgeExpiredAudio, config.AUDIO_PURGE_INTERVAL_MINUTES * 60 * 1000);
+    // The schedule alone shouldn't keep the process running
+    purgeTimer.unref();
+    purgeExpiredAudio();
+};
+
+module.exports = {
+    getPlaybackAudio,
+    purgeExpiredAudio,
+    startAudioPurgeSchedule,
+};
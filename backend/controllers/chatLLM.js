@@ -2,9 +2,12 @@
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const config = require('../utils/config');
-const { queryTranscriptions, queryChats } = require('./queryVectordb');
+const { queryTranscriptions, queryChats, buildMeetingPayload } = require('./queryVectordb');
 const { createChatEntry, updateChatEntry } = require('../db/mongoutils/chat.db');
 const { upsertChatPair } = require('./embedding/embedChat');
+const { getMeetingTemplate, DEFAULT_CHAT_PERSONA } = require('../utils/meetingTemplates');
+const { getMeetingLanguage, getLanguageName } = require('../utils/languages');
+const { formatTimestamp } = require('../utils/timestamps');
 
 // Initialize the Google Generative AI client with the API key
 const genAI = new GoogleGenerativeAI(config.GEMINI_API_KEY);
@@ -26,8 +29,13 @@ const llmModel = genAI.getGenerativeModel({
  * @param {Object} res - The Express response object for SSE streaming.
  * @param {string} userPrompt - The user's message/query.
  * @param {string} jobId - The unique ID of the current meeting session.
+ * @param {Object} [options]
+ * @param {string} [options.userId] - The MongoDB _id of the user asking, recorded as the chat owner.
+ * @param {Array<string>} [options.workspaceIds] - The user's workspaces, used to limit retrieval to what they can see.
+ * @param {Object} [options.meeting] - The meeting from getMeetingInfo, whose ownership is stamped onto the embedded chat pair
+ * and whose template sets the assistant's persona.
  */
-const getLLMStreamResponse = async (res, userPrompt, jobId) => {
+const getLLMStreamResponse = async (res, userPrompt, jobId, { userId, workspaceIds = [], meeting = null } = {}) => {
     let chatId = null;
     let fullResponseText = '';
 
@@ -42,9 +50,10 @@ const getLLMStreamResponse = async (res, userPrompt, jobId) => {
         res.flushHeaders();
 
         // Step 1: Query relevant context from both collections
+        const access = userId ? { userId, workspaceIds } : null;
         const [transcriptionContext, chatHistory] = await Promise.all([
-            queryTranscriptions(userPrompt, jobId, 5),
-            queryChats(userPrompt, jobId, 3)
+            queryTranscriptions(userPrompt, jobId, 5, access),
+            queryChats(userPrompt, jobId, 3, access)
         ]);
 
         console.log("LLM: Transcription Context:", transcriptionContext);
@@ -52,7 +61,13 @@ const getLLMStreamResponse = async (res, userPrompt, jobId) => {
 
         // Step 2: Combine all contexts into a single string for the LLM
         const transcriptionText = transcriptionContext.length > 0
-            ? transcriptionContext.map(chunk => `Transcription Snippet: ${chunk.text}`).join('\n')
+            ? transcriptionContext.map(chunk => {
+                // Translated meetings have snippets from both the original and the English translation
+                const label = chunk.variant === 'translation' ? 'Transcription Snippet (English translation)' : 'Transcription Snippet';
+                return typeof chunk.startSeconds === 'number'
+                    ? `${label} [${formatTimestamp(chunk.startSeconds)}]: ${chunk.text}`
+                    : `${label}: ${chunk.text}`;
+            }).join('\n')
             : "No specific meeting transcriptions were found for this query.";
 
         const chatHistoryText = chatHistory.length > 0
@@ -76,7 +91,7 @@ ${userPrompt}`;
 
         // Step 3: Create the chat entry in MongoDB before generating the response
         try {
-            const newChat = await createChatEntry(jobId, userPrompt);
+            const newChat = await createChatEntry(jobId, userPrompt, userId);
             chatId = newChat._id;
             console.log(`Chat entry created with ID: ${chatId}`);
         } catch (dbError) {
@@ -90,12 +105,21 @@ ${userPrompt}`;
             googleSearch: {}
         }];
 
+        const persona = getMeetingTemplate(meeting).chatPersona || DEFAULT_CHAT_PERSONA;
+        const languageName = getLanguageName(getMeetingLanguage(meeting));
+        const languageInstruction = languageName
+            ? `The meeting was held in ${languageName}. Answer in ${languageName} unless the user writes their question in another language, in which case answer in that language.`
+            : 'Answer in the language the user writes their question in.';
+        const speakerInstruction = meeting && meeting.speakerLabels
+            ? '\nIn the snippets, "Local:" marks what the user who recorded the meeting said and "Remote:" what the other participants said.'
+            : '';
         const systemInstruction = {
             parts: [{
-                text: `You are a helpful assistant for a meeting management application. Your primary goal is to answer user questions.
+                text: `${persona} Your primary goal is to answer user questions.
 First, use the provided meeting transcription snippets and chat history to answer the question.
 If the answer cannot be found in the provided context, you may use your search tool to find the answer from external sources.
-Provide clear and complete answers. If you use the search tool, you may cite your sources.
+Provide clear and complete answers. When you rely on a snippet that has a timestamp such as [12:34], cite it so the user can find that moment in the recording. If you use the search tool, you may cite your sources.${speakerInstruction}
+${languageInstruction}
 Do not mention that you are an AI assistant or refer to "provided context".`
             }]
         };
@@ -165,7 +189,7 @@ Do not mention that you are an AI assistant or refer to "provided context".`
                     await updateChatEntry(chatId, fullResponseText);
                     console.log("Chat history successfully updated in MongoDB.");
 
-                    await upsertChatPair(jobId, userPrompt, fullResponseText, chatId);
+                    await upsertChatPair(jobId, userPrompt, fullResponseText, chatId, buildMeetingPayload(meeting));
                     console.log("Chat pair embedded successfully.");
                 }
             } catch (dbError) {
@@ -1,13 +1,37 @@
 // clean.js
 const Groq = require('groq-sdk');
 const config = require('../utils/config');
+const { getMeetingTemplate } = require('../utils/meetingTemplates');
+const { getMeetingLanguage, getLanguageName } = require('../utils/languages');
 
-// Initialize Groq SDK with API key from a config file
-const groq = new Groq({
-    apiKey: config.GROQ_API_KEY,
-});
+// Initialize Groq SDK with API key from a config file; without one transcripts are not cleaned
+const groq = config.GROQ_API_KEY ? new Groq({ apiKey: config.GROQ_API_KEY }) : null;
 
-const sysPrompt = `You are a text processor for a video conference transcription. Your task is to refine, chunk, and summarize the provided unrefined transcript. The output MUST be a JSON array of objects. Each object in the array represents a single, semantically coherent chunk of the dialogue.
+/**
+ * Builds the cleaning prompt, with the meeting template's own rules added after the common ones.
+ * @param {Array<string>} [cleaningRules] Extra rules from the meeting's template.
+ * @param {string|null} [languageName] The meeting's language, e.g. 'German'; null if not known yet.
+ * @param {boolean} [speakerLabels=false] Whether the transcript's lines start with a 'Local:' or 'Remote:' label.
+ * @param {Array<{term: string, variants: Array<string>}>} [glossary] Terms whose spelling must be kept or restored.
+ * @returns {string} The system prompt.
+ */
+const buildSysPrompt = (cleaningRules = [], languageName = null, speakerLabels = false, glossary = []) => {
+    const languageRule = languageName
+        ? `The transcript is in ${languageName}. Write \`summary\` and \`refined_text\` in ${languageName}; do not translate.`
+        : 'Write `summary` and `refined_text` in the same language as the transcript; do not translate.';
+    const templateRules = cleaningRules.length > 0
+        ? `\n    Additional rules for this type of meeting:\n${cleaningRules.map(rule => `    - ${rule}`).join('\n')}\n    `
+        : '';
+    const glossaryRule = glossary.length > 0
+        ? `\n    11. **Glossary:** These terms are spelled exactly as listed. Where the transcript has a misspelling or a phonetically similar word that clearly means one of them, use the listed spelling; do not force a term where it does not fit.\n${glossary.map(entry => `    - ${entry.term}${entry.variants.length > 0 ? ` (often misheard as: ${entry.variants.join(', ')})` : ''}`).join('\n')}`
+        : '';
+    const speakerRules = speakerLabels
+        ? `6. **Acknowledge Multiple Speakers:** Each line of the transcript starts with \`Local:\` (the person who recorded the meeting) or \`Remote:\` (the other participants, who may be several people). The summary and refined text should reflect this conversational nature.
+    7. **Keep the Speaker Labels:** Start every line of \`refined_text\` with the \`Local:\` or \`Remote:\` label of the line it comes from, after the \`- \` prefix. Never merge lines from different labels, and do not invent any other speaker names.`
+        : `6. **Acknowledge Multiple Speakers:** Understand that a single chunk of dialogue can contain lines from multiple people. The summary and refined text should reflect this conversational nature.
+    7. **Do NOT Add Speaker Names:** The original transcript does not identify speakers, so you must not create or add any speaker names (e.g., 'Interviewer:', 'Speaker A:', etc.).`;
+
+    return `You are a text processor for a video conference transcription. Your task is to refine, chunk, and summarize the provided unrefined transcript. The output MUST be a JSON array of objects. Each object in the array represents a single, semantically coherent chunk of the dialogue.
     
     Here are the specific rules you must follow:
     1. **Refine the Dialogue:** Correct grammar, remove filler words (e.g., 'you know,' 'like,' 'um,' 'ah'), and strip out any unnecessary or non-dialogue text.
@@ -15,11 +39,11 @@ const sysPrompt = `You are a text processor for a video conference transcription
     3. **Limits:** Each "refined_text" key cannot exceed 140 words. Break longer transcripts into as many chunks as needed to maintain this limit, typically resulting in 9-12 chunks for standard meeting transcripts.
     4. **Preserve Line Structure:** The \`refined_text\` for each chunk must maintain the original line breaks and start each line with a \`- \` prefix and end with "\\n" suffix to reflect the structure of the raw transcript.
     5. **Acknowledge Incomplete Context:** Be aware that the dialogue is part of an ongoing meeting. It may not have a complete beginning or end, and some parts might lack full context. Do not invent information to fill these gaps.
-    6. **Acknowledge Multiple Speakers:** Understand that a single chunk of dialogue can contain lines from multiple people. The summary and refined text should reflect this conversational nature.
-    7. **Do NOT Add Speaker Names:** The original transcript does not identify speakers, so you must not create or add any speaker names (e.g., 'Interviewer:', 'Speaker A:', etc.).
+    ${speakerRules}
     8. **Summarize Each Chunk:** For each chunk, generate a very short, one-sentence summary.
     9. **Output JSON Format:** The final output must be a valid JSON array. Each object in the array must have two keys: \`summary\` (a single-sentence summary of the chunk), and \`refined_text\` (the cleaned dialogue with preserved line structure).
-    
+    10. **Language:** ${languageRule}${glossaryRule}
+    ${templateRules}
     Do NOT add any extra text or commentary outside of the JSON object. Just provide the JSON.
     
     Example of the REQUIRED output format:
@@ -32,17 +56,33 @@ const sysPrompt = `You are a text processor for a video conference transcription
     ]
     \`\`\`
     `;
+};
 
 /**
  * Processes a raw text transcript, refining it and converting it into a
  * structured JSON array of dialogue chunks. It includes a retry mechanism for
  * robustness.
  * @param {string} text The raw, unrefined transcript text.
+ * @param {Object} [meeting] The meeting from getMeetingInfo; its template adds cleaning rules and its language sets the output language.
+ * @param {Object} [options]
+ * @param {string} [options.language] ISO-639-1 code that overrides the meeting's language, e.g. 'en' for an English translation.
+ * @param {boolean} [options.speakerLabels] Whether the text's lines are labelled 'Local:' or 'Remote:'; the labels are then kept.
+ * @param {Array<{term: string, variants: Array<string>}>} [options.glossary] The meeting's glossary, used to fix misspelled terms.
  * @returns {Promise<Array>} A promise that resolves to a parsed JSON array
- * containing the structured and refined dialogue.
+ * containing the structured and refined dialogue, empty if GROQ_API_KEY is not set.
  */
-const clean = async (text) => {
+const clean = async (text, meeting, options = {}) => {
+    if (!groq) {
+        console.warn('CLEANING_LOG: GROQ_API_KEY is not set. Skipping cleaning.');
+        return [];
+    }
     const MAX_RETRIES = 3; // Define the maximum number of retry attempts
+    const sysPrompt = buildSysPrompt(
+        getMeetingTemplate(meeting).cleaningRules,
+        getLanguageName(options.language || getMeetingLanguage(meeting)),
+        !!options.speakerLabels,
+        options.glossary || []
+    );
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
         try {
             console.log(`CLEANING_LOG: Attempt ${attempt} of ${MAX_RETRIES} to clean transcription.`);
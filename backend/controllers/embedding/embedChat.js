@@ -3,6 +3,7 @@
 const { QdrantClient } = require('@qdrant/js-client-rest');
 const config = require('../../utils/config'); // Adjust path based on your project structure
 const { getEmbedding } = require('./embeddingService'); // Reusing the existing embedding service
+const { ensurePayloadIndexes } = require('./payloadIndexes');
 const { v4: uuidv4 } = require('uuid');
 
 // Initialize Qdrant client
@@ -15,8 +16,8 @@ const client = new QdrantClient({
 const CHAT_COLLECTION_NAME = config.CHAT_COLLECTION; // This will be a new env variable
 
 /**
- * Creates the Qdrant collection for chat embeddings if it doesn't already exist.
- * The vector size (768) must match the 'embedding-001' model's output.
+ * Creates the Qdrant collection for chat embeddings if it doesn't already exist, and the payload
+ * indexes it is missing. The vector size (768) must match the 'embedding-001' model's output.
  */
 const createChatCollection = async () => {
     try {
@@ -32,18 +33,13 @@ const createChatCollection = async () => {
                 },
             });
             console.log(`Qdrant: Collection '${CHAT_COLLECTION_NAME}' created successfully for chat embeddings.`);
-
-            // Step 2: Now, add the index. This is the new, critical part.
-            // The `createPayloadIndex` function tells Qdrant to build an index on a specific field within the payload.
-            await client.createPayloadIndex(CHAT_COLLECTION_NAME, {
-                field_name: 'jobId',
-                field_schema: 'keyword'
-            });
-            console.log(`Qdrant: Payload index created for 'jobId' in '${CHAT_COLLECTION_NAME}'.`);
-
         } else {
             console.log(`Qdrant: Collection '${CHAT_COLLECTION_NAME}' already exists for chat embeddings.`);
         }
+
+        // Step 2: Index 'jobId' and the fields searches filter on. Collections created before a
+        // field was indexed get the missing index here.
+        await ensurePayloadIndexes(client, CHAT_COLLECTION_NAME);
     } catch (err) {
         console.error('Qdrant: Error creating or checking chat collection:', err);
         throw err;
@@ -59,9 +55,10 @@ const createChatCollection = async () => {
  * @param {string} userChat - The user's message.
  * @param {string} aiChat - The AI's response to the user's message.
  * @param {string} chatId - The MongoDB _id of the chat pair, used as Qdrant point ID.
+ * @param {Object} [meetingPayload] - Meeting-level fields copied onto the point (see buildMeetingPayload).
  * @returns {Promise<Object>} A promise that resolves to the result of the upsert operation.
  */
-const upsertChatPair = async (jobId, userChat, aiChat, chatId) => {
+const upsertChatPair = async (jobId, userChat, aiChat, chatId, meetingPayload = {}) => {
     try {
         // Combine user and AI chat for a comprehensive embedding
         const combinedChatText = `User: ${userChat}\nAI response: ${aiChat}`;
@@ -76,6 +73,7 @@ const upsertChatPair = async (jobId, userChat, aiChat, chatId) => {
             id: uuidv4(), // CRITICAL FIX: Always use a new UUID for the Qdrant point ID
             vector: vector,
             payload: {
+                ...meetingPayload,
                 jobId: jobId,
                 mongoId: chatId, // Store the MongoDB _id here for future reference
                 userChat: userChat,
@@ -98,7 +96,57 @@ const upsertChatPair = async (jobId, userChat, aiChat, chatId) => {
     }
 };
 
+/**
+ * Overwrites payload fields on every chat point of a meeting, e.g. after the
+ * meeting is shared with a workspace.
+ *
+ * @param {string} jobId - The jobId associated with the meeting session.
+ * @param {Object} payload - The fields to set.
+ * @returns {Promise<Object>} A promise that resolves to the result of the operation.
+ */
+const setChatPayload = async (jobId, payload) => {
+    try {
+        const result = await client.setPayload(CHAT_COLLECTION_NAME, {
+            wait: true,
+            payload: payload,
+            filter: {
+                must: [{ key: 'jobId', match: { value: jobId } }],
+            },
+        });
+        console.log(`Qdrant: Updated chat payloads for jobId: ${jobId}`);
+        return { success: true, result: result };
+    } catch (err) {
+        console.error('Qdrant: Error updating chat payloads:', err);
+        return { success: false, error: err.message };
+    }
+};
+
+/**
+ * Deletes every chat point of a meeting, using the 'jobId' payload index.
+ * Deleting points that are already gone is a no-op, so this is safe to retry.
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @returns {Promise<Object>} A promise that resolves to the number of points deleted.
+ */
+const deleteChatPoints = async (jobId) => {
+    try {
+        const filter = {
+            must: [{ key: 'jobId', match: { value: jobId } }],
+        };
+        const { count } = await client.count(CHAT_COLLECTION_NAME, { filter, exact: true });
+        if (count > 0) {
+            await client.delete(CHAT_COLLECTION_NAME, { wait: true, filter });
+        }
+        console.log(`Qdrant: Deleted ${count} chat points for jobId: ${jobId}.`);
+        return { success: true, deleted: count };
+    } catch (err) {
+        console.error('Qdrant: Error deleting chat points:', err);
+        return { success: false, error: err.message };
+    }
+};
+
 module.exports = {
     createChatCollection,
     upsertChatPair,
+    setChatPayload,
+    deleteChatPoints,
 };
@@ -3,6 +3,7 @@
 const { QdrantClient } = require('@qdrant/js-client-rest');
 const config = require('../../utils/config');
 const { getEmbedding } = require('./embeddingService');
+const { ensurePayloadIndexes } = require('./payloadIndexes');
 const { v4: uuidv4 } = require('uuid');
 
 const client = new QdrantClient({
@@ -13,8 +14,8 @@ const client = new QdrantClient({
 const COLLECTION_NAME = config.TRANSCRIPTION_COLLECTION;
 
 /**
- * Creates the Qdrant collection for transcriptions if it doesn't already exist.
- * The vector size (768) must match the 'embedding-001' model's output.
+ * Creates the Qdrant collection for transcriptions if it doesn't already exist, and the payload
+ * indexes it is missing. The vector size (768) must match the 'embedding-001' model's output.
  */
 const createTranCollection = async () => {
     try {
@@ -29,17 +30,13 @@ const createTranCollection = async () => {
                 },
             });
             console.log(`Qdrant: Collection '${COLLECTION_NAME}' created successfully for transcriptions.`);
-
-            // CRITICAL FIX: Add a payload index on the 'jobId' field for efficient filtering.
-            await client.createPayloadIndex(COLLECTION_NAME, {
-                field_name: 'jobId',
-                field_schema: 'keyword'
-            });
-            console.log(`Qdrant: Payload index created for 'jobId' in '${COLLECTION_NAME}'.`);
-
         } else {
             console.log(`Qdrant: Collection '${COLLECTION_NAME}' already exists for transcriptions.`);
         }
+
+        // Index 'jobId' for efficient filtering, and the ownership fields and tags searches filter on.
+        // Existing collections get the indexes they were created without.
+        await ensurePayloadIndexes(client, COLLECTION_NAME);
     } catch (err) {
         console.error('Qdrant: Error creating or checking transcription collection:', err);
         throw err;
@@ -52,9 +49,10 @@ const createTranCollection = async () => {
  * @param {string} jobId - The unique ID of the meeting session.
  * @param {Array<Object>} chunks An array of objects, where each object has a 'summary' and 'refined_text' property.
  * @param {Object} metadata The metadata to be associated with each point (e.g., originalname, uploadTimestamp).
+ * @param {Object} [meetingPayload] Meeting-level fields copied onto every point (see buildMeetingPayload).
  * @returns {Promise<Object>} A promise that resolves to the result of the upsert operation.
  */
-const upsertTranscriptionChunks = async (jobId, chunks, metadata) => {
+const upsertTranscriptionChunks = async (jobId, chunks, metadata, meetingPayload = {}) => {
     try {
         // First, ensure the collection exists
         await createTranCollection();
@@ -74,14 +72,24 @@ const upsertTranscriptionChunks = async (jobId, chunks, metadata) => {
             }
 
             points.push({
-                id: uuidv4(),
+                id: chunk.pointId || uuidv4(), // Callers may assign ids up front to reference the point later
                 vector: vector,
                 payload: {
+                    ...meetingPayload,
                     jobId: jobId,
                     filename: metadata.originalname,
                     uploadTimestamp: metadata.uploadTimestamp,
                     text: chunk.refined_text,
                     summary: chunk.summary,
+                    // Approximate position in the recording, so answers can cite the moment
+                    startSeconds: chunk.startSeconds,
+                    endSeconds: chunk.endSeconds,
+                    // 'original' or 'translation' (English) for translated meetings
+                    variant: chunk.variant || 'original',
+                    language: chunk.language,
+                    // The audio chunk it came from, so a chunk that is processed again can replace its points
+                    sequence: chunk.sequence,
+                    part: chunk.part,
                 },
             });
         }
@@ -105,7 +113,120 @@ const upsertTranscriptionChunks = async (jobId, chunks, metadata) => {
     }
 };
 
+/**
+ * Overwrites payload fields on every transcription point of a meeting, e.g. after the
+ * meeting is shared with a workspace.
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @param {Object} payload - The fields to set.
+ * @returns {Promise<Object>} A promise that resolves to the result of the operation.
+ */
+const setTranscriptionPayload = async (jobId, payload) => {
+    try {
+        const result = await client.setPayload(COLLECTION_NAME, {
+            wait: true,
+            payload: payload,
+            filter: {
+                must: [{ key: 'jobId', match: { value: jobId } }],
+            },
+        });
+        console.log(`Qdrant: Updated transcription payloads for jobId: ${jobId}.`);
+        return { success: true, result: result };
+    } catch (err) {
+        console.error('Qdrant: Error updating transcription payloads:', err);
+        return { success: false, error: err.message };
+    }
+};
+
+/**
+ * Re-embeds one transcription point after its chunk was edited, so searches match the corrected
+ * text. The rest of the point's payload is kept.
+ * @param {string} pointId - The chunk's point id (its pointId in MongoDB).
+ * @param {Object} chunk - The edited chunk.
+ * @param {string} chunk.refinedText - Its text.
+ * @param {string} [chunk.summary] - Its summary.
+ * @returns {Promise<Object>} A promise that resolves to the result of the operation.
+ */
+const updateTranscriptionPoint = async (pointId, { refinedText, summary }) => {
+    try {
+        const vector = await getEmbedding(refinedText);
+        if (!vector || vector.length === 0) {
+            return { success: false, error: 'Failed to embed the edited text.' };
+        }
+
+        await client.updateVectors(COLLECTION_NAME, {
+            wait: true,
+            points: [{ id: pointId, vector: vector }],
+        });
+        const result = await client.setPayload(COLLECTION_NAME, {
+            wait: true,
+            payload: { text: refinedText, summary: summary },
+            points: [pointId],
+        });
+        console.log(`Qdrant: Re-embedded edited transcription point ${pointId}.`);
+        return { success: true, result: result };
+    } catch (err) {
+        console.error('Qdrant: Error re-embedding transcription point:', err);
+        return { success: false, error: err.message };
+    }
+};
+
+/**
+ * Deletes every transcription point of a meeting, using the 'jobId' payload index.
+ * Deleting points that are already gone is a no-op, so this is safe to retry.
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @returns {Promise<Object>} A promise that resolves to the number of points deleted.
+ */
+const deleteTranscriptionPoints = async (jobId) => {
+    try {
+        const filter = {
+            must: [{ key: 'jobId', match: { value: jobId } }],
+        };
+        const { count } = await client.count(COLLECTION_NAME, { filter, exact: true });
+        if (count > 0) {
+            await client.delete(COLLECTION_NAME, { wait: true, filter });
+        }
+        console.log(`Qdrant: Deleted ${count} transcription points for jobId: ${jobId}.`);
+        return { success: true, deleted: count };
+    } catch (err) {
+        console.error('Qdrant: Error deleting transcription points:', err);
+        return { success: false, error: err.message };
+    }
+};
+
+/**
+ * Deletes the transcription points made from one audio chunk, e.g. left by an attempt to process
+ * it that failed before its cleaned chunks were stored. Points stored before they carried the
+ * chunk's sequence and part are not matched.
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @param {{sequence: number, part: number}} position - The audio chunk.
+ * @param {string} variant - 'original' or 'translation'.
+ * @returns {Promise<Object>} A promise that resolves to the result of the operation.
+ */
+const deleteChunkPoints = async (jobId, { sequence, part }, variant) => {
+    try {
+        const result = await client.delete(COLLECTION_NAME, {
+            wait: true,
+            filter: {
+                must: [
+                    { key: 'jobId', match: { value: jobId } },
+                    { key: 'sequence', match: { value: sequence } },
+                    { key: 'part', match: { value: part } },
+                    { key: 'variant', match: { value: variant } },
+                ],
+            },
+        });
+        return { success: true, result: result };
+    } catch (err) {
+        console.error('Qdrant: Error deleting the points of an audio chunk:', err);
+        return { success: false, error: err.message };
+    }
+};
+
 module.exports = {
     upsertTranscriptionChunks,
+    setTranscriptionPayload,
+    updateTranscriptionPoint,
     createTranCollection,
+    deleteTranscriptionPoints,
+    deleteChunkPoints,
 };
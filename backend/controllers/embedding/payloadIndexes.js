@@ -0,0 +1,36 @@
+// controllers/embedding/payloadIndexes.js
+
+// Keyword fields both collections are filtered on: the meeting, its ownership (to limit searches
+// to what the caller can see) and its tags
+const MEETING_PAYLOAD_INDEXES = ['jobId', 'ownerId', 'workspaceId', 'tags'];
+
+/**
+ * Creates the keyword payload indexes a collection is missing. Runs on every start, so collections
+ * created before a field was indexed get the index too.
+ * @param {QdrantClient} client - The Qdrant client.
+ * @param {string} collectionName - The collection.
+ * @param {Array<string>} [fields] - The payload fields to index.
+ * @returns {Promise<Array<string>>} The fields that were indexed now.
+ */
+const ensurePayloadIndexes = async (client, collectionName, fields = MEETING_PAYLOAD_INDEXES) => {
+    const info = await client.getCollection(collectionName);
+    const existing = Object.keys(info.payload_schema || {});
+    const missing = fields.filter(field => !existing.includes(field));
+
+    for (const field of missing) {
+        await client.createPayloadIndex(collectionName, {
+            field_name: field,
+            field_schema: 'keyword',
+            wait: true,
+        });
+    }
+    if (missing.length > 0) {
+        console.log(`Qdrant: Payload indexes created for ${missing.map(field => `'${field}'`).join(', ')} in '${collectionName}'.`);
+    }
+    return missing;
+};
+
+module.exports = {
+    MEETING_PAYLOAD_INDEXES,
+    ensurePayloadIndexes,
+};
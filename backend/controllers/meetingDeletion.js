@@ -0,0 +1,117 @@
+// controllers/meetingDeletion.js
+
+const {
+    deleteMeeting,
+    markMeetingDeleting,
+    countOutstandingChunks,
+    isDrainedForDeletion,
+} = require('../db/mongoutils/transcription.db');
+const { deleteChatsForJob } = require('../db/mongoutils/chat.db');
+const { deleteShareLinksForJob } = require('../db/mongoutils/shareLink.db');
+const { deleteActionItemsForJob } = require('../db/mongoutils/actionItem.db');
+const { deleteTranscriptionPoints } = require('./embedding/embedTranscriptions');
+const { deleteChatPoints } = require('./embedding/embedChat');
+const { deleteAudioFilesForJob } = require('../db/cloudinary-utils/audio.db');
+
+// A deletion retried this long after it was first asked for goes ahead even if audio is still
+// outstanding, e.g. because a queued message was lost and the chunk will never be handled
+const STALE_DELETION_MS = 10 * 60 * 1000;
+
+/**
+ * Runs one deletion step, recording how much it removed or why it failed.
+ * @param {Object} report - The report being built.
+ * @param {string} store - The report key for this step.
+ * @param {Function} step - Resolves to the number of items removed.
+ */
+const runStep = async (report, store, step) => {
+    try {
+        report.removed[store] = await step();
+    } catch (error) {
+        report.removed[store] = null;
+        report.errors[store] = error.message;
+    }
+};
+
+/**
+ * Deletes a meeting and everything derived from it: chat entries, share links, action items,
+ * points in both Qdrant collections and any Cloudinary audio still stored for it.
+ *
+ * Every step is idempotent, and the meeting document itself is only removed once all
+ * other stores succeeded. If anything fails the meeting stays in place, so the caller
+ * (who still passes the access check) can simply retry.
+ *
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @returns {Promise<{success: boolean, pending: boolean, removed: Object, errors: Object}>} What was removed from each store.
+ */
+const deleteMeetingCascade = async (jobId) => {
+    const report = { success: false, pending: false, removed: {}, errors: {} };
+
+    await Promise.all([
+        runStep(report, 'qdrantTranscriptions', async () => {
+            const result = await deleteTranscriptionPoints(jobId);
+            if (!result.success) throw new Error(result.error);
+            return result.deleted;
+        }),
+        runStep(report, 'qdrantChats', async () => {
+            const result = await deleteChatPoints(jobId);
+            if (!result.success) throw new Error(result.error);
+            return result.deleted;
+        }),
+        runStep(report, 'cloudinaryAudio', () => deleteAudioFilesForJob(jobId)),
+        runStep(report, 'chats', () => deleteChatsForJob(jobId)),
+        runStep(report, 'shareLinks', () => deleteShareLinksForJob(jobId)),
+        runStep(report, 'actionItems', () => deleteActionItemsForJob(jobId)),
+    ]);
+
+    if (Object.keys(report.errors).length > 0) {
+        console.error(`Meeting deletion for jobId ${jobId} incomplete; keeping the meeting document so it can be retried.`, report.errors);
+        return report;
+    }
+
+    await runStep(report, 'meeting', () => deleteMeeting(jobId));
+    report.success = !report.errors.meeting;
+
+    console.log(`Meeting deletion for jobId ${jobId} finished:`, report.removed);
+    return report;
+};
+
+/**
+ * Deletes a meeting, or starts deleting it if the worker still has its audio.
+ *
+ * The meeting is first marked as being deleted, so it accepts no more uploads and the worker
+ * stores nothing more for it. If audio is still queued or being processed, nothing is removed
+ * yet, otherwise a chunk in flight would write new Qdrant points after the purge: the report is
+ * `pending` and the worker finishes the deletion once it has handled the last chunk
+ * (finishDeletionIfDrained). Calling this again retries a deletion that failed or is stuck.
+ *
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @returns {Promise<{success: boolean, pending: boolean, removed: Object, errors: Object}>} What was removed from each store.
+ */
+const requestMeetingDeletion = async (jobId) => {
+    const deletingAt = await markMeetingDeleting(jobId);
+    const outstanding = await countOutstandingChunks(jobId);
+    if (outstanding && Date.now() - new Date(deletingAt).getTime() < STALE_DELETION_MS) {
+        console.log(`Meeting deletion for jobId ${jobId} waits for ${outstanding} queued audio chunks; the worker finishes it.`);
+        return { success: false, pending: true, removed: {}, errors: {} };
+    }
+    if (outstanding) {
+        console.warn(`Meeting deletion for jobId ${jobId} still waiting for ${outstanding} audio chunks; deleting anyway.`);
+    }
+    return deleteMeetingCascade(jobId);
+};
+
+/**
+ * Completes a pending deletion once the worker has handled the meeting's last queued chunk.
+ * Does nothing for a meeting that is not being deleted or still has audio outstanding.
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @returns {Promise<Object|null>} The deletion report, or null if nothing was deleted.
+ */
+const finishDeletionIfDrained = async (jobId) => {
+    if (!(await isDrainedForDeletion(jobId))) return null;
+    return deleteMeetingCascade(jobId);
+};
+
+module.exports = {
+    requestMeetingDeletion,
+    finishDeletionIfDrained,
+};
@@ -3,6 +3,7 @@
 const { QdrantClient } = require('@qdrant/js-client-rest');
 const config = require('../utils/config'); // Adjust path based on your project structure
 const { getEmbedding } = require('./embedding/embeddingService'); // Reusing the existing embedding service
+const { MEETING_METADATA_FIELDS } = require('../utils/meetingMetadata');
 
 // Initialize Qdrant client
 const client = new QdrantClient({
@@ -14,18 +15,90 @@ const client = new QdrantClient({
 const TRANSCRIPTION_COLLECTION_NAME = config.TRANSCRIPTION_COLLECTION;
 const CHAT_COLLECTION_NAME = config.CHAT_COLLECTION;
 
+/**
+ * Builds the meeting-level fields stamped onto every Qdrant point of a meeting: ownership,
+ * so searches can be limited to what the caller is allowed to see, and the descriptive
+ * metadata, so retrieval can filter on it.
+ *
+ * @param {Object} meeting - The meeting from getMeetingInfo.
+ * @returns {Object} The payload fields.
+ */
+const buildMeetingPayload = (meeting) => ({
+    ownerId: meeting && meeting.owner ? meeting.owner.toString() : null,
+    workspaceId: meeting && meeting.workspaceId ? meeting.workspaceId.toString() : null,
+    ...buildMetadataPayload(meeting || {}),
+});
+
+/**
+ * Builds just the descriptive metadata part of a meeting's Qdrant payload.
+ *
+ * @param {Object} metadata - A meeting, or the fields from parseMeetingMetadata.
+ * @returns {Object} The payload fields that are present in `metadata`.
+ */
+const buildMetadataPayload = (metadata) => {
+    const payload = {};
+    for (const field of MEETING_METADATA_FIELDS) {
+        if (metadata[field] !== undefined) {
+            payload[field] = metadata[field];
+        }
+    }
+    return payload;
+};
+
+/**
+ * Builds the filter for a search in one meeting, or across meetings when jobId is null. It is
+ * optionally narrowed to points the caller can see (points they own, or points of meetings
+ * shared with one of their workspaces) and to meetings matching the metadata filters.
+ *
+ * @param {string|null} jobId - The jobId to filter by.
+ * @param {{userId: string, workspaceIds: Array<string>}} [access] - The caller's identity and workspaces.
+ * @param {{tags?: Array<string>, workspaceId?: string}} [filters] - Meetings with every one of the tags,
+ * and meetings shared with the workspace.
+ * @returns {Object} A Qdrant filter.
+ */
+const buildSearchFilter = (jobId, access, filters = {}) => {
+    const must = [];
+    if (jobId) {
+        must.push({
+            key: "jobId", // Assuming jobId is stored in the payload of the points
+            match: {
+                value: jobId,
+            },
+        });
+    }
+
+    if (access) {
+        const should = [{ key: "ownerId", match: { value: access.userId.toString() } }];
+        if (access.workspaceIds && access.workspaceIds.length > 0) {
+            should.push({ key: "workspaceId", match: { any: access.workspaceIds } });
+        }
+        must.push({ should });
+    }
+
+    for (const tag of filters.tags || []) {
+        must.push({ key: "tags", match: { value: tag } });
+    }
+    if (filters.workspaceId) {
+        must.push({ key: "workspaceId", match: { value: filters.workspaceId.toString() } });
+    }
+
+    return { must };
+};
+
 /**
  * Queries the 'transcriptions' Qdrant collection for semantically similar chunks
- * related to the user's prompt within a specific meeting.
+ * related to the user's prompt within a specific meeting, or across meetings.
  *
  * @param {string} userPrompt - The user's query text.
- * @param {string} jobId - The jobId to filter transcription chunks by.
+ * @param {string|null} jobId - The jobId to filter transcription chunks by, or null to search every meeting.
  * @param {number} [limit=5] - The maximum number of relevant transcription chunks to retrieve.
+ * @param {{userId: string, workspaceIds: Array<string>}} [access] - Limits results to points the caller can see.
+ * @param {{tags?: Array<string>, workspaceId?: string}} [filters] - Metadata the meetings must match, see buildSearchFilter.
  * @returns {Promise<Array<Object>>} An array of relevant transcription chunk payloads.
  */
-const queryTranscriptions = async (userPrompt, jobId, limit = 5) => {
+const queryTranscriptions = async (userPrompt, jobId, limit = 5, access = null, filters = {}) => {
     try {
-        console.log(`Qdrant: Querying '${TRANSCRIPTION_COLLECTION_NAME}' for jobId: ${jobId} with prompt: "${userPrompt.substring(0, 50)}..."`);
+        console.log(`Qdrant: Querying '${TRANSCRIPTION_COLLECTION_NAME}' for ${jobId ? `jobId: ${jobId}` : 'all meetings'} with prompt: "${userPrompt.substring(0, 50)}..."`);
         
         const queryVector = await getEmbedding(userPrompt);
 
@@ -36,16 +109,7 @@ const queryTranscriptions = async (userPrompt, jobId, limit = 5) => {
 
         const searchResult = await client.search(TRANSCRIPTION_COLLECTION_NAME, {
             vector: queryVector,
-            filter: {
-                must: [
-                    {
-                        key: "jobId", // Assuming jobId is stored in the payload of transcription chunks
-                        match: {
-                            value: jobId,
-                        },
-                    },
-                ],
-            },
+            filter: buildSearchFilter(jobId, access, filters),
             limit: limit,
             with_payload: true, // Return the stored payload
             with_vectors: false, // Don't return the vectors, just the payload
@@ -68,9 +132,10 @@ const queryTranscriptions = async (userPrompt, jobId, limit = 5) => {
  * @param {string} userPrompt - The user's query text.
  * @param {string} jobId - The jobId to filter chat pairs by.
  * @param {number} [limit=3] - The maximum number of relevant chat pairs to retrieve.
+ * @param {{userId: string, workspaceIds: Array<string>}} [access] - Limits results to points the caller can see.
  * @returns {Promise<Array<Object>>} An array of relevant chat pair payloads (userChat, aiChat).
  */
-const queryChats = async (userPrompt, jobId, limit = 3) => {
+const queryChats = async (userPrompt, jobId, limit = 3, access = null) => {
     try {
         console.log(`Qdrant: Querying '${CHAT_COLLECTION_NAME}' for jobId: ${jobId} with prompt: "${userPrompt.substring(0, 50)}..."`);
 
@@ -83,16 +148,7 @@ const queryChats = async (userPrompt, jobId, limit = 3) => {
 
         const searchResult = await client.search(CHAT_COLLECTION_NAME, {
             vector: queryVector,
-            filter: {
-                must: [
-                    {
-                        key: "jobId", // Assuming jobId is stored in the payload of chat pairs
-                        match: {
-                            value: jobId,
-                        },
-                    },
-                ],
-            },
+            filter: buildSearchFilter(jobId, access),
             limit: limit,
             with_payload: true, // Return the stored payload
             with_vectors: false, // Don't return the vectors, just the payload
@@ -109,6 +165,9 @@ const queryChats = async (userPrompt, jobId, limit = 3) => {
 };
 
 module.exports = {
+    buildMeetingPayload,
+    buildMetadataPayload,
+    buildSearchFilter,
     queryTranscriptions,
     queryChats,
 };
@@ -0,0 +1,257 @@
+// summarize.js
+const Groq = require('groq-sdk');
+const config = require('../utils/config');
+const { getCleanedChunks, getMeetingInfo, setMeetingSummary } = require('../db/mongoutils/transcription.db');
+const { replaceExtractedActionItems } = require('../db/mongoutils/actionItem.db');
+const { getMeetingTemplate } = require('../utils/meetingTemplates');
+const { getMeetingLanguage, getLanguageName, getNotesVariant } = require('../utils/languages');
+
+// Initialize Groq SDK with API key from a config file; without one meetings are not summarized
+const groq = config.GROQ_API_KEY ? new Groq({ apiKey: config.GROQ_API_KEY }) : null;
+
+// How many cleaned chunks go into one "map" prompt. Longer meetings are summarized
+// batch by batch and the partial notes are then merged, so no prompt holds the whole transcript.
+const CHUNKS_PER_BATCH = 40;
+
+// The output format shared by both prompts. The list sections come from the meeting's template.
+const buildNotesFormat = (sections, languageName) => `The output MUST be a single JSON object with exactly these keys:
+    - \`executive_summary\`: a concise paragraph (3-6 sentences) describing what the meeting covered and concluded.
+${sections.map(section => `    - \`${section.key}\`: an array of strings, one per ${section.description}.`).join('\n')}
+    - \`action_items\`: an array of objects with keys \`description\` (what needs to be done), \`owner\` (the person responsible, or null if not mentioned), \`due_date\` (the deadline as stated, e.g. "Friday" or "2024-07-01", or null if not mentioned) and \`section\` (the number of the section the item comes from, or null if unknown).
+
+    Write every text value in ${languageName || 'the language of the transcript'}; keep the JSON keys in English.
+    Do NOT invent owners, dates or list entries that are not supported by the input. Use empty arrays when there are none.
+    Do NOT add any extra text or commentary outside of the JSON object. Just provide the JSON.`;
+
+const SPEAKERS_UNKNOWN = 'Speakers are not identified.';
+const SPEAKERS_LABELLED = 'Lines labelled `Local:` were spoken by the person who recorded the meeting, lines labelled `Remote:` by the other participants. Use the labels to attribute decisions and action items, but do not use "Local" or "Remote" as an owner name unless no name is mentioned.';
+
+const buildMapPrompt = (sections, languageName, speakerLabels = false) => `You are a note-taker for a video conference. You will receive an ordered list of consecutive transcript sections from one part of a meeting. Each section is numbered and has a one-sentence summary followed by the refined dialogue. ${speakerLabels ? SPEAKERS_LABELLED : SPEAKERS_UNKNOWN}
+
+    Extract structured notes for this part of the meeting.
+
+    ${buildNotesFormat(sections, languageName)}`;
+
+const buildReducePrompt = (sections, languageName) => `You are a note-taker for a video conference. You will receive the structured notes for consecutive parts of one meeting, in order, as a JSON array. Merge them into the notes for the whole meeting.
+
+    Rules:
+    1. Write one executive summary for the whole meeting, not one per part.
+    2. Merge duplicate list entries and action items. If a later part resolves or supersedes an entry (for example answers an open question), drop it.
+    3. Keep owners, due dates and section numbers from whichever part mentions them.
+
+    ${buildNotesFormat(sections, languageName)}`;
+
+/**
+ * Sends a prompt to the LLM and parses the JSON object in its reply, with retries.
+ * @param {string} systemPrompt The system prompt.
+ * @param {string} userContent The user message.
+ * @returns {Promise<Object>} The parsed JSON object.
+ */
+const completeJson = async (systemPrompt, userContent) => {
+    const MAX_RETRIES = 3;
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        try {
+            console.log(`SUMMARY_LOG: Attempt ${attempt} of ${MAX_RETRIES} to generate notes.`);
+
+            const chatCompletion = await groq.chat.completions.create({
+                "messages": [
+                    {
+                        "role": "system",
+                        "content": systemPrompt
+                    },
+                    {
+                        "role": "user",
+                        "content": userContent
+                    }
+                ],
+                "model": "openai/gpt-oss-120b",
+                "temperature": 0.3,
+                "max_completion_tokens": 8192,
+                "top_p": 1,
+                "stream": false,
+                "reasoning_effort": "medium",
+                "stop": null
+            });
+
+            const fullResponse = chatCompletion.choices[0]?.message?.content || '';
+            const jsonMatch = fullResponse.match(/\{[\s\S]*\}/);
+
+            if (!jsonMatch) {
+                console.warn(`SUMMARY_LOG: No valid JSON object found on attempt ${attempt}. Retrying...`);
+                continue;
+            }
+
+            return JSON.parse(jsonMatch[0]);
+
+        } catch (e) {
+            console.error(`SUMMARY_LOG: Error generating notes on attempt ${attempt}:`, e.message);
+            if (attempt === MAX_RETRIES) {
+                console.error('SUMMARY_LOG: Max retries reached. Failing.');
+                throw e;
+            }
+        }
+    }
+
+    throw new Error('Failed to generate meeting notes after multiple attempts.');
+};
+
+// Coerces the LLM's notes into the shape stored on the Meeting document
+const normalizeNotes = (notes = {}, sections = []) => {
+    const strings = (list) => (Array.isArray(list) ? list : [])
+        .map(item => String(item || '').trim())
+        .filter(Boolean);
+
+    return {
+        executiveSummary: String(notes.executive_summary || '').trim(),
+        sections: sections.map(section => ({
+            key: section.key,
+            title: section.title,
+            items: strings(notes[section.key]),
+        })),
+        // Kept as top-level fields for clients written before templates; empty for other templates
+        keyDecisions: strings(notes.key_decisions),
+        openQuestions: strings(notes.open_questions),
+        actionItems: (Array.isArray(notes.action_items) ? notes.action_items : [])
+            .filter(item => item && item.description)
+            .map(item => ({
+                description: String(item.description).trim(),
+                owner: item.owner ? String(item.owner).trim() : undefined,
+                dueDate: item.due_date ? String(item.due_date).trim() : undefined,
+                // Sections are numbered from 1 across the whole meeting
+                chunkIndex: Number.isInteger(Number(item.section)) && Number(item.section) > 0
+                    ? Number(item.section) - 1
+                    : undefined,
+            })),
+    };
+};
+
+/**
+ * Produces structured notes for a meeting from its cleaned chunks.
+ * Each batch of chunks is summarized on its own (map), then the partial notes are merged (reduce).
+ * @param {Array<{summary: string, refinedText: string}>} chunks The meeting's cleaned chunks, in order.
+ * @param {Array<{key: string, title: string, description: string}>} sections The summary sections of the meeting's template.
+ * @param {string|null} [languageName] The language to write the notes in, e.g. 'German'.
+ * @param {boolean} [speakerLabels=false] Whether the dialogue's lines are labelled 'Local:' or 'Remote:'.
+ * @returns {Promise<Object>} The executive summary, template sections and action items.
+ */
+const summarizeChunks = async (chunks, sections = [], languageName = null, speakerLabels = false) => {
+    const mapPrompt = buildMapPrompt(sections, languageName, speakerLabels);
+    const batches = [];
+    for (let i = 0; i < chunks.length; i += CHUNKS_PER_BATCH) {
+        batches.push(chunks.slice(i, i + CHUNKS_PER_BATCH));
+    }
+
+    const partialNotes = [];
+    for (const [index, batch] of batches.entries()) {
+        console.log(`SUMMARY_LOG: Summarizing part ${index + 1} of ${batches.length} (${batch.length} chunks).`);
+        const offset = index * CHUNKS_PER_BATCH;
+        const userContent = batch
+            .map((chunk, i) => `## Section ${offset + i + 1}\nSummary: ${chunk.summary || ''}\n${chunk.refinedText}`)
+            .join('\n\n');
+        partialNotes.push(await completeJson(mapPrompt, userContent));
+    }
+
+    if (partialNotes.length === 1) {
+        return normalizeNotes(partialNotes[0], sections);
+    }
+
+    console.log(`SUMMARY_LOG: Merging notes from ${partialNotes.length} parts.`);
+    return normalizeNotes(await completeJson(buildReducePrompt(sections, languageName), JSON.stringify(partialNotes)), sections);
+};
+
+/**
+ * Copies a summary's action items into the cross-meeting tracker, linking each one
+ * back to the cleaned chunk it was taken from. Failures are logged, not thrown,
+ * so the summary itself is kept either way.
+ * @param {string} jobId The unique ID of the meeting session.
+ * @param {Array} actionItems The summary's action items.
+ * @param {Array} chunks The meeting's cleaned chunks, in order.
+ */
+const trackActionItems = async (jobId, actionItems, chunks) => {
+    try {
+        const items = actionItems.map(item => {
+            const chunk = item.chunkIndex !== undefined ? chunks[item.chunkIndex] : undefined;
+            return {
+                description: item.description,
+                assignee: item.owner,
+                dueDate: item.dueDate,
+                chunkId: chunk ? chunk._id : undefined,
+                chunkIndex: chunk ? item.chunkIndex : undefined,
+            };
+        });
+        await replaceExtractedActionItems(jobId, items);
+    } catch (error) {
+        console.error(`SUMMARY_LOG: Failed to track action items for meeting ${jobId}:`, error);
+    }
+};
+
+/**
+ * Generates and stores the structured summary of a meeting. The summary's status is
+ * 'pending' while it runs, then 'ready' or 'failed'.
+ * @param {string} jobId The unique ID of the meeting session.
+ * @returns {Promise<boolean>} True if a summary was stored.
+ */
+const generateMeetingSummary = async (jobId) => {
+    try {
+        const meeting = await getMeetingInfo(jobId);
+        // Translated meetings are summarized from their English version
+        const variant = getNotesVariant(meeting);
+        const chunks = meeting ? await getCleanedChunks(jobId, variant) : null;
+        if (!meeting || !chunks) {
+            console.warn(`SUMMARY_LOG: Meeting ${jobId} not found. Skipping summary.`);
+            return false;
+        }
+
+        if (!groq) {
+            console.warn(`SUMMARY_LOG: GROQ_API_KEY is not set. Skipping summary for meeting ${jobId}.`);
+            await setMeetingSummary(jobId, { status: 'failed', error: 'Summaries need GROQ_API_KEY to be set.', generatedAt: new Date() });
+            return false;
+        }
+
+        await setMeetingSummary(jobId, { status: 'pending' });
+        const sections = getMeetingTemplate(meeting).summarySections || [];
+
+        if (chunks.length === 0) {
+            await setMeetingSummary(jobId, {
+                status: 'ready',
+                executiveSummary: 'No speech was transcribed for this meeting.',
+                sections: sections.map(section => ({ key: section.key, title: section.title, items: [] })),
+                keyDecisions: [],
+                openQuestions: [],
+                actionItems: [],
+                generatedAt: new Date(),
+            });
+            return true;
+        }
+
+        const language = variant === 'translation' ? 'en' : getMeetingLanguage(meeting);
+        const notes = await summarizeChunks(chunks, sections, getLanguageName(language), !!meeting.speakerLabels);
+        const saved = await setMeetingSummary(jobId, { status: 'ready', ...notes, generatedAt: new Date() });
+        console.log(`SUMMARY_LOG: Summary stored for jobId ${jobId}.`);
+        if (saved) {
+            await trackActionItems(jobId, notes.actionItems, chunks);
+        }
+        return saved;
+    } catch (error) {
+        console.error(`SUMMARY_LOG: Failed to summarize meeting ${jobId}:`, error);
+        await setMeetingSummary(jobId, { status: 'failed', error: error.message, generatedAt: new Date() });
+        return false;
+    }
+};
+
+/**
+ * Starts summary generation in the background, for callers that must not wait on the LLM
+ * (the worker and the stop route).
+ * @param {string} jobId The unique ID of the meeting session.
+ */
+const scheduleMeetingSummary = (jobId) => {
+    generateMeetingSummary(jobId).catch(error => {
+        console.error(`SUMMARY_LOG: Unexpected error summarizing meeting ${jobId}:`, error);
+    });
+};
+
+module.exports = {
+    summarizeChunks,
+    generateMeetingSummary,
+    scheduleMeetingSummary,
+};
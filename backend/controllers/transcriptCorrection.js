@@ -0,0 +1,114 @@
+// controllers/transcriptCorrection.js
+
+const { getCleanedChunks, editCleanedChunk } = require('../db/mongoutils/transcription.db');
+const { updateTranscriptionPoint } = require('./embedding/embedTranscriptions');
+
+// Cleaned chunk times are estimated from the length of their text, so a segment is looked for in
+// the chunks around it too
+const CHUNK_TIME_MARGIN_SECONDS = 30;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Trims what two strings share at the start and end, as long as it isn't a letter or digit
+const trimSharedPunctuation = (from, to) => {
+    let start = 0;
+    while (start < from.length && start < to.length && from[start] === to[start] && !/[\p{L}\p{N}]/u.test(from[start])) {
+        start++;
+    }
+    let end = 0;
+    while (end < from.length - start && end < to.length - start
+        && from[from.length - 1 - end] === to[to.length - 1 - end] && !/[\p{L}\p{N}]/u.test(from[from.length - 1 - end])) {
+        end++;
+    }
+    return { from: from.slice(start, from.length - end).trim(), to: to.slice(start, to.length - end).trim() };
+};
+
+/**
+ * Works out what an edit of a segment corrected: the words between the longest run of words the
+ * old and new text start with and the longest run they end with.
+ * @param {string} oldText - The segment's previous text.
+ * @param {string} newText - Its corrected text.
+ * @returns {{from: string, to: string}|null} The words replaced, or null if nothing was replaced
+ * (e.g. words were only added, which can't be placed in other text).
+ */
+const findCorrection = (oldText, newText) => {
+    const oldWords = oldText.trim().split(/\s+/);
+    const newWords = newText.trim().split(/\s+/);
+    const shortest = Math.min(oldWords.length, newWords.length);
+
+    let start = 0;
+    while (start < shortest && oldWords[start] === newWords[start]) start++;
+    let end = 0;
+    while (end < shortest - start && oldWords[oldWords.length - 1 - end] === newWords[newWords.length - 1 - end]) end++;
+
+    const correction = trimSharedPunctuation(
+        oldWords.slice(start, oldWords.length - end).join(' '),
+        newWords.slice(start, newWords.length - end).join(' ')
+    );
+    return correction.from && correction.from !== correction.to ? correction : null;
+};
+
+/**
+ * Applies a correction to other text, e.g. a cleaned chunk. Matches whole words; whitespace in the
+ * corrected words matches any whitespace.
+ * @param {string} text - The text to correct.
+ * @param {{from: string, to: string}} correction - From findCorrection().
+ * @returns {{text: string, count: number}} The corrected text and how many places were corrected.
+ */
+const applyCorrection = (text, { from, to }) => {
+    const words = from.split(/\s+/).map(escapeRegExp).join('\\s+');
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${words}(?![\\p{L}\\p{N}])`, 'gu');
+    let count = 0;
+    const corrected = text.replace(pattern, () => {
+        count++;
+        return to;
+    });
+    return { text: corrected, count };
+};
+
+/**
+ * Carries a segment edit over to the cleaned chunks around the segment, and embeds the chunks
+ * again so search and chat see the corrected text.
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @param {Object} options
+ * @param {string} options.variant - 'original' or 'translation', the transcript the segment belongs to.
+ * @param {{start: number, end: number}} options.segment - The edited segment.
+ * @param {string} options.previousText - The segment's text before the edit.
+ * @param {string} options.text - Its corrected text.
+ * @param {string} options.editorId - The MongoDB _id of the user making the edit.
+ * @returns {Promise<{chunks: Array<Object>, notEmbedded: Array<string>, conflicts: Array<string>}>} The
+ * corrected chunks, the ids of those whose re-embedding failed and of those edited by someone else meanwhile.
+ */
+const correctCleanedChunks = async (jobId, { variant, segment, previousText, text, editorId }) => {
+    const report = { chunks: [], notEmbedded: [], conflicts: [] };
+    const correction = findCorrection(previousText, text);
+    if (!correction) return report;
+
+    const chunks = (await getCleanedChunks(jobId, variant)) || [];
+    const nearby = chunks.filter(chunk => typeof chunk.startSeconds === 'number' && typeof chunk.endSeconds === 'number'
+        && chunk.startSeconds <= segment.end + CHUNK_TIME_MARGIN_SECONDS
+        && chunk.endSeconds >= segment.start - CHUNK_TIME_MARGIN_SECONDS);
+
+    for (const chunk of nearby) {
+        const corrected = applyCorrection(chunk.refinedText, correction);
+        if (corrected.count === 0) continue;
+
+        const result = await editCleanedChunk(jobId, chunk._id, { refinedText: corrected.text }, editorId);
+        if (!result || result.conflict) {
+            report.conflicts.push(chunk._id.toString());
+            continue;
+        }
+        report.chunks.push(result.chunk);
+        if (result.chunk.pointId) {
+            const embedded = await updateTranscriptionPoint(result.chunk.pointId, result.chunk);
+            if (!embedded.success) report.notEmbedded.push(result.chunk._id.toString());
+        }
+    }
+    return report;
+};
+
+module.exports = {
+    findCorrection,
+    applyCorrection,
+    correctCleanedChunks,
+};
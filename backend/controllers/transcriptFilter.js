@@ -0,0 +1,186 @@
+// controllers/transcriptFilter.js
+
+// Whisper invents text on quiet or noisy audio. A segment is dropped when Whisper itself thinks
+// there was no speech (its own rule: high no-speech probability and low confidence), when the text
+// is so repetitive that it compresses too well, or when it is one of the phrases Whisper is known
+// to produce from silence (it was trained on subtitled videos).
+const NO_SPEECH_PROB_THRESHOLD = 0.6;
+const LOW_AVG_LOGPROB = -1.0;
+// A very high no-speech probability is enough on its own
+const CERTAIN_NO_SPEECH_PROB = 0.9;
+const MAX_COMPRESSION_RATIO = 2.4;
+
+// Compared against whole segments after normalizeText(), so real sentences that merely contain them are kept
+const HALLUCINATION_BLOCKLIST = [
+  "Thank you for watching.",
+  "Thanks for watching!",
+  "Thank you for watching and see you next time.",
+  "Thanks for watching and see you in the next video.",
+  "See you in the next video.",
+  "Please subscribe.",
+  "Please like and subscribe.",
+  "Like and subscribe.",
+  "Don't forget to like and subscribe.",
+  "Subscribe to my channel.",
+  "Please subscribe to my channel.",
+  "Subtitles by the Amara.org community",
+  "Transcription by CastingWords",
+  "Untertitel im Auftrag des ZDF, 2017",
+  "Untertitel im Auftrag des ZDF für funk, 2017",
+  "Untertitel der Amara.org-Community",
+  "Sous-titres réalisés par la communauté d'Amara.org",
+  "Sous-titrage ST' 501",
+];
+
+// Consecutive chunks that repeat at least this many words are treated as overlapping
+const MIN_OVERLAP_WORDS = 4;
+// How far into the new chunk the repeated words may start (Whisper often adds a cut-off word first)
+const MAX_OVERLAP_LEAD_WORDS = 2;
+// How much of the previous chunk's end is searched
+const OVERLAP_SEARCH_WORDS = 60;
+
+// Lowercases, strips accents, punctuation and speaker labels, and collapses whitespace
+const normalizeText = (text) =>
+  String(text || "")
+    .replace(/^(Local|Remote):\s*/gm, "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const BLOCKED_PHRASES = new Set(HALLUCINATION_BLOCKLIST.map(normalizeText));
+
+/**
+ * @description Joins timed segments back into transcript text. Segments with speaker labels
+ * become one "Speaker: ..." line per change of speaker.
+ * @param {Array<{text: string, speaker?: string}>} segments - The segments, in time order.
+ * @returns {string} The text.
+ */
+const buildTranscriptText = (segments) => {
+  if (!segments.some((segment) => segment.speaker)) {
+    return segments.map((segment) => segment.text).join(" ");
+  }
+
+  const lines = [];
+  for (const segment of segments) {
+    const last = lines[lines.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.text += ` ${segment.text}`;
+    } else {
+      lines.push({ speaker: segment.speaker, text: segment.text });
+    }
+  }
+  return lines.map((line) => `${line.speaker}: ${line.text}`).join("\n");
+};
+
+/**
+ * @description Says why a segment looks like a hallucination.
+ * @param {{text: string, noSpeechProb?: number, avgLogprob?: number, compressionRatio?: number}} segment
+ * @returns {string|null} The reason, or null if the segment is kept.
+ */
+const hallucinationReason = (segment) => {
+  const { noSpeechProb, avgLogprob, compressionRatio } = segment;
+  if (typeof noSpeechProb === "number") {
+    if (noSpeechProb >= CERTAIN_NO_SPEECH_PROB) return "no speech";
+    if (noSpeechProb > NO_SPEECH_PROB_THRESHOLD && typeof avgLogprob === "number" && avgLogprob < LOW_AVG_LOGPROB) {
+      return "no speech";
+    }
+  }
+  if (typeof compressionRatio === "number" && compressionRatio > MAX_COMPRESSION_RATIO) {
+    return "repetitive";
+  }
+  const normalized = normalizeText(segment.text);
+  if (!normalized) return "empty";
+  if (BLOCKED_PHRASES.has(normalized)) return "blocklisted";
+  return null;
+};
+
+/**
+ * @description Finds where a chunk's text stops repeating the end of the previous chunk.
+ * @param {Array<string>} previousWords - The previous chunk's normalized words.
+ * @param {Array<string>} words - This chunk's normalized words.
+ * @returns {number} How many of this chunk's leading words are a repeat (0 if none).
+ */
+const overlapLength = (previousWords, words) => {
+  const tail = previousWords.slice(-OVERLAP_SEARCH_WORDS);
+  for (let lead = 0; lead <= MAX_OVERLAP_LEAD_WORDS; lead++) {
+    // Prefer the longest repeat
+    for (let length = Math.min(tail.length, words.length - lead); length >= MIN_OVERLAP_WORDS; length--) {
+      const suffix = tail.slice(-length);
+      if (suffix.every((word, i) => word === words[lead + i])) {
+        return lead + length;
+      }
+    }
+  }
+  return 0;
+};
+
+/**
+ * @description Removes the first `count` words from a list of segments, dropping segments that
+ * are used up and shortening the one the cut falls in.
+ * @param {Array<Object>} segments - The segments, in time order.
+ * @param {number} count - How many words to remove.
+ * @returns {Array<Object>} The remaining segments.
+ */
+const dropLeadingWords = (segments, count) => {
+  let remaining = count;
+  const kept = [];
+  for (const segment of segments) {
+    if (remaining <= 0) {
+      kept.push(segment);
+      continue;
+    }
+    // Words are counted the way normalizeText() sees them, so punctuation-only tokens don't count
+    const tokens = segment.text.split(/\s+/).filter(Boolean);
+    let cut = 0;
+    while (cut < tokens.length && remaining > 0) {
+      if (normalizeText(tokens[cut])) remaining--;
+      cut++;
+    }
+    if (cut < tokens.length) {
+      kept.push({ ...segment, text: tokens.slice(cut).join(" ") });
+    }
+  }
+  return kept;
+};
+
+/**
+ * @description Filters one chunk's transcription before it is stored, in place: drops segments that
+ * look like hallucinations, then drops leading text that repeats the end of the previous chunk.
+ * @param {Object} result - A successful result of transcribe() or translate().
+ * @param {string} [previousText] - The stored text of the meeting's previous chunk (same version).
+ * @returns {{removed: Array<{text: string, reason: string}>, overlapWords: number}} What was filtered out.
+ */
+const filterTranscript = (result, previousText) => {
+  const removed = [];
+  const timed = result.segments && result.segments.length > 0;
+  // Results without timings are checked as one segment
+  const candidates = timed ? result.segments : result.transcription ? [{ text: result.transcription }] : [];
+
+  let kept = candidates.filter((segment) => {
+    const reason = hallucinationReason(segment);
+    if (reason) removed.push({ text: segment.text, reason });
+    return !reason;
+  });
+
+  const words = normalizeText(kept.map((segment) => segment.text).join(" ")).split(" ").filter(Boolean);
+  const previousWords = normalizeText(previousText).split(" ").filter(Boolean);
+  const overlapWords = previousWords.length > 0 ? overlapLength(previousWords, words) : 0;
+  if (overlapWords > 0) {
+    kept = dropLeadingWords(kept, overlapWords);
+  }
+
+  if (removed.length > 0 || overlapWords > 0) {
+    if (timed) result.segments = kept;
+    result.transcription = buildTranscriptText(kept);
+  }
+  return { removed, overlapWords };
+};
+
+module.exports = {
+  HALLUCINATION_BLOCKLIST,
+  buildTranscriptText,
+  filterTranscript,
+};
@@ -1,24 +1,27 @@
 // controllers/transcription.js
 
-const Groq = require("groq-sdk");
-const config = require("../utils/config");
+const { getTranscriptionProvider } = require("./transcriptionProviders");
+const { AUTO_LANGUAGE, normalizeLanguage } = require("../utils/languages");
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
-// Initialize Groq client
-const groq = new Groq({
-  apiKey: config.GROQ_API_KEY,
-});
-
 /**
- * Transcribes audio using Groq's Whisper API
+ * Transcribes audio with the configured transcription provider (Whisper on Groq by default)
  * @param {Buffer} audioBuffer - The audio data as a Buffer
  * @param {Object} metadata - File metadata including originalFileName, mimetype, etc.
- * @returns {Promise<{success: boolean, transcription?: string, error?: string}>}
+ * @param {Object} [options]
+ * @param {string} [options.language] - ISO-639-1 code of the spoken language, or 'auto' (or nothing) to let Whisper detect it.
+ * @param {boolean} [options.translate=false] - Translate the speech into English instead of transcribing it as spoken.
+ * @param {string} [options.prompt] - Text that biases the spelling of terms, e.g. from buildTranscriptionPrompt.
+ * @returns {Promise<{success: boolean, transcription?: string, segments?: Array<{start: number, end: number, text: string}>, language?: string, error?: string}>}
+ * Segment times are in seconds from the start of this audio chunk. Segments also carry `noSpeechProb`, `avgLogprob` and
+ * `compressionRatio` when the provider reports them. `language` is the code Whisper used or detected.
  */
-async function transcribe(audioBuffer, metadata = {}) {
+async function transcribe(audioBuffer, metadata = {}, options = {}) {
   console.log("TRANSCRIPTION_LOG: Entering transcribe function.");
+  // Only this call's file is removed afterwards; other uploads may be using the temp directory
+  let tempFilePath;
 
   try {
     // Validate inputs
@@ -38,7 +41,7 @@ async function transcribe(audioBuffer, metadata = {}) {
     // Create a temporary file from the buffer
     const tempDir = os.tmpdir();
     const tempFileName = `audio_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.webm`;
-    const tempFilePath = path.join(tempDir, tempFileName);
+    tempFilePath = path.join(tempDir, tempFileName);
 
     console.log(`TRANSCRIPTION_LOG: Writing buffer to temporary file: ${tempFilePath}`);
     
@@ -47,38 +50,50 @@ async function transcribe(audioBuffer, metadata = {}) {
     
     console.log(`TRANSCRIPTION_LOG: Temporary file created. Size: ${fs.statSync(tempFilePath).size} bytes`);
 
-    // Create file stream for Groq API
-    const fileStream = fs.createReadStream(tempFilePath);
-
-    console.log(`TRANSCRIPTION_LOG: Calling Groq API for transcription with model: "whisper-large-v3"...`);
-
-    // Call Groq transcription API
-    const transcription = await groq.audio.transcriptions.create({
-      file: fileStream,
-      model: "whisper-large-v3",
-      language: "en", // You can make this configurable
-      response_format: "text",
-      temperature: 0.0,
+    const provider = getTranscriptionProvider();
+    const task = options.translate ? "translation" : "transcription";
+    console.log(`TRANSCRIPTION_LOG: Calling ${provider.name} provider for ${task} with model: "${provider.model}"...`);
+
+    // Providers reply in Whisper's verbose_json shape, with segment-level timings and the detected language.
+    // Without a language Whisper detects it from the audio.
+    const language = options.language && options.language !== AUTO_LANGUAGE ? options.language : undefined;
+    const transcription = await provider.transcribe({
+      filePath: tempFilePath,
+      fileName: tempFileName,
+      audioBuffer,
+      language: options.translate ? undefined : language,
+      translate: !!options.translate,
+      prompt: options.prompt,
+      durationSeconds: metadata.duration,
     });
 
-    // Clean up temporary file
-    try {
-      fs.unlinkSync(tempFilePath);
-      console.log("TRANSCRIPTION_LOG: Temporary file cleaned up successfully.");
-    } catch (cleanupError) {
-      console.warn("TRANSCRIPTION_WARNING: Failed to clean up temporary file:", cleanupError.message);
-    }
+    const text = transcription?.text || "";
+    const segments = (transcription?.segments || [])
+      .map((segment) => ({
+        start: Number(segment.start) || 0,
+        end: Number(segment.end) || 0,
+        text: String(segment.text || "").trim(),
+        // Whisper's confidence signals, used to filter hallucinations; not stored
+        ...(typeof segment.no_speech_prob === "number" ? { noSpeechProb: segment.no_speech_prob } : {}),
+        ...(typeof segment.avg_logprob === "number" ? { avgLogprob: segment.avg_logprob } : {}),
+        ...(typeof segment.compression_ratio === "number" ? { compressionRatio: segment.compression_ratio } : {}),
+      }))
+      .filter((segment) => segment.text.length > 0);
 
     console.log("TRANSCRIPTION_LOG: Transcription completed successfully.");
-    console.log(`TRANSCRIPTION_LOG: Transcription length: ${transcription?.length || 0} characters`);
+    console.log(`TRANSCRIPTION_LOG: Transcription length: ${text.length} characters in ${segments.length} segments`);
 
     return {
       success: true,
-      transcription: transcription || "",
+      transcription: text,
+      segments: segments,
+      language: options.translate
+        ? "en"
+        : normalizeLanguage(transcription?.language) || language || null,
     };
 
   } catch (error) {
-    console.error("TRANSCRIPTION_ERROR: Groq Transcription API Error caught:");
+    console.error("TRANSCRIPTION_ERROR: Transcription provider error caught:");
     console.error("   Message:", error.message);
     console.error("   Error type:", error.constructor.name);
     
@@ -92,31 +107,34 @@ async function transcribe(audioBuffer, metadata = {}) {
     
     console.error("   Error Stack:", error.stack);
 
-    // Clean up temporary file if it exists
-    const tempDir = os.tmpdir();
-    const possibleTempFiles = fs.readdirSync(tempDir).filter(file => 
-      file.startsWith('audio_') && file.endsWith('.webm')
-    );
-    
-    for (const tempFile of possibleTempFiles) {
-      try {
-        const tempFilePath = path.join(tempDir, tempFile);
-        if (fs.existsSync(tempFilePath)) {
-          fs.unlinkSync(tempFilePath);
-          console.log(`TRANSCRIPTION_LOG: Cleaned up temporary file: ${tempFile}`);
-        }
-      } catch (cleanupError) {
-        console.warn(`TRANSCRIPTION_WARNING: Failed to clean up temp file ${tempFile}:`, cleanupError.message);
-      }
-    }
-
     return {
       success: false,
       error: error.message,
     };
   } finally {
+    // Clean up temporary file
+    if (tempFilePath && fs.existsSync(tempFilePath)) {
+      try {
+        fs.unlinkSync(tempFilePath);
+        console.log("TRANSCRIPTION_LOG: Temporary file cleaned up successfully.");
+      } catch (cleanupError) {
+        console.warn("TRANSCRIPTION_WARNING: Failed to clean up temporary file:", cleanupError.message);
+      }
+    }
     console.log("TRANSCRIPTION_LOG: Exiting transcribe function.");
   }
 }
 
-module.exports = { transcribe };
\ No newline at end of file
+/**
+ * Translates the speech in an audio chunk into English with the configured transcription provider.
+ * Returns the same shape as transcribe(), with `language` always 'en'.
+ * @param {Buffer} audioBuffer - The audio data as a Buffer
+ * @param {Object} metadata - File metadata including originalFileName, mimetype, etc.
+ * @param {Object} [options]
+ * @param {string} [options.prompt] - Text that biases the spelling of terms.
+ */
+async function translate(audioBuffer, metadata = {}, options = {}) {
+  return transcribe(audioBuffer, metadata, { prompt: options.prompt, translate: true });
+}
+
+module.exports = { transcribe, translate };
\ No newline at end of file
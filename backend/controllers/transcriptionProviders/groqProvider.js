@@ -0,0 +1,41 @@
+// controllers/transcriptionProviders/groqProvider.js
+
+const Groq = require("groq-sdk");
+const fs = require("fs");
+
+/**
+ * Creates the provider that transcribes with Whisper on Groq.
+ * @param {Object} options
+ * @param {string} options.apiKey - The Groq API key.
+ * @param {string} [options.model="whisper-large-v3"] - The Whisper model to use.
+ * @returns {Object} A transcription provider.
+ */
+const createGroqProvider = ({ apiKey, model = "whisper-large-v3" }) => {
+  if (!apiKey) {
+    throw new Error("GROQ_API_KEY or TRANSCRIPTION_API_KEY must be set to use the groq transcription provider.");
+  }
+  const groq = new Groq({ apiKey });
+
+  return {
+    name: "groq",
+    model,
+    async transcribe({ filePath, language, translate, prompt }) {
+      const request = {
+        file: fs.createReadStream(filePath),
+        model,
+        response_format: "verbose_json",
+        temperature: 0.0,
+      };
+      if (prompt) request.prompt = prompt;
+      if (translate) {
+        // Translations always come out in English
+        return groq.audio.translations.create(request);
+      }
+      request.timestamp_granularities = ["segment"];
+      if (language) request.language = language;
+      return groq.audio.transcriptions.create(request);
+    },
+  };
+};
+
+module.exports = { createGroqProvider };
@@ -0,0 +1,72 @@
+// controllers/transcriptionProviders/index.js
+
+// A transcription provider turns one audio file into a Whisper verbose_json style reply:
+//   { text, language?, segments?: [{ start, end, text, ... }] }
+// Every provider has a `name`, a `model` and one method:
+//   transcribe({ filePath, fileName, audioBuffer, language, translate, prompt, durationSeconds }) => Promise<reply>
+// `language` is an ISO-639-1 code, or undefined to let the model detect it. With `translate`
+// the speech is translated into English instead. `prompt` is optional text that biases the
+// spelling of terms (providers that can't use it ignore it). The provider is chosen with TRANSCRIPTION_PROVIDER.
+
+const config = require("../../utils/config");
+const { createGroqProvider } = require("./groqProvider");
+const { createOpenAICompatibleProvider } = require("./openaiCompatibleProvider");
+const { createMockProvider } = require("./mockProvider");
+
+const PROVIDER_FACTORIES = {
+  groq: createGroqProvider,
+  "openai-compatible": createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+const TRANSCRIPTION_PROVIDERS = Object.keys(PROVIDER_FACTORIES);
+
+let currentProvider = null;
+
+/**
+ * Creates a transcription provider by name.
+ * @param {string} name - One of TRANSCRIPTION_PROVIDERS.
+ * @param {Object} [options] - Passed to the provider's factory (apiKey, baseUrl, model, fixturesDir).
+ * @returns {Object} The provider.
+ */
+const createTranscriptionProvider = (name, options = {}) => {
+  if (!Object.prototype.hasOwnProperty.call(PROVIDER_FACTORIES, name)) {
+    throw new Error(
+      `Unknown transcription provider "${name}". Use one of: ${TRANSCRIPTION_PROVIDERS.join(", ")}.`
+    );
+  }
+  return PROVIDER_FACTORIES[name](options);
+};
+
+/**
+ * Returns the provider selected in the config, creating it on first use.
+ * @returns {Object} The provider.
+ */
+const getTranscriptionProvider = () => {
+  if (!currentProvider) {
+    const name = config.TRANSCRIPTION_PROVIDER;
+    currentProvider = createTranscriptionProvider(name, {
+      // Groq keeps using the key shared with the cleaning and summary calls unless one is set
+      apiKey: config.TRANSCRIPTION_API_KEY || (name === "groq" ? config.GROQ_API_KEY : undefined),
+      baseUrl: config.TRANSCRIPTION_API_URL,
+      model: config.TRANSCRIPTION_MODEL,
+      fixturesDir: config.TRANSCRIPTION_FIXTURES_DIR,
+    });
+  }
+  return currentProvider;
+};
+
+/**
+ * Replaces the provider for the rest of the process, e.g. with a mock in a test script.
+ * @param {Object|null} provider - The provider, or null to go back to the one in the config.
+ */
+const setTranscriptionProvider = (provider) => {
+  currentProvider = provider;
+};
+
+module.exports = {
+  TRANSCRIPTION_PROVIDERS,
+  createTranscriptionProvider,
+  getTranscriptionProvider,
+  setTranscriptionProvider,
+};
@@ -0,0 +1,44 @@
+// controllers/transcriptionProviders/mockProvider.js
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Creates a provider that never leaves the machine, for running the worker offline and in tests.
+ * Replies are looked up by the SHA-256 of the audio in the fixtures directory:
+ *   <hash>.translation.json  (translations only)
+ *   <hash>.json
+ *   default.json
+ * Each fixture is a Whisper verbose_json reply ({ text, language, segments }). Without a matching
+ * fixture the reply is generated from the hash, so the same audio always gives the same text.
+ * @param {Object} [options]
+ * @param {string} [options.fixturesDir] - The directory to read fixtures from.
+ * @returns {Object} A transcription provider.
+ */
+const createMockProvider = ({ fixturesDir } = {}) => ({
+  name: "mock",
+  model: "fixture",
+  async transcribe({ audioBuffer, language, translate, durationSeconds }) {
+    const hash = crypto.createHash("sha256").update(audioBuffer).digest("hex");
+
+    if (fixturesDir) {
+      const names = [...(translate ? [`${hash}.translation.json`] : []), `${hash}.json`, "default.json"];
+      for (const name of names) {
+        const file = path.join(fixturesDir, name);
+        if (fs.existsSync(file)) {
+          return JSON.parse(fs.readFileSync(file, "utf8"));
+        }
+      }
+    }
+
+    const text = `Mock ${translate ? "translation" : "transcription"} of audio ${hash.slice(0, 8)}.`;
+    return {
+      text,
+      language: translate ? "en" : language || "en",
+      segments: [{ start: 0, end: Number(durationSeconds) || 0, text }],
+    };
+  },
+});
+
+module.exports = { createMockProvider };
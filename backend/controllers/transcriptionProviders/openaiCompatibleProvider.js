@@ -0,0 +1,53 @@
+// controllers/transcriptionProviders/openaiCompatibleProvider.js
+
+const axios = require("axios");
+const FormData = require("form-data");
+const fs = require("fs");
+
+// Whisper servers can take a while on long chunks
+const REQUEST_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Creates a provider for any server that implements OpenAI's /audio/transcriptions and
+ * /audio/translations endpoints, such as OpenAI itself or a self-hosted Whisper server.
+ * @param {Object} options
+ * @param {string} options.baseUrl - The API root, e.g. "https://api.openai.com/v1" or "http://localhost:8000/v1".
+ * @param {string} [options.apiKey] - Sent as a bearer token when set.
+ * @param {string} [options.model="whisper-1"] - The model name the server expects.
+ * @returns {Object} A transcription provider.
+ */
+const createOpenAICompatibleProvider = ({ baseUrl, apiKey, model = "whisper-1" }) => {
+  if (!baseUrl) {
+    throw new Error("TRANSCRIPTION_API_URL must be set to use the openai-compatible transcription provider.");
+  }
+  const root = baseUrl.replace(/\/+$/, "");
+
+  return {
+    name: "openai-compatible",
+    model,
+    async transcribe({ filePath, fileName, language, translate, prompt }) {
+      const form = new FormData();
+      form.append("file", fs.createReadStream(filePath), { filename: fileName });
+      form.append("model", model);
+      form.append("response_format", "verbose_json");
+      form.append("temperature", "0");
+      if (prompt) form.append("prompt", prompt);
+      if (!translate) {
+        form.append("timestamp_granularities[]", "segment");
+        if (language) form.append("language", language);
+      }
+
+      const response = await axios.post(`${root}/audio/${translate ? "translations" : "transcriptions"}`, form, {
+        headers: {
+          ...form.getHeaders(),
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        maxBodyLength: Infinity,
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+      return response.data;
+    },
+  };
+};
+
+module.exports = { createOpenAICompatibleProvider };
@@ -1,18 +1,40 @@
 // controllers/worker.js
 
 const amqp = require("amqplib");
-const { transcribe } = require("./transcription");
+const { transcribe, translate } = require("./transcription");
 const { clean } = require("./clean");
-const { upsertTranscriptionChunks } = require("./embedding/embedTranscriptions");
+const { splitSpeakerChannels, preprocessAudio, toSourceTime } = require("./audioProcessing");
+const { buildTranscriptText, filterTranscript } = require("./transcriptFilter");
+const { getTranscriptionProvider } = require("./transcriptionProviders");
+const { upsertTranscriptionChunks, deleteChunkPoints } = require("./embedding/embedTranscriptions");
 const { createTranCollection } = require("./embedding/embedTranscriptions");
 const { createChatCollection } = require("./embedding/embedChat");
-const { appendTranscription, getMeetingStatus } = require("../db/mongoutils/transcription.db");
+const { scheduleMeetingSummary } = require("./summarize");
+const { finishDeletionIfDrained } = require("./meetingDeletion");
+const { buildMeetingPayload } = require("./queryVectordb");
+const {
+  appendTranscription,
+  appendCleanedChunks,
+  appendTranslation,
+  getPrecedingChunkText,
+  getMeetingInfo,
+  recordChunkHandled,
+  recordSilence,
+  recordSilentChunk,
+  hasCleanedChunks,
+  setDetectedLanguage,
+  keepAudioFile,
+} = require("../db/mongoutils/transcription.db");
+const { v4: uuidv4 } = require("uuid");
 const {
   fetchAudioFile,
   deleteAudioFile,
   initialiseCloudinary,
 } = require("../db/cloudinary-utils/audio.db"); // Cloudinary utils
 const config = require("../utils/config");
+const { shouldTranslate, getMeetingLanguage } = require("../utils/languages");
+const { buildTranscriptionPrompt, applyGlossary } = require("../utils/glossary");
+const { resolveMeetingGlossary, resolveAudioRetentionDays } = require("../db/mongoutils/workspace.db");
 
 const audioQueue = "audio_queue";
 const CLOUDAMQP_URL = config.CLOUDAMQP_URL;
@@ -20,6 +42,246 @@ const CLOUDAMQP_URL = config.CLOUDAMQP_URL;
 let globalConnection = null;
 let globalChannel = null;
 
+/**
+ * @description Finishes deleting a meeting whose deletion was waiting for the chunk just handled.
+ * Runs after the chunk's audio was kept or deleted, so the purge removes everything it left.
+ * @param {string} jobId - The unique ID of the meeting session.
+ */
+const finishPendingDeletion = async (jobId) => {
+  try {
+    await finishDeletionIfDrained(jobId);
+  } catch (error) {
+    console.error(`Worker: Failed to finish deleting meeting ${jobId}:`, error);
+  }
+};
+
+/**
+ * @description Spreads an audio chunk's time span over the cleaned chunks made from it,
+ * in proportion to the length of each chunk's text. Cleaned text is rewritten and cannot
+ * be matched exactly to Whisper's timed segments, so this is an estimate.
+ * @param {Array<Object>} cleanedChunks - The chunks returned by clean(), in order. Updated in place.
+ * @param {{startSeconds: number, endSeconds: number}} span - Where the audio chunk falls in the meeting.
+ */
+const assignTimeOffsets = (cleanedChunks, span) => {
+  const lengths = cleanedChunks.map((chunk) => (chunk.refined_text || "").length);
+  const total = lengths.reduce((sum, length) => sum + length, 0) || 1;
+  const duration = span.endSeconds - span.startSeconds;
+
+  let offset = span.startSeconds;
+  cleanedChunks.forEach((chunk, i) => {
+    chunk.startSeconds = offset;
+    offset += (duration * lengths[i]) / total;
+    chunk.endSeconds = offset;
+  });
+};
+
+/**
+ * @description Works out where a queued chunk belongs in the meeting: its upload's sequence number,
+ * its index within a split upload, and, when the client sent the upload's offset in the recording,
+ * where its own part of the audio starts.
+ * @param {Object} metadata - The queue message metadata.
+ * @returns {{sequence?: number, part: number, startSeconds?: number}} The position for appendTranscription.
+ */
+const chunkPosition = (metadata) => {
+  const { segment } = metadata;
+  const position = { sequence: metadata.sequence, part: segment ? segment.index : 0 };
+  if (typeof metadata.offsetSeconds === "number") {
+    position.startSeconds =
+      metadata.offsetSeconds + (segment ? segment.offsetSeconds + segment.keepFromSeconds : 0);
+  }
+  return position;
+};
+
+/**
+ * @description Logs what filterTranscript() removed from a chunk.
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @param {string} variant - 'original' or 'translation'.
+ * @param {{removed: Array<{text: string, reason: string}>, overlapWords: number}} filtered - Its result.
+ */
+const logFiltered = (jobId, variant, { removed, overlapWords }) => {
+  for (const item of removed) {
+    console.log(`Worker: Dropped ${variant} segment for jobId ${jobId} (${item.reason}): "${item.text}"`);
+  }
+  if (overlapWords > 0) {
+    console.log(
+      `Worker: Dropped ${overlapWords} words of ${variant} text repeating the previous chunk for jobId ${jobId}`
+    );
+  }
+};
+
+/**
+ * @description Transcribes (or translates) each track of an audio chunk and merges the results.
+ * Silent tracks are skipped, and segment times are mapped from the preprocessed audio back to the
+ * chunk. With one track per speaker, every segment is labelled with its speaker and the text
+ * becomes one "Speaker: ..." line per change of speaker.
+ * @param {Array<Object>} tracks - The chunk's tracks: { speaker } plus the result of preprocessAudio().
+ * @param {Function} run - Transcribes one buffer, e.g. (buffer) => transcribe(buffer, metadata, options).
+ * @returns {Promise<Object>} The same shape as transcribe(); an empty transcription if every track is silent.
+ */
+const transcribeTracks = async (tracks, run) => {
+  const segments = [];
+  let transcription = "";
+  let language = null;
+  let longestText = 0;
+  for (const track of tracks) {
+    if (track.silent) continue;
+
+    const result = await run(track.buffer);
+    if (!result.success) {
+      return {
+        success: false,
+        error: track.speaker ? `${track.speaker} track: ${result.error}` : result.error,
+      };
+    }
+    const text = (result.transcription || "").trim();
+    let trackSegments = result.segments || [];
+    // Whisper gives no segments for some replies; keep a speaker's text as one segment then
+    if (track.speaker && trackSegments.length === 0 && text) {
+      trackSegments = [{ start: 0, end: 0, text }];
+    }
+    segments.push(
+      ...trackSegments.map((segment) => ({
+        ...segment,
+        start: toSourceTime(segment.start, track.timeMap),
+        end: toSourceTime(segment.end, track.timeMap),
+        ...(track.speaker ? { speaker: track.speaker } : {}),
+      }))
+    );
+    transcription = text;
+    // The track with the most speech decides the detected language
+    if (result.language && text.length > longestText) {
+      language = result.language;
+      longestText = text.length;
+    }
+  }
+  segments.sort((a, b) => a.start - b.start);
+
+  return {
+    success: true,
+    transcription: tracks.some((track) => track.speaker) ? buildTranscriptText(segments) : transcription,
+    segments,
+    language,
+  };
+};
+
+/**
+ * @description Drops the part of a split upload's segment that its neighbours also transcribe, in place.
+ * Whisper segments are kept if they start inside the segment's own range, and are shifted so their
+ * times count from the start of that range. Results without timings are kept whole.
+ * @param {Object} result - A successful result of transcribe() or translate().
+ * @param {Object} [segment] - The queue message's metadata.segment; nothing is trimmed without one.
+ */
+const trimToOwnedRange = (result, segment) => {
+  if (!segment || !result.segments || result.segments.length === 0) return;
+  const { keepFromSeconds, keepUntilSeconds } = segment;
+
+  result.segments = result.segments
+    .filter((s) => s.start >= keepFromSeconds && s.start < keepUntilSeconds)
+    .map((s) => ({
+      ...s,
+      start: s.start - keepFromSeconds,
+      end: Math.min(s.end, keepUntilSeconds) - keepFromSeconds,
+    }));
+  result.transcription = buildTranscriptText(result.segments);
+};
+
+/**
+ * @description Replaces the glossary's known wrong spellings in a transcription result, in place.
+ * @param {Object} result - A successful result of transcribe() or translate().
+ * @param {Array<{term: string, variants: Array<string>}>} glossary - The meeting's glossary.
+ */
+const applyGlossaryToResult = (result, glossary) => {
+  if (glossary.length === 0) return;
+  result.transcription = applyGlossary(result.transcription, glossary);
+  result.segments = (result.segments || []).map((segment) => ({
+    ...segment,
+    text: applyGlossary(segment.text, glossary),
+  }));
+};
+
+/**
+ * @description Checks whether a chunk still has to be cleaned and embedded. A chunk that was stored
+ * before may have failed between being stored and being cleaned, so only one whose cleaned chunks
+ * are stored is done.
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @param {Object} span - Where the chunk is, as returned by appendTranscription.
+ * @param {string} variant - 'original' or 'translation'.
+ * @returns {Promise<boolean>} True if it still has to be cleaned and embedded.
+ */
+const needsCleaning = async (jobId, span, variant) =>
+  !span.duplicate || !(await hasCleanedChunks(jobId, span, variant));
+
+/**
+ * @description Cleans one version of an audio chunk's text, embeds the cleaned chunks into
+ * Qdrant and stores them on the meeting. Throws if any step fails.
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @param {Object} meeting - The meeting from getMeetingInfo.
+ * @param {string} text - The raw transcript (or translation) of the audio chunk.
+ * @param {{startSeconds: number, endSeconds: number, sequence: number, part: number}} span - Where the audio
+ * chunk falls in the meeting, as returned by appendTranscription.
+ * @param {Object} metadata - The queue message metadata.
+ * @param {Object} options
+ * @param {string} options.variant - 'original' or 'translation'.
+ * @param {string} [options.language] - Overrides the meeting's language for cleaning (e.g. 'en' for translations).
+ * @param {boolean} options.chapters - Whether the chunks' summaries become chapters.
+ * @param {boolean} [options.speakerLabels] - Whether the text's lines are prefixed with 'Local:' or 'Remote:'.
+ * @param {Array<Object>} [options.glossary] - The meeting's glossary, so cleaning can fix misspelled terms.
+ */
+const cleanAndEmbed = async (
+  jobId,
+  meeting,
+  text,
+  span,
+  metadata,
+  { variant, language, chapters, speakerLabels, glossary }
+) => {
+  console.log(`Worker: Cleaning ${variant} text...`);
+  const cleanedChunks = await clean(text, meeting, { language, speakerLabels, glossary });
+  console.log(
+    `Worker: Cleaned ${variant} text into ${cleanedChunks.length} structured chunks.`
+  );
+
+  if (cleanedChunks.length === 0) return;
+
+  // Points left by an earlier attempt at this chunk would otherwise be searched twice
+  if (span.duplicate) {
+    const deleted = await deleteChunkPoints(jobId, span, variant);
+    if (!deleted.success) {
+      throw new Error(`Failed to delete earlier points: ${deleted.error}`);
+    }
+  }
+
+  // Give each chunk its Qdrant point id up front so the stored chunk can reference it
+  cleanedChunks.forEach((chunk) => {
+    chunk.pointId = uuidv4();
+    chunk.sequence = span.sequence;
+    chunk.part = span.part;
+    chunk.variant = variant;
+    chunk.language = language || getMeetingLanguage(meeting);
+  });
+  assignTimeOffsets(cleanedChunks, span);
+
+  console.log(`Worker: Embedding ${variant} transcription chunks...`);
+  const embedResult = await upsertTranscriptionChunks(
+    jobId,
+    cleanedChunks,
+    metadata,
+    buildMeetingPayload(meeting)
+  );
+  if (!embedResult.success) {
+    throw new Error(
+      `Embedding and upsert failed: ${embedResult.error}`
+    );
+  }
+  console.log(`Worker: Embedding completed successfully.`);
+
+  // Keep the refined chunks on the meeting for the post-meeting summary, and their summaries as chapters
+  const storedChunks = await appendCleanedChunks(jobId, cleanedChunks, { chapters });
+  if (!storedChunks) {
+    throw new Error(`Failed to store cleaned chunks for jobId: ${jobId}`);
+  }
+};
+
 /**
  * @description Starts the persistent worker that consumes audio transcription jobs from the RabbitMQ queue.
  */
@@ -28,6 +290,10 @@ const startWorker = async () => {
     // Initialise Cloudinary once
     initialiseCloudinary();
 
+    // Fail at startup rather than on the first job if the transcription provider is misconfigured
+    const transcriptionProvider = getTranscriptionProvider();
+    console.log(`Worker: Using the ${transcriptionProvider.name} transcription provider.`);
+
     console.log("Worker: Attempting to connect to RabbitMQ...");
     globalConnection = await amqp.connect(CLOUDAMQP_URL);
     globalChannel = await globalConnection.createChannel();
@@ -61,6 +327,8 @@ const startWorker = async () => {
         let fileId;
         let metadata = {};
         let jobId;
+        let chunkRecorded = false;
+        let audioKept = false;
 
         try {
           // Parse message
@@ -74,9 +342,26 @@ const startWorker = async () => {
 
           console.log(`Worker: Processing job - JobId: ${jobId}, FileId: ${fileId}`);
 
-          // Ensure meeting is still active
-          const meetingStatus = await getMeetingStatus(jobId);
-          if (meetingStatus === "completed") {
+          // Ensure meeting still exists and is active
+          const meeting = await getMeetingInfo(jobId);
+          if (!meeting) {
+            console.log(`Worker: Skipping job for jobId ${jobId}. Meeting has been deleted.`);
+            await deleteAudioFile(fileId);
+            globalChannel.ack(msg);
+            return;
+          }
+          // A meeting being deleted stores nothing more; the chunk still counts as handled so the deletion can go ahead
+          if (meeting.deletingAt) {
+            console.log(`Worker: Skipping job for jobId ${jobId}. Meeting is being deleted.`);
+            await deleteAudioFile(fileId);
+            chunkRecorded = true;
+            await recordChunkHandled(jobId, false);
+            globalChannel.ack(msg);
+            await finishPendingDeletion(jobId);
+            return;
+          }
+          // 'finalizing' meetings are still processed; only fully completed ones are skipped.
+          if (meeting.status === "completed") {
             console.log(
               `Worker: Skipping job for jobId ${jobId}. Meeting is already completed.`
             );
@@ -96,55 +381,140 @@ const startWorker = async () => {
             `Worker: Audio buffer fetched from Cloudinary. Size: ${audioBuffer.length} bytes. Original file: ${metadata.originalFileName || 'unknown'}`
           );
 
+          // Recordings with the microphone and the tab on separate channels are transcribed per speaker
+          const speakerLabels = metadata.channelLayout === "local-remote";
+          const rawTracks = speakerLabels
+            ? await splitSpeakerChannels(audioBuffer)
+            : [{ speaker: null, buffer: audioBuffer }];
+
+          // Convert to 16kHz mono with normalized loudness and cut out long silences; silent tracks are not transcribed
+          const tracks = [];
+          for (const track of rawTracks) {
+            tracks.push({ speaker: track.speaker, ...(await preprocessAudio(track.buffer, metadata.duration)) });
+          }
+          const trimmedSeconds = tracks.reduce((sum, track) => sum + track.trimmedSeconds, 0);
+          console.log(
+            `Worker: Preprocessed audio for jobId: ${jobId}. Trimmed ${trimmedSeconds.toFixed(1)}s of silence${
+              tracks.every((track) => track.silent) ? " (chunk is silent, skipping transcription)" : ""
+            }.`
+          );
+
+          // The workspace's and the meeting's glossaries bias Whisper and fix what it still gets wrong
+          const glossary = await resolveMeetingGlossary(meeting);
+          const prompt = buildTranscriptionPrompt(glossary);
+
           // Transcribe
           console.log(
             `Worker: Processing transcription for: ${metadata.originalFileName || "unknown file"}`
           );
-          const transcribeResult = await transcribe(audioBuffer, metadata);
+          const transcribeResult = await transcribeTracks(tracks, (buffer) =>
+            transcribe(buffer, metadata, { language: meeting.language, prompt })
+          );
           if (!transcribeResult.success) {
             throw new Error(`Transcription failed: ${transcribeResult.error}`);
           }
+          // Segments of a split upload only keep the audio that is theirs alone
+          trimToOwnedRange(transcribeResult, metadata.segment);
+          applyGlossaryToResult(transcribeResult, glossary);
+          // Drop hallucinated lines and text repeated from the end of the chunk before this one
+          const position = chunkPosition(metadata);
+          logFiltered(
+            jobId,
+            "original",
+            filterTranscript(transcribeResult, await getPrecedingChunkText(jobId, position))
+          );
+
+          // The first chunk of an 'auto' meeting fixes its language for cleaning and chat
+          if (meeting.language === "auto" && !meeting.detectedLanguage && transcribeResult.language) {
+            if (await setDetectedLanguage(jobId, transcribeResult.language)) {
+              console.log(`Worker: Detected language '${transcribeResult.language}' for jobId: ${jobId}`);
+            }
+            meeting.detectedLanguage = transcribeResult.language;
+          }
           const transcribedText = transcribeResult.transcription;
           console.log(`Worker: Transcription completed. Text length: ${transcribedText?.length || 0} characters`);
 
           // Save transcription
+          const chunkSeconds = metadata.segment
+            ? metadata.segment.keepUntilSeconds - metadata.segment.keepFromSeconds
+            : metadata.duration;
+          let span = null;
           if (transcribedText && transcribedText.trim().length > 0) {
-            const appendResult = await appendTranscription(jobId, transcribedText);
-            if (!appendResult) {
+            span = await appendTranscription(
+              jobId,
+              transcribedText,
+              chunkSeconds,
+              transcribeResult.segments,
+              position
+            );
+            if (!span) {
               throw new Error(
                 `Failed to append transcription to MongoDB for jobId: ${jobId}`
               );
             }
             console.log(
-              `Worker: Transcription appended to MongoDB for jobId: ${jobId}`
+              span.duplicate
+                ? `Worker: Chunk ${span.sequence}.${span.part} of jobId ${jobId} was stored before; only finishing what is missing.`
+                : `Worker: Transcription appended to MongoDB for jobId: ${jobId}`
             );
+            if (trimmedSeconds > 0 && !span.duplicate) {
+              await recordSilence(jobId, trimmedSeconds);
+            }
           } else {
+            // The chunk still takes up time in the meeting, so later chunks keep their place on the timeline
             console.warn(
-              `Worker: No text to append for jobId: ${jobId}. Skipping database update.`
+              `Worker: No text to append for jobId: ${jobId}. Recording the chunk as silence.`
             );
+            await recordSilentChunk(jobId, { trimmedSeconds, skippedSeconds: chunkSeconds }, position);
           }
 
           // Clean & Embed
-          if (transcribedText && transcribedText.trim().length > 0) {
-            console.log(`Worker: Cleaning transcription text...`);
-            const cleanedChunks = await clean(transcribedText);
-            console.log(
-              `Worker: Cleaned transcript into ${cleanedChunks.length} structured chunks.`
-            );
+          if (span) {
+            const translating = shouldTranslate(meeting);
+            if (await needsCleaning(jobId, span, "original")) {
+              await cleanAndEmbed(jobId, meeting, transcribedText, span, metadata, {
+                variant: "original",
+                // Chapters come from the English version when the meeting is translated
+                chapters: !translating,
+                speakerLabels,
+                glossary,
+              });
+            }
 
-            if (cleanedChunks.length > 0) {
-              console.log(`Worker: Embedding transcription chunks...`);
-              const embedResult = await upsertTranscriptionChunks(
+            if (translating && (await needsCleaning(jobId, span, "translation"))) {
+              console.log(`Worker: Translating audio to English for jobId: ${jobId}...`);
+              const translateResult = await transcribeTracks(tracks, (buffer) =>
+                translate(buffer, metadata, { prompt })
+              );
+              if (!translateResult.success) {
+                throw new Error(`Translation failed: ${translateResult.error}`);
+              }
+              trimToOwnedRange(translateResult, metadata.segment);
+              applyGlossaryToResult(translateResult, glossary);
+              logFiltered(
                 jobId,
-                cleanedChunks,
-                metadata
+                "translation",
+                filterTranscript(translateResult, await getPrecedingChunkText(jobId, position, "translation"))
               );
-              if (!embedResult.success) {
-                throw new Error(
-                  `Embedding and upsert failed: ${embedResult.error}`
+              const translatedText = translateResult.transcription;
+              if (translatedText && translatedText.trim().length > 0) {
+                const storedTranslation = await appendTranslation(
+                  jobId,
+                  translatedText,
+                  translateResult.segments,
+                  span
                 );
+                if (!storedTranslation) {
+                  throw new Error(`Failed to append translation to MongoDB for jobId: ${jobId}`);
+                }
+                await cleanAndEmbed(jobId, meeting, translatedText, span, metadata, {
+                  variant: "translation",
+                  language: "en",
+                  chapters: true,
+                  speakerLabels,
+                  glossary,
+                });
               }
-              console.log(`Worker: Embedding completed successfully.`);
             }
           }
 
@@ -154,11 +524,32 @@ const startWorker = async () => {
             }"`
           );
 
-          // Delete from Cloudinary
-          await deleteAudioFile(fileId);
-          console.log(
-            `Worker: Deleted processed audio file and metadata for ID: ${fileId}`
-          );
+          // Count the chunk as done; completes the meeting if it was finalizing and this was the last one
+          chunkRecorded = true;
+          if (await recordChunkHandled(jobId, true)) {
+            scheduleMeetingSummary(jobId);
+          }
+
+          // Keep the audio for playback if the meeting's retention asks for it, otherwise delete it from Cloudinary.
+          // A chunk stored before already had its audio kept or deleted.
+          const retentionDays = span && span.duplicate ? 0 : await resolveAudioRetentionDays(meeting);
+          audioKept =
+            retentionDays > 0 &&
+            (await keepAudioFile(jobId, {
+              fileId,
+              sequence: position.sequence,
+              part: position.part,
+              keepFromSeconds: metadata.segment ? metadata.segment.keepFromSeconds : undefined,
+              keepUntilSeconds: metadata.segment ? metadata.segment.keepUntilSeconds : undefined,
+            }));
+          if (audioKept) {
+            console.log(`Worker: Kept audio file ${fileId} for ${retentionDays} days of playback.`);
+          } else {
+            await deleteAudioFile(fileId);
+            console.log(
+              `Worker: Deleted processed audio file and metadata for ID: ${fileId}`
+            );
+          }
 
           globalChannel.ack(msg);
           console.log(
@@ -166,6 +557,8 @@ const startWorker = async () => {
               metadata.originalFileName || "unknown"
             }"`
           );
+          // The meeting may have been deleted while this chunk was processed
+          await finishPendingDeletion(jobId);
         } catch (error) {
           console.error(
             `Worker: An error occurred during message processing for "${
@@ -174,8 +567,8 @@ const startWorker = async () => {
           );
           console.error("Worker: Error details:", error);
 
-          // Delete from Cloudinary even if failure
-          if (fileId) {
+          // Delete from Cloudinary even if failure, unless it was already kept for playback
+          if (fileId && !audioKept) {
             try {
               await deleteAudioFile(fileId);
               console.log(
@@ -189,6 +582,13 @@ const startWorker = async () => {
             }
           }
 
+          // A dropped chunk still counts as handled, otherwise a finalizing meeting would never complete
+          if (jobId && !chunkRecorded) {
+            if (await recordChunkHandled(jobId, false)) {
+              scheduleMeetingSummary(jobId);
+            }
+          }
+
           // Don't requeue failed messages to prevent infinite loops
           globalChannel.nack(msg, false, false);
           console.error(
@@ -196,6 +596,9 @@ const startWorker = async () => {
               metadata.originalFileName || "unknown"
             }" (requeued: false)`
           );
+          if (jobId) {
+            await finishPendingDeletion(jobId);
+          }
         }
       },
       {
@@ -70,6 +70,21 @@ const fetchAudioFile = async (publicId, resourceType = "video") => {
   }
 };
 
+// Stream audio from Cloudinary, passing a Range header through so players can seek
+const streamAudioFile = async (publicId, range, resourceType = "video") => {
+  if (!publicId) throw new Error("A publicId is required to stream the audio file.");
+
+  const url = cloudinary.url(publicId, { resource_type: resourceType, secure: true });
+  const response = await axios.get(url, {
+    responseType: 'stream',
+    headers: range ? { Range: range } : {},
+    timeout: 30000,
+    // 206 answers a range and 416 a range past the end; both are passed on to the client
+    validateStatus: (status) => status === 200 || status === 206 || status === 416,
+  });
+  return { status: response.status, headers: response.headers, stream: response.data };
+};
+
 // Delete audio
 const deleteAudioFile = async (publicId) => {
   try {
@@ -82,9 +97,31 @@ const deleteAudioFile = async (publicId) => {
   }
 };
 
+// Delete every audio asset uploaded for a meeting.
+// storeAudioFile names assets "audio/<jobId>_<timestamp>_<name>", so they share a prefix.
+const deleteAudioFilesForJob = async (jobId) => {
+  const prefix = `audio/${jobId}_`;
+  let deleted = 0;
+  try {
+    // Cloudinary deletes in batches and sets `partial` while more remain
+    for (;;) {
+      const result = await cloudinary.api.delete_resources_by_prefix(prefix, { resource_type: "video" });
+      deleted += Object.values(result.deleted || {}).filter(status => status === "deleted").length;
+      if (!result.partial) break;
+    }
+    console.log(`Cloudinary: Deleted ${deleted} leftover assets for jobId ${jobId}`);
+    return deleted;
+  } catch (error) {
+    console.error("❌ Bulk delete failed:", error);
+    throw error;
+  }
+};
+
 module.exports = {
   initialiseCloudinary,
   storeAudioFile,
   fetchAudioFile,
+  streamAudioFile,
   deleteAudioFile,
+  deleteAudioFilesForJob,
 };
\ No newline at end of file
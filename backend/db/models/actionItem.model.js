@@ -0,0 +1,67 @@
+// actionItem.model.js
+const mongoose = require('mongoose');
+
+const ACTION_ITEM_STATUSES = ['open', 'done'];
+
+// Define the schema for an action item tracked across meetings
+const actionItemSchema = new mongoose.Schema({
+    // The meeting the item was raised in
+    jobId: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    description: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    // The description as the summary extracted it, before any edit; matches the item when the summary is regenerated
+    extractedDescription: {
+        type: String,
+        trim: true,
+    },
+    assignee: {
+        type: String,
+        trim: true,
+    },
+    // The deadline as stated in the meeting, e.g. "Friday"
+    dueDate: {
+        type: String,
+        trim: true,
+    },
+    status: {
+        type: String,
+        enum: ACTION_ITEM_STATUSES,
+        default: 'open',
+        index: true,
+    },
+    // Back-reference to the cleaned transcript chunk the item was taken from
+    chunkId: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    chunkIndex: {
+        type: Number,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Set once a user edits the item, so regenerating the summary leaves it alone
+    updatedAt: {
+        type: Date,
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    completedAt: {
+        type: Date,
+    },
+});
+
+// Create and export the Mongoose model
+const ActionItem = mongoose.model('ActionItem', actionItemSchema, 'actionitems');
+
+module.exports = ActionItem;
+module.exports.ACTION_ITEM_STATUSES = ACTION_ITEM_STATUSES;
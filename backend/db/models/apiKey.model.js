@@ -0,0 +1,54 @@
+// apiKey.model.js
+const mongoose = require('mongoose');
+
+// The scopes an API key can be granted. Session logins implicitly have all of them.
+const API_KEY_SCOPES = ['upload', 'read-transcripts', 'chat'];
+
+// Define the schema for a programmatic API key
+const apiKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    // The first few characters of the key, so users can tell their keys apart in listings
+    prefix: {
+        type: String,
+        required: true,
+    },
+    // SHA-256 of the full key; the key itself is only shown once, at creation
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    scopes: [
+        {
+            type: String,
+            enum: API_KEY_SCOPES,
+        }
+    ],
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lastUsedAt: {
+        type: Date,
+    },
+    // Set when the key is revoked; revoked keys are kept for auditing but never authenticate
+    revokedAt: {
+        type: Date,
+    },
+});
+
+// Create and export the Mongoose model
+const ApiKey = mongoose.model('ApiKey', apiKeySchema, 'apikeys');
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
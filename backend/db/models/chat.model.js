@@ -8,6 +8,11 @@ const chatSchema = new mongoose.Schema({
         required: true,
         // We won't make this unique because multiple chat pairs can exist for one jobId
     },
+    // The user who sent the message
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
     createdAt: {
         type: Date,
         default: Date.now,
@@ -1,5 +1,271 @@
 // meeting.model.js
 const mongoose = require('mongoose');
+const { templateSectionSchema } = require('./meetingTemplate.model');
+const { glossaryEntrySchema } = require('./workspace.model');
+
+// 'finalizing' means the meeting was stopped but uploaded audio is still being processed;
+// it moves to 'completed' once every queued chunk has been handled.
+const MEETING_STATUSES = ['in-progress', 'finalizing', 'completed'];
+
+// 'Local' is the person recording (their microphone), 'Remote' everyone else (the tab's audio)
+const SPEAKER_LABELS = ['Local', 'Remote'];
+
+// A previous version of an edited transcript segment or cleaned chunk
+const transcriptEditSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+    },
+    // Cleaned chunks only
+    summary: {
+        type: String,
+    },
+    // Who replaced this version, and when
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    editedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// A refined, topic-coherent piece of the transcript as produced by clean()
+const cleanedChunkSchema = new mongoose.Schema({
+    summary: {
+        type: String,
+    },
+    refinedText: {
+        type: String,
+        required: true,
+    },
+    // The id of the matching point in the transcription Qdrant collection
+    pointId: {
+        type: String,
+    },
+    // 'translation' for chunks cleaned from the English translation of a translated meeting
+    variant: {
+        type: String,
+        enum: ['original', 'translation'],
+        default: 'original',
+    },
+    // Where the chunk came from: the upload's sequence number and its part of a split upload
+    sequence: {
+        type: Number,
+    },
+    part: {
+        type: Number,
+    },
+    // Offsets from the start of the recording, estimated like the chapters'
+    startSeconds: {
+        type: Number,
+    },
+    endSeconds: {
+        type: Number,
+    },
+    // Earlier versions, oldest first; empty until the chunk is edited
+    history: [transcriptEditSchema],
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// The place of one raw transcript chunk: the sequence number the client gave its upload, and
+// the index of the segment for uploads that were split
+const chunkOrderSchema = new mongoose.Schema({
+    sequence: {
+        type: Number,
+        required: true,
+    },
+    part: {
+        type: Number,
+        default: 0,
+    },
+}, { _id: false });
+
+// A stretch of the raw transcript with its timing, as returned by Whisper
+const transcriptSegmentSchema = new mongoose.Schema({
+    // Seconds from the start of the recording (Whisper's times shifted by the chunk's offset)
+    start: {
+        type: Number,
+        required: true,
+    },
+    end: {
+        type: Number,
+        required: true,
+    },
+    text: {
+        type: String,
+        required: true,
+    },
+    // Who spoke, for audio recorded with the microphone and the tab on separate channels
+    speaker: {
+        type: String,
+        enum: SPEAKER_LABELS,
+    },
+    // Earlier versions of the text, oldest first; empty until the segment is edited
+    history: [transcriptEditSchema],
+});
+
+// One entry of the meeting's table of contents, taken from a cleaned chunk's summary
+const chapterSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+    },
+    // Offsets from the start of the recording. Estimated within each audio chunk
+    // by the length of the chunk's text, so they are approximate.
+    startSeconds: {
+        type: Number,
+    },
+    endSeconds: {
+        type: Number,
+    },
+    // The _id of the cleaned chunk the chapter points at
+    chunkId: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+}, { _id: false });
+
+// An uploaded audio file kept in Cloudinary for playback after it was transcribed
+const keptAudioSchema = new mongoose.Schema({
+    fileId: {
+        type: String,
+        required: true,
+    },
+    // The upload's sequence number and its part of a split upload, which order the files
+    sequence: {
+        type: Number,
+    },
+    part: {
+        type: Number,
+        default: 0,
+    },
+    // For segments of a split upload, the stretch that is not shared with the neighbouring segments
+    keepFromSeconds: {
+        type: Number,
+    },
+    keepUntilSeconds: {
+        type: Number,
+    },
+    keptAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// The kept audio joined into one file, rebuilt when more audio is kept
+const playbackAudioSchema = new mongoose.Schema({
+    fileId: {
+        type: String,
+        required: true,
+    },
+    // How many kept files it was built from
+    fileCount: {
+        type: Number,
+        required: true,
+    },
+    size: {
+        type: Number,
+    },
+    builtAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// The structured notes generated once a meeting completes
+const actionItemSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: true,
+    },
+    // Only filled in when the transcript mentions them
+    owner: {
+        type: String,
+    },
+    dueDate: {
+        type: String,
+    },
+    // Position of the source chunk among the cleaned chunks the summary was built from
+    // (the English ones for translated meetings)
+    chunkIndex: {
+        type: Number,
+    },
+}, { _id: false });
+
+// A summary list defined by the meeting's template, e.g. "Blockers" for a standup
+const summarySectionSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+    },
+    title: {
+        type: String,
+    },
+    items: [
+        {
+            type: String,
+        }
+    ],
+}, { _id: false });
+
+// The template a meeting was started with, copied so later edits to a
+// user-defined template do not change how an existing meeting is processed
+const meetingTemplateSnapshotSchema = new mongoose.Schema({
+    // A built-in template id such as 'standup', or the _id of a user-defined template
+    id: {
+        type: String,
+        required: true,
+    },
+    builtIn: {
+        type: Boolean,
+        default: false,
+    },
+    name: {
+        type: String,
+    },
+    cleaningRules: [
+        {
+            type: String,
+        }
+    ],
+    summarySections: [templateSectionSchema],
+    chatPersona: {
+        type: String,
+    },
+}, { _id: false });
+
+const meetingSummarySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['pending', 'ready', 'failed'],
+    },
+    executiveSummary: {
+        type: String,
+    },
+    sections: [summarySectionSchema],
+    // Filled from the matching sections of the general template
+    keyDecisions: [
+        {
+            type: String,
+        }
+    ],
+    openQuestions: [
+        {
+            type: String,
+        }
+    ],
+    actionItems: [actionItemSchema],
+    generatedAt: {
+        type: Date,
+    },
+    error: {
+        type: String,
+    },
+}, { _id: false });
 
 // Define the schema for a meeting transcription
 const meetingSchema = new mongoose.Schema({
@@ -8,25 +274,155 @@ const meetingSchema = new mongoose.Schema({
         required: true,
         unique: true, // Ensure each meeting has a unique job ID
     },
+    // The user who started the meeting
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true,
+    },
+    // The workspace the meeting is shared with, if any; all its members can see the meeting
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        index: true,
+    },
+    title: {
+        type: String,
+        trim: true,
+    },
+    // The browser tab the meeting was recorded from
+    sourceUrl: {
+        type: String,
+        trim: true,
+    },
+    sourceTitle: {
+        type: String,
+        trim: true,
+    },
+    participants: [
+        {
+            type: String,
+        }
+    ],
+    tags: {
+        type: [String],
+        index: true,
+    },
     createdAt: {
         type: Date,
         default: Date.now,
     },
+    // Total seconds of audio processed so far, summed from each uploaded chunk (silent ones included)
+    durationSeconds: {
+        type: Number,
+        default: 0,
+    },
+    // Silence cut out before transcription (summed over both tracks of speaker-separated audio),
+    // and how many chunks were silent or produced no text
+    silenceTrimmedSeconds: {
+        type: Number,
+        default: 0,
+    },
+    silentChunks: {
+        type: Number,
+        default: 0,
+    },
+    // The chunks counted in silentChunks, so a chunk delivered twice is only counted once
+    silentChunkOrder: [chunkOrderSchema],
+    // In upload order (by sequence number), whatever order the worker finishes them in
     transcriptionChunks: [
         {
             type: String,
         }
     ],
+    // Where each entry of transcriptionChunks belongs, index for index
+    transcriptionChunkOrder: [chunkOrderSchema],
+    // Ordered by start
+    transcriptSegments: [transcriptSegmentSchema],
+    // English translation of each transcribed chunk, kept alongside the original when translateToEnglish is set
+    translationChunks: [
+        {
+            type: String,
+        }
+    ],
+    translationChunkOrder: [chunkOrderSchema],
+    translatedSegments: [transcriptSegmentSchema],
+    // Ordered by sequence, part and startSeconds
+    cleanedChunks: [cleanedChunkSchema],
+    // Ordered by startSeconds
+    chapters: [chapterSchema],
+    summary: meetingSummarySchema,
+    // Audio chunks pushed to audio_queue for this meeting, and how many the worker has finished with
+    chunksQueued: {
+        type: Number,
+        default: 0,
+    },
+    chunksProcessed: {
+        type: Number,
+        default: 0,
+    },
+    chunksFailed: {
+        type: Number,
+        default: 0,
+    },
+    // Sequence numbers of the audio uploads received so far; a gap is an upload that never arrived
+    receivedSequences: [
+        {
+            type: Number,
+        }
+    ],
+    template: meetingTemplateSnapshotSchema,
+    // ISO-639-1 code the audio is transcribed in, or 'auto' to let Whisper detect it
+    language: {
+        type: String,
+        default: 'en',
+    },
+    // Set from the first transcribed chunk of an 'auto' meeting
+    detectedLanguage: {
+        type: String,
+    },
+    // Also translate non-English audio into English; the summary and chapters then use the translation
+    translateToEnglish: {
+        type: Boolean,
+        default: false,
+    },
+    // Terms to bias transcription towards; combined with the workspace's glossary
+    glossary: [glossaryEntrySchema],
+    // Days the uploaded audio is kept for playback; unset uses the workspace's setting
+    audioRetentionDays: {
+        type: Number,
+        min: 0,
+    },
+    // Ordered by sequence and part
+    audioFiles: [keptAudioSchema],
+    playbackAudio: playbackAudioSchema,
+    // Set once a chunk is transcribed per speaker; the transcript lines are then prefixed with 'Local:' or 'Remote:'
+    speakerLabels: {
+        type: Boolean,
+        default: false,
+    },
+    // Set when DELETE /api/meetings/:jobId starts; the worker then skips the meeting's audio
+    deletingAt: {
+        type: Date,
+    },
     // A new field to store the status of the meeting
     status: {
         type: String,
-        enum: ['in-progress', 'completed'], // Restrict status to a set of valid values
+        enum: MEETING_STATUSES, // Restrict status to a set of valid values
         default: 'in-progress', // Set a default value for new meetings
         required: true
     },
 });
 
+// Supports the newest-first listing used by GET /api/meetings
+meetingSchema.index({ createdAt: -1, _id: -1 });
+// Finds the meetings with kept audio for the purge job
+meetingSchema.index({ 'audioFiles.keptAt': 1 });
+meetingSchema.index({ 'playbackAudio.fileId': 1 }, { sparse: true });
+
 // Create and export the Mongoose model
 const Meeting = mongoose.model('Meeting', meetingSchema, 'transcriptions');
 
 module.exports = Meeting;
+module.exports.MEETING_STATUSES = MEETING_STATUSES;
+module.exports.SPEAKER_LABELS = SPEAKER_LABELS;
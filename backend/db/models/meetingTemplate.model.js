@@ -0,0 +1,60 @@
+// meetingTemplate.model.js
+const mongoose = require('mongoose');
+
+// One list in the post-meeting summary, e.g. "Blockers"
+const templateSectionSchema = new mongoose.Schema({
+    // The JSON key the summary prompt asks for
+    key: {
+        type: String,
+        required: true,
+    },
+    title: {
+        type: String,
+        required: true,
+    },
+    // What one entry of the list is, e.g. "blocker or impediment that was raised"
+    description: {
+        type: String,
+        required: true,
+    },
+}, { _id: false });
+
+// Define the schema for a user-defined meeting template
+const meetingTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    // When set, every member of the workspace can use the template
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        index: true,
+    },
+    cleaningRules: [
+        {
+            type: String,
+        }
+    ],
+    summarySections: [templateSectionSchema],
+    chatPersona: {
+        type: String,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Create and export the Mongoose model
+const MeetingTemplate = mongoose.model('MeetingTemplate', meetingTemplateSchema, 'meetingtemplates');
+
+module.exports = MeetingTemplate;
+module.exports.templateSectionSchema = templateSectionSchema;
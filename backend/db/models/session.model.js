@@ -0,0 +1,33 @@
+// session.model.js
+const mongoose = require('mongoose');
+
+// Define the schema for a login session
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // SHA-256 of the session token; the raw token only ever lives in the client's cookie
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+// Let MongoDB remove sessions on its own once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the Mongoose model
+const Session = mongoose.model('Session', sessionSchema, 'sessions');
+
+module.exports = Session;
@@ -0,0 +1,38 @@
+// shareLink.model.js
+const mongoose = require('mongoose');
+
+// Define the schema for a read-only public link to one meeting
+const shareLinkSchema = new mongoose.Schema({
+    jobId: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Whether the link also exposes the meeting's chat history
+    includeChat: {
+        type: Boolean,
+        default: false,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    // Set when the link is revoked; checked on every access so revocation is immediate
+    revokedAt: {
+        type: Date,
+    },
+});
+
+// Create and export the Mongoose model
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema, 'sharelinks');
+
+module.exports = ShareLink;
@@ -0,0 +1,31 @@
+// user.model.js
+const mongoose = require('mongoose');
+
+// Define the schema for a user account
+const userSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true, // One account per email address
+        lowercase: true,
+        trim: true,
+    },
+    name: {
+        type: String,
+        trim: true,
+    },
+    // scrypt hash in the form "salt:hash", never the plain password
+    passwordHash: {
+        type: String,
+        required: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Create and export the Mongoose model
+const User = mongoose.model('User', userSchema, 'users');
+
+module.exports = User;
@@ -0,0 +1,69 @@
+// workspace.model.js
+const mongoose = require('mongoose');
+
+// Roles in increasing order of privilege. Owners manage members, editors can record,
+// edit transcripts and chat, viewers can only read.
+const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+// Define the schema for a single workspace member
+const memberSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    role: {
+        type: String,
+        enum: WORKSPACE_ROLES,
+        required: true,
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// A term transcription should spell exactly like this, with known wrong spellings to replace.
+// Also used for a meeting's own glossary.
+const glossaryEntrySchema = new mongoose.Schema({
+    term: {
+        type: String,
+        required: true,
+    },
+    variants: [
+        {
+            type: String,
+        }
+    ],
+}, { _id: false });
+
+// Define the schema for a team workspace whose meetings are shared by all members
+const workspaceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    members: [memberSchema],
+    // Applied to every meeting shared with the workspace, together with the meeting's own glossary
+    glossary: [glossaryEntrySchema],
+    // Days uploaded audio of the workspace's meetings is kept for playback; unset uses the server default
+    audioRetentionDays: {
+        type: Number,
+        min: 0,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Membership lookups are the hot path for every meeting access check
+workspaceSchema.index({ 'members.userId': 1 });
+
+// Create and export the Mongoose model
+const Workspace = mongoose.model('Workspace', workspaceSchema, 'workspaces');
+
+module.exports = Workspace;
+module.exports.WORKSPACE_ROLES = WORKSPACE_ROLES;
+module.exports.glossaryEntrySchema = glossaryEntrySchema;
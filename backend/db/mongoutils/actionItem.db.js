@@ -0,0 +1,145 @@
+// db/mongoutils/actionItem.db.js
+
+const mongoose = require('mongoose');
+const ActionItem = require('../models/actionItem.model');
+
+// Lowercases and drops punctuation and extra whitespace, so the same item extracted twice compares equal
+const normalizeDescription = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Identifies an extracted item by the chunk it came from and its description
+const extractedItemKey = (chunkId, description) => `${chunkId || ''}|${normalizeDescription(description)}`;
+
+/**
+ * Replaces the action items extracted from a meeting's summary.
+ * Items a user has already edited or closed are kept, so regenerating a summary
+ * never undoes manual tracking work, and extracted items that match a kept one (same
+ * chunk and description as first extracted) are not stored again.
+ *
+ * @param {string} jobId - The meeting's jobId.
+ * @param {Array<{description: string, assignee?: string, dueDate?: string, chunkId?: string, chunkIndex?: number}>} items - The extracted items.
+ * @returns {Promise<number>} The number of items stored.
+ */
+const replaceExtractedActionItems = async (jobId, items) => {
+    try {
+        await ActionItem.deleteMany({ jobId, updatedAt: null });
+        const kept = await ActionItem.find({ jobId }, { chunkId: 1, description: 1, extractedDescription: 1 }).lean();
+        // Items stored before extractedDescription existed are matched on their current description
+        const keptKeys = new Set(kept.map(item => extractedItemKey(item.chunkId, item.extractedDescription || item.description)));
+        const fresh = items.filter(item => !keptKeys.has(extractedItemKey(item.chunkId, item.description)));
+        if (fresh.length === 0) return 0;
+        const docs = await ActionItem.insertMany(fresh.map(item => ({ ...item, extractedDescription: item.description, jobId })));
+        console.log(`Stored ${docs.length} action items for jobId: ${jobId}`);
+        return docs.length;
+    } catch (error) {
+        console.error('Error storing action items:', error);
+        throw error;
+    }
+};
+
+/**
+ * Lists action items from a set of meetings, newest first.
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.jobIds - The meetings whose items may be returned.
+ * @param {string} [options.status] - 'open' or 'done'.
+ * @param {string} [options.assignee] - Case-insensitive exact match on the assignee.
+ * @param {string} [options.q] - Case-insensitive substring match on the description.
+ * @param {string} [options.before] - Only return items older than this item id (for pagination).
+ * @param {number} [options.limit=50] - Maximum number of items to return.
+ * @returns {Promise<Array>} An array of action item documents.
+ */
+const listActionItems = async ({ jobIds, status, assignee, q, before, limit = 50 }) => {
+    const filter = { jobId: { $in: jobIds } };
+    if (status) filter.status = status;
+    if (assignee) {
+        const escaped = assignee.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.assignee = { $regex: `^${escaped}$`, $options: 'i' };
+    }
+    if (q) {
+        const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.description = { $regex: escaped, $options: 'i' };
+    }
+    if (before) filter._id = { $lt: new mongoose.Types.ObjectId(before) };
+
+    try {
+        return await ActionItem.find(filter, { __v: 0 }).sort({ _id: -1 }).limit(limit).lean();
+    } catch (error) {
+        console.error('Error listing action items:', error);
+        throw error;
+    }
+};
+
+/**
+ * Fetches a single action item by id.
+ *
+ * @param {string} itemId - The MongoDB _id of the item.
+ * @returns {Promise<Object|null>} The action item, or null if not found.
+ */
+const getActionItem = async (itemId) => {
+    try {
+        return await ActionItem.findById(itemId, { __v: 0 }).lean();
+    } catch (error) {
+        if (error.name === 'CastError') return null;
+        console.error('Error fetching action item:', error);
+        throw error;
+    }
+};
+
+/**
+ * Updates an action item. Moving it to 'done' stamps completedAt; reopening clears it.
+ *
+ * @param {string} itemId - The MongoDB _id of the item.
+ * @param {Object} updates - Any of description, assignee, dueDate and status. A null assignee or dueDate clears it.
+ * @param {string} userId - The MongoDB _id of the user making the change.
+ * @returns {Promise<Object|null>} The updated item, or null if not found.
+ */
+const updateActionItem = async (itemId, updates, userId) => {
+    const set = { updatedAt: new Date(), updatedBy: userId };
+    const unset = {};
+
+    for (const [field, value] of Object.entries(updates)) {
+        if (value === null) unset[field] = '';
+        else set[field] = value;
+    }
+    if (updates.status === 'done') set.completedAt = new Date();
+    if (updates.status === 'open') unset.completedAt = '';
+
+    try {
+        return await ActionItem.findByIdAndUpdate(
+            itemId,
+            { $set: set, $unset: unset },
+            { new: true, runValidators: true, projection: { __v: 0 } }
+        ).lean();
+    } catch (error) {
+        console.error('Error updating action item:', error);
+        throw error;
+    }
+};
+
+/**
+ * Deletes every action item of a meeting.
+ *
+ * @param {string} jobId - The meeting's jobId.
+ * @returns {Promise<number>} The number of items deleted.
+ */
+const deleteActionItemsForJob = async (jobId) => {
+    try {
+        const result = await ActionItem.deleteMany({ jobId });
+        return result.deletedCount;
+    } catch (error) {
+        console.error('Error deleting action items:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    replaceExtractedActionItems,
+    listActionItems,
+    getActionItem,
+    updateActionItem,
+    deleteActionItemsForJob,
+};
@@ -0,0 +1,108 @@
+// db/mongoutils/apiKey.db.js
+
+const ApiKey = require('../models/apiKey.model');
+const User = require('../models/user.model');
+const { generateToken, hashToken } = require('../../utils/security');
+
+// Every key starts with this, which is how the auth middleware tells keys apart from session tokens
+const API_KEY_PREFIX = 'cz_';
+
+/**
+ * Checks whether a bearer token looks like an API key rather than a session token.
+ * @param {string} token - The raw bearer token.
+ * @returns {boolean} True if the token has the API key prefix.
+ */
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+/**
+ * Creates a new API key for a user.
+ *
+ * @param {string} userId - The MongoDB _id of the owning user.
+ * @param {string} name - A human-readable label for the key.
+ * @param {Array<string>} scopes - The scopes granted to the key.
+ * @returns {Promise<{key: string, apiKey: Object}>} The raw key (shown once) and the stored document.
+ */
+const createApiKey = async (userId, name, scopes) => {
+    try {
+        const key = `${API_KEY_PREFIX}${generateToken()}`;
+        const apiKey = await new ApiKey({
+            userId,
+            name,
+            scopes,
+            prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+            keyHash: hashToken(key),
+        }).save();
+        console.log(`API key ${apiKey._id} created for userId: ${userId}`);
+        return { key, apiKey };
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        throw error;
+    }
+};
+
+/**
+ * Lists a user's API keys, newest first. The key hashes are never returned.
+ *
+ * @param {string} userId - The MongoDB _id of the owning user.
+ * @returns {Promise<Array>} An array of API key documents.
+ */
+const listApiKeys = async (userId) => {
+    try {
+        return await ApiKey.find({ userId }, { keyHash: 0, __v: 0 }).sort({ createdAt: -1 });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        throw error;
+    }
+};
+
+/**
+ * Revokes one of a user's API keys.
+ *
+ * @param {string} userId - The MongoDB _id of the owning user.
+ * @param {string} keyId - The MongoDB _id of the key.
+ * @returns {Promise<boolean>} True if an active key was revoked.
+ */
+const revokeApiKey = async (userId, keyId) => {
+    try {
+        const result = await ApiKey.findOneAndUpdate(
+            { _id: keyId, userId, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+        return !!result;
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        return false;
+    }
+};
+
+/**
+ * Resolves an API key to its user and scopes, and records when it was last used.
+ *
+ * @param {string} key - The raw API key from the Authorization header.
+ * @returns {Promise<{user: Object, apiKey: Object}|null>} The user and key, or null if the key is unknown or revoked.
+ */
+const getApiKeyUser = async (key) => {
+    try {
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { keyHash: hashToken(key), revokedAt: null },
+            { $set: { lastUsedAt: new Date() } },
+            { new: true, projection: { keyHash: 0 } }
+        );
+        if (!apiKey) return null;
+
+        const user = await User.findById(apiKey.userId, { passwordHash: 0, __v: 0 });
+        return user ? { user, apiKey } : null;
+    } catch (error) {
+        console.error('Error resolving API key:', error);
+        return null;
+    }
+};
+
+module.exports = {
+    isApiKey,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    getApiKeyUser,
+};
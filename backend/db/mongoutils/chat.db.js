@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const Chat = require('../models/chat.model'); // Corrected path to the Chat model
+const Meeting = require('../models/meeting.model');
 
 /**
  * Creates a new chat entry in the chats collection.
@@ -10,13 +11,15 @@ const Chat = require('../models/chat.model'); // Corrected path to the Chat mode
  *
  * @param {string} jobId - The unique ID of the meeting session.
  * @param {string} userChat - The message sent by the user.
+ * @param {string} [owner] - The MongoDB _id of the user sending the message.
  * @returns {Promise<Object>} The newly created chat document.
  */
-const createChatEntry = async (jobId, userChat) => {
+const createChatEntry = async (jobId, userChat, owner) => {
     try {
         const newChat = new Chat({
             jobId,
             userChat,
+            owner,
             // aiChat is intentionally left blank for now
         });
         const savedChat = await newChat.save();
@@ -59,10 +62,20 @@ const updateChatEntry = async (chatId, aiChat) => {
  *
  * @param {string} jobId - The unique ID of the meeting session.
  * @param {number} [limit=5] - The number of recent chat pairs to retrieve.
+ * @param {string} [beforeChatId] - Only return chats older than this chat id.
+ * @param {Object} [accessFilter] - A filter from buildMeetingAccessFilter; if the caller cannot see the meeting, nothing is returned.
  * @returns {Promise<Array>} An array of chat documents.
  */
-const getChatHistory = async (jobId, limit = 5, beforeChatId = null) => {
+const getChatHistory = async (jobId, limit = 5, beforeChatId = null, accessFilter = null) => {
     try {
+        // Chats inherit their visibility from the meeting they belong to.
+        if (accessFilter) {
+            const visible = await Meeting.exists({ ...accessFilter, jobId });
+            if (!visible) {
+                return [];
+            }
+        }
+
         // Start with a base query to find all chats for the specific jobId.
         const query = { jobId };
 
@@ -88,9 +101,26 @@ const getChatHistory = async (jobId, limit = 5, beforeChatId = null) => {
     }
 };
 
+/**
+ * Deletes every chat entry of a meeting session.
+ *
+ * @param {string} jobId - The unique ID of the meeting session.
+ * @returns {Promise<number>} The number of chat documents deleted.
+ */
+const deleteChatsForJob = async (jobId) => {
+    try {
+        const result = await Chat.deleteMany({ jobId });
+        console.log(`Deleted ${result.deletedCount} chat entries for jobId: ${jobId}`);
+        return result.deletedCount;
+    } catch (error) {
+        console.error('Error deleting chat entries:', error);
+        throw error;
+    }
+};
 
 module.exports = {
     createChatEntry,
     updateChatEntry,
     getChatHistory,
+    deleteChatsForJob,
 };
@@ -0,0 +1,134 @@
+// db/mongoutils/meetingTemplate.db.js
+
+const MeetingTemplate = require('../models/meetingTemplate.model');
+const { getBuiltInTemplate } = require('../../utils/meetingTemplates');
+
+/**
+ * Creates a user-defined meeting template.
+ *
+ * @param {Object} fields - Fields from parseTemplateDefinition.
+ * @param {string} owner - The MongoDB _id of the user creating the template.
+ * @param {string} [workspaceId] - The workspace to share the template with.
+ * @returns {Promise<Object>} The created template document.
+ */
+const createMeetingTemplate = async (fields, owner, workspaceId) => {
+    try {
+        const template = await new MeetingTemplate({ ...fields, owner, workspaceId }).save();
+        console.log(`Meeting template ${template._id} created by user ${owner}`);
+        return template;
+    } catch (error) {
+        console.error('Error creating meeting template:', error);
+        throw error;
+    }
+};
+
+/**
+ * Lists the user-defined templates a user can use: their own and those shared with their workspaces.
+ *
+ * @param {string} userId - The MongoDB _id of the user.
+ * @param {Array<string>} workspaceIds - The ids of the user's workspaces.
+ * @returns {Promise<Array>} An array of template documents, newest first.
+ */
+const listMeetingTemplates = async (userId, workspaceIds = []) => {
+    try {
+        return await MeetingTemplate.find(
+            { $or: [{ owner: userId }, { workspaceId: { $in: workspaceIds } }] },
+            { __v: 0 }
+        ).sort({ createdAt: -1 }).lean();
+    } catch (error) {
+        console.error('Error listing meeting templates:', error);
+        throw error;
+    }
+};
+
+/**
+ * Fetches a single user-defined template by id.
+ *
+ * @param {string} templateId - The MongoDB _id of the template.
+ * @returns {Promise<Object|null>} The template, or null if not found.
+ */
+const getMeetingTemplate = async (templateId) => {
+    try {
+        return await MeetingTemplate.findById(templateId, { __v: 0 }).lean();
+    } catch (error) {
+        if (error.name === 'CastError') return null;
+        console.error('Error fetching meeting template:', error);
+        throw error;
+    }
+};
+
+/**
+ * Updates a user-defined template. Meetings already started with it keep their copy.
+ *
+ * @param {string} templateId - The MongoDB _id of the template.
+ * @param {Object} fields - Fields from parseTemplateDefinition; only the ones present are changed.
+ * @returns {Promise<Object|null>} The updated template, or null if not found.
+ */
+const updateMeetingTemplate = async (templateId, fields) => {
+    try {
+        return await MeetingTemplate.findByIdAndUpdate(
+            templateId,
+            { $set: fields },
+            { new: true, runValidators: true, projection: { __v: 0 } }
+        ).lean();
+    } catch (error) {
+        console.error('Error updating meeting template:', error);
+        throw error;
+    }
+};
+
+/**
+ * Deletes a user-defined template.
+ *
+ * @param {string} templateId - The MongoDB _id of the template.
+ * @returns {Promise<boolean>} True if a template was deleted.
+ */
+const deleteMeetingTemplate = async (templateId) => {
+    try {
+        const result = await MeetingTemplate.deleteOne({ _id: templateId });
+        return result.deletedCount > 0;
+    } catch (error) {
+        console.error('Error deleting meeting template:', error);
+        throw error;
+    }
+};
+
+/**
+ * Resolves a template id to the snapshot stored on a new meeting.
+ * Built-in ids resolve directly; user-defined templates must belong to the user
+ * or be shared with one of their workspaces.
+ *
+ * @param {string} templateId - A built-in template id or the _id of a user-defined template.
+ * @param {string} userId - The MongoDB _id of the user starting the meeting.
+ * @param {Array<string>} workspaceIds - The ids of the user's workspaces.
+ * @returns {Promise<Object|null>} The template snapshot, or null if it does not exist or is not visible.
+ */
+const resolveMeetingTemplate = async (templateId, userId, workspaceIds = []) => {
+    const builtIn = getBuiltInTemplate(templateId);
+    if (builtIn) return builtIn;
+
+    const template = await getMeetingTemplate(templateId);
+    if (!template) return null;
+
+    const visible = template.owner.toString() === userId.toString()
+        || (template.workspaceId && workspaceIds.includes(template.workspaceId.toString()));
+    if (!visible) return null;
+
+    return {
+        id: template._id.toString(),
+        builtIn: false,
+        name: template.name,
+        cleaningRules: template.cleaningRules || [],
+        summarySections: template.summarySections || [],
+        chatPersona: template.chatPersona,
+    };
+};
+
+module.exports = {
+    createMeetingTemplate,
+    listMeetingTemplates,
+    getMeetingTemplate,
+    updateMeetingTemplate,
+    deleteMeetingTemplate,
+    resolveMeetingTemplate,
+};
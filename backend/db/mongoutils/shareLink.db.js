@@ -0,0 +1,146 @@
+// db/mongoutils/shareLink.db.js
+
+const ShareLink = require('../models/shareLink.model');
+const config = require('../../utils/config');
+const { signValue, verifySignature } = require('../../utils/security');
+
+/**
+ * Whether share links can be used. They need SHARE_LINK_SECRET to sign their tokens.
+ * @returns {boolean} True if SHARE_LINK_SECRET is set.
+ */
+const shareLinksEnabled = () => !!config.SHARE_LINK_SECRET;
+
+/**
+ * Builds the public token for a share link: "<linkId>.<expiresAtMs>.<signature>".
+ * The signature lets forged or tampered tokens be rejected before touching the database.
+ * @param {Object} link - The share link document.
+ * @returns {string} The token.
+ */
+const buildShareToken = (link) => {
+    const value = `${link._id}.${link.expiresAt.getTime()}`;
+    return `${value}.${signValue(value, config.SHARE_LINK_SECRET)}`;
+};
+
+/**
+ * Creates a new share link for a meeting.
+ *
+ * @param {string} jobId - The meeting to share.
+ * @param {string} createdBy - The MongoDB _id of the user creating the link.
+ * @param {Date} expiresAt - When the link stops working.
+ * @param {boolean} [includeChat=false] - Whether the link also exposes the chat history.
+ * @returns {Promise<{token: string, link: Object}>} The public token and the stored document.
+ */
+const createShareLink = async (jobId, createdBy, expiresAt, includeChat = false) => {
+    try {
+        const link = await new ShareLink({ jobId, createdBy, expiresAt, includeChat }).save();
+        console.log(`Share link ${link._id} created for jobId: ${jobId}`);
+        return { token: buildShareToken(link), link };
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        throw error;
+    }
+};
+
+/**
+ * Lists the share links of a meeting, newest first.
+ *
+ * @param {string} jobId - The meeting's jobId.
+ * @returns {Promise<Array>} An array of share link documents.
+ */
+const listShareLinks = async (jobId) => {
+    try {
+        return await ShareLink.find({ jobId }, { __v: 0 }).sort({ createdAt: -1 });
+    } catch (error) {
+        console.error('Error listing share links:', error);
+        throw error;
+    }
+};
+
+/**
+ * Fetches a single share link by id.
+ *
+ * @param {string} linkId - The MongoDB _id of the link.
+ * @returns {Promise<Object|null>} The share link document, or null if not found.
+ */
+const getShareLink = async (linkId) => {
+    try {
+        return await ShareLink.findById(linkId);
+    } catch (error) {
+        if (error.name === 'CastError') return null;
+        console.error('Error fetching share link:', error);
+        throw error;
+    }
+};
+
+/**
+ * Revokes a share link.
+ *
+ * @param {string} linkId - The MongoDB _id of the link.
+ * @returns {Promise<boolean>} True if an active link was revoked.
+ */
+const revokeShareLink = async (linkId) => {
+    try {
+        const result = await ShareLink.findOneAndUpdate(
+            { _id: linkId, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+        return !!result;
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        return false;
+    }
+};
+
+/**
+ * Resolves a public share token to its link, checking the signature, expiry and revocation.
+ *
+ * @param {string} token - The public token from the URL.
+ * @returns {Promise<Object|null>} The share link document, or null if the token is not valid right now.
+ */
+const resolveShareToken = async (token) => {
+    const [linkId, expiresAtMs, signature] = String(token || '').split('.');
+    if (!shareLinksEnabled() || !linkId || !expiresAtMs || !signature) return null;
+    if (!verifySignature(`${linkId}.${expiresAtMs}`, signature, config.SHARE_LINK_SECRET)) return null;
+    if (Number(expiresAtMs) <= Date.now()) return null;
+
+    try {
+        const link = await ShareLink.findOne({
+            _id: linkId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        });
+        return link;
+    } catch (error) {
+        if (error.name === 'CastError') return null;
+        console.error('Error resolving share token:', error);
+        return null;
+    }
+};
+
+/**
+ * Deletes every share link of a meeting.
+ *
+ * @param {string} jobId - The meeting's jobId.
+ * @returns {Promise<number>} The number of links deleted.
+ */
+const deleteShareLinksForJob = async (jobId) => {
+    try {
+        const result = await ShareLink.deleteMany({ jobId });
+        return result.deletedCount;
+    } catch (error) {
+        console.error('Error deleting share links:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    shareLinksEnabled,
+    buildShareToken,
+    createShareLink,
+    listShareLinks,
+    getShareLink,
+    revokeShareLink,
+    resolveShareToken,
+    deleteShareLinksForJob,
+};
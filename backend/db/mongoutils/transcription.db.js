@@ -3,6 +3,22 @@
 const mongoose = require('mongoose');
 const Meeting = require('../models/meeting.model'); // Import the Mongoose model
 const config = require('../../utils/config'); // Import the config file
+const { chunkKey, chunkIndexExpressions, insertChunkPipeline } = require('../../utils/chunkOrder');
+
+// Leaves out the transcript arrays, which grow with the length of the meeting
+const MEETING_INFO_PROJECTION = {
+    transcriptionChunks: 0,
+    transcriptionChunkOrder: 0,
+    transcriptSegments: 0,
+    translationChunks: 0,
+    translationChunkOrder: 0,
+    translatedSegments: 0,
+    cleanedChunks: 0,
+    chapters: 0,
+    audioFiles: 0,
+    silentChunkOrder: 0,
+    __v: 0,
+};
 
 /**
  * Connects to the MongoDB database using the URI from the config.
@@ -24,12 +40,25 @@ async function connectToMongo() {
 /**
  * Creates a new transcription document in the database.
  * @param {string} jobId A unique identifier for the transcription job.
+ * @param {string} owner The MongoDB _id of the user starting the meeting.
+ * @param {string} [workspaceId] The MongoDB _id of the workspace to share the meeting with.
+ * @param {object} [metadata] Descriptive fields from parseMeetingMetadata (title, sourceUrl, ...).
+ * @param {object} [settings] How the meeting is processed.
+ * @param {object} [settings.template] The template snapshot from resolveMeetingTemplate.
+ * @param {string} [settings.language] An ISO-639-1 code, or 'auto'.
+ * @param {boolean} [settings.translateToEnglish] Also translate the audio into English.
  * @returns {Promise<boolean>} True if the document was created successfully.
  */
-async function createTranscription(jobId) {
+async function createTranscription(jobId, owner, workspaceId, metadata = {}, settings = {}) {
     try {
         const newMeeting = new Meeting({
+            ...metadata,
             jobId: jobId,
+            owner: owner,
+            workspaceId: workspaceId,
+            template: settings.template,
+            language: settings.language,
+            translateToEnglish: settings.translateToEnglish,
         });
         await newMeeting.save();
         console.log(`New transcription document created for jobId: ${jobId}`);
@@ -40,30 +69,591 @@ async function createTranscription(jobId) {
     }
 }
 
+// Moves a chunk's segments from chunk time to meeting time, keeping any speaker label
+const shiftSegments = (segments, startSeconds) => segments.map(segment => ({
+    start: startSeconds + segment.start,
+    end: startSeconds + segment.end,
+    text: segment.text,
+    ...(segment.speaker ? { speaker: segment.speaker } : {}),
+}));
+
+
 /**
- * Appends new text to an existing transcription document.
- * If the document does not exist, it creates a new one and appends the text.
+ * Stores the transcript of one audio chunk at its place in the meeting. Chunks are kept in
+ * sequence order however the worker finishes them, and a chunk that is already stored is not
+ * stored again.
+ * Nothing is stored if the meeting does not exist or is being deleted; the document is only ever
+ * created by createTranscription, so a late chunk cannot bring a deleted meeting back.
  * @param {string} jobId The unique identifier of the transcription job.
  * @param {string} newText The text chunk to append.
+ * @param {number} [durationSeconds=0] The length of the audio the text came from, added to the meeting's total.
+ * @param {Array<{start: number, end: number, text: string, speaker?: string}>} [segments=[]] Timed segments of the text,
+ * relative to the start of the chunk. They are stored shifted by the chunk's offset in the meeting. Segments with a
+ * speaker label mark the meeting as having speaker labels.
+ * @param {object} [position] Where the chunk belongs.
+ * @param {number} [position.sequence] The sequence number of the upload it came from.
+ * @param {number} [position.part=0] Its index within a split upload.
+ * @param {number} [position.startSeconds] Its start in the recording. Without it the chunk is placed
+ * after all the audio stored so far.
+ * @returns {Promise<{startSeconds: number, endSeconds: number, sequence: number, part: number, duplicate: boolean}|null>}
+ * Where the chunk falls in the meeting, or null on failure or if the meeting is gone. `duplicate` is true if it was already stored.
+ */
+async function appendTranscription(jobId, newText, durationSeconds = 0, segments = [], position = {}) {
+    const duration = Number(durationSeconds) || 0;
+    const key = chunkKey(position);
+    try {
+        // Return the document as it was before the update, so its duration is this chunk's default start offset
+        const previous = await Meeting.findOneAndUpdate(
+            { jobId: jobId, deletingAt: { $exists: false } },
+            insertChunkPipeline('transcriptionChunks', 'transcriptionChunkOrder', newText, key, {
+                durationSeconds: {
+                    $cond: ['$_duplicate', '$durationSeconds', { $add: [{ $ifNull: ['$durationSeconds', 0] }, duration] }],
+                },
+                ...(segments.some(segment => segment.speaker) ? { speakerLabels: { $literal: true } } : {}),
+            }),
+            { new: false, projection: { durationSeconds: 1, transcriptionChunkOrder: 1 } }
+        );
+        if (!previous) {
+            console.warn(`Meeting ${jobId} not found or being deleted; not storing its chunk.`);
+            return null;
+        }
+
+        const duplicate = (previous.transcriptionChunkOrder || [])
+            .some(entry => entry.sequence === key.sequence && entry.part === key.part);
+        const startSeconds = typeof position.startSeconds === 'number'
+            ? position.startSeconds
+            : previous.durationSeconds || 0;
+        const span = { startSeconds, endSeconds: startSeconds + duration, ...key, duplicate };
+        if (duplicate) {
+            console.warn(`Chunk ${key.sequence}.${key.part} of jobId ${jobId} is already stored; skipping it.`);
+            return span;
+        }
+
+        if (segments.length > 0) {
+            await Meeting.updateOne(
+                { jobId: jobId },
+                {
+                    $push: {
+                        transcriptSegments: {
+                            $each: shiftSegments(segments, startSeconds),
+                            $sort: { start: 1 },
+                        },
+                    },
+                }
+            );
+        }
+
+        console.log(`Successfully appended text for jobId: ${jobId}`);
+        return span;
+    } catch (err) {
+        console.error('Error appending transcription text:', err);
+        return null;
+    }
+}
+
+/**
+ * Fetches the raw text of the chunk stored just before a chunk's place in the meeting.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {{sequence?: number, part?: number}} position The chunk's position, as given to appendTranscription.
+ * @param {string} [variant='original'] 'original' for the transcript, 'translation' for its English translation.
+ * @returns {Promise<string|null>} The text, or null if no chunk comes before it.
+ */
+async function getPrecedingChunkText(jobId, position, variant = 'original') {
+    const chunksField = variant === 'translation' ? 'translationChunks' : 'transcriptionChunks';
+    const orderField = variant === 'translation' ? 'translationChunkOrder' : 'transcriptionChunkOrder';
+    const { chunks, chunkIndex } = chunkIndexExpressions(chunksField, orderField, chunkKey(position));
+    try {
+        const [result] = await Meeting.aggregate([
+            { $match: { jobId: jobId } },
+            {
+                $project: {
+                    _id: 0,
+                    text: { $cond: [{ $gt: [chunkIndex, 0] }, { $arrayElemAt: [chunks, { $subtract: [chunkIndex, 1] }] }, null] },
+                },
+            },
+        ]);
+        return result && result.text ? result.text : null;
+    } catch (err) {
+        console.error('Error fetching the preceding transcript chunk:', err);
+        throw err;
+    }
+}
+
+/**
+ * Lists the sequence numbers missing from a meeting's uploads: every number below the highest
+ * one received that has not arrived.
+ * @param {{receivedSequences?: Array<number>}} meeting The meeting, e.g. from getMeetingInfo.
+ * @returns {Array<number>} The missing sequence numbers, in order.
+ */
+const getMissingSequences = (meeting) => {
+    const received = new Set(meeting.receivedSequences || []);
+    const highest = Math.max(-1, ...received);
+    const missing = [];
+    for (let sequence = 0; sequence < highest; sequence++) {
+        if (!received.has(sequence)) missing.push(sequence);
+    }
+    return missing;
+};
+
+/**
+ * Records the sequence number of an uploaded audio chunk. Without one, the next number after the
+ * highest received so far is assigned.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {number} [sequence] The sequence number the client gave the upload.
+ * @returns {Promise<{sequence: number, duplicate: boolean, missingSequences: Array<number>}|null>} The upload's
+ * sequence number, whether it had been received before and the numbers still missing below the highest one,
+ * or null if the meeting is not found.
+ */
+async function recordSequence(jobId, sequence) {
+    try {
+        if (sequence === undefined) {
+            const received = { $ifNull: ['$receivedSequences', []] };
+            const meeting = await Meeting.findOneAndUpdate(
+                { jobId: jobId },
+                [{
+                    $set: {
+                        receivedSequences: {
+                            $concatArrays: [received, [{ $add: [{ $max: [-1, { $max: received }] }, 1] }]],
+                        },
+                    },
+                }],
+                { new: true, projection: { receivedSequences: 1 } }
+            );
+            if (!meeting) return null;
+            return {
+                sequence: meeting.receivedSequences[meeting.receivedSequences.length - 1],
+                duplicate: false,
+                missingSequences: getMissingSequences(meeting),
+            };
+        }
+
+        const meeting = await Meeting.findOneAndUpdate(
+            { jobId: jobId },
+            { $addToSet: { receivedSequences: sequence } },
+            { new: false, projection: { receivedSequences: 1 } }
+        );
+        if (!meeting) return null;
+        const received = meeting.receivedSequences || [];
+        return {
+            sequence,
+            duplicate: received.includes(sequence),
+            missingSequences: getMissingSequences({ receivedSequences: [...received, sequence] }),
+        };
+    } catch (err) {
+        console.error('Error recording upload sequence number:', err);
+        return null;
+    }
+}
+
+/**
+ * Forgets a sequence number recorded by recordSequence, for an upload that could not be queued.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {number} sequence The upload's sequence number.
+ * @returns {Promise<boolean>} True if the document was updated successfully.
+ */
+async function forgetSequence(jobId, sequence) {
+    try {
+        const result = await Meeting.updateOne({ jobId: jobId }, { $pull: { receivedSequences: sequence } });
+        return result.matchedCount > 0;
+    } catch (err) {
+        console.error('Error removing upload sequence number:', err);
+        return false;
+    }
+}
+
+/**
+ * Records silence cut out of a chunk before transcription.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {number} trimmedSeconds Silence cut out of the chunk.
  * @returns {Promise<boolean>} True if the document was updated successfully.
  */
-async function appendTranscription(jobId, newText) {
+async function recordSilence(jobId, trimmedSeconds) {
+    try {
+        const result = await Meeting.updateOne(
+            { jobId: jobId },
+            { $inc: { silenceTrimmedSeconds: Number(trimmedSeconds) || 0 } }
+        );
+        return result.matchedCount > 0;
+    } catch (err) {
+        console.error('Error recording silence:', err);
+        return false;
+    }
+}
+
+/**
+ * Records a chunk that produced no transcript. It still advances the meeting's duration, so later
+ * chunks keep their place on the timeline. A chunk that was recorded before is not counted again.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {object} audio
+ * @param {number} [audio.trimmedSeconds=0] Silence cut out of the chunk before transcription.
+ * @param {number} [audio.skippedSeconds=0] The length of the chunk.
+ * @param {object} [position] Where the chunk belongs, as given to appendTranscription.
+ * @returns {Promise<boolean>} True if the chunk was recorded by this call.
+ */
+async function recordSilentChunk(jobId, { trimmedSeconds = 0, skippedSeconds = 0 } = {}, position = {}) {
+    const key = chunkKey(position);
+    try {
+        const result = await Meeting.updateOne(
+            { jobId: jobId, silentChunkOrder: { $not: { $elemMatch: key } } },
+            {
+                $inc: {
+                    silenceTrimmedSeconds: Number(trimmedSeconds) || 0,
+                    silentChunks: 1,
+                    durationSeconds: Number(skippedSeconds) || 0,
+                },
+                $push: { silentChunkOrder: key },
+            }
+        );
+        if (result.modifiedCount === 0) {
+            console.warn(`Silent chunk ${key.sequence}.${key.part} of jobId ${jobId} was already recorded; skipping it.`);
+        }
+        return result.modifiedCount > 0;
+    } catch (err) {
+        console.error('Error recording silent chunk:', err);
+        return false;
+    }
+}
+
+/**
+ * Stores the English translation of one audio chunk at the same place as its transcript.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {string} text The translated text.
+ * @param {Array<{start: number, end: number, text: string, speaker?: string}>} segments Timed segments, relative to the start of the chunk.
+ * @param {{startSeconds: number, sequence: number, part: number}} span Where the chunk is, as returned by appendTranscription.
+ * @returns {Promise<boolean>} True if the document was updated successfully.
+ */
+async function appendTranslation(jobId, text, segments = [], span = {}) {
+    const key = chunkKey(span);
+    try {
+        const previous = await Meeting.findOneAndUpdate(
+            { jobId: jobId },
+            insertChunkPipeline('translationChunks', 'translationChunkOrder', text, key),
+            { new: false, projection: { translationChunkOrder: 1 } }
+        );
+        if (!previous) return false;
+
+        // A translation stored before already has its segments
+        const duplicate = (previous.translationChunkOrder || [])
+            .some(entry => entry.sequence === key.sequence && entry.part === key.part);
+        if (!duplicate && segments.length > 0) {
+            await Meeting.updateOne(
+                { jobId: jobId },
+                {
+                    $push: {
+                        translatedSegments: {
+                            $each: shiftSegments(segments, span.startSeconds || 0),
+                            $sort: { start: 1 },
+                        },
+                    },
+                }
+            );
+        }
+        return true;
+    } catch (err) {
+        console.error('Error appending translation text:', err);
+        return false;
+    }
+}
+
+/**
+ * Appends the refined chunks produced by clean() for one audio chunk, and a chapter
+ * for each chunk that has a summary.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {Array<{summary: string, refined_text: string, pointId: string, variant?: string, sequence?: number, part?: number, startSeconds?: number, endSeconds?: number}>} chunks The cleaned chunks, in order.
+ * @param {object} [options]
+ * @param {boolean} [options.chapters=true] Whether to add chapters for the chunks. Only the version the notes
+ * are built from gets chapters, so a translated meeting does not list every topic twice.
+ * @returns {Promise<boolean>} True if the document was updated successfully.
+ */
+async function appendCleanedChunks(jobId, chunks, { chapters: withChapters = true } = {}) {
+    const cleanedChunks = chunks.map(chunk => ({
+        _id: new mongoose.Types.ObjectId(),
+        summary: chunk.summary,
+        refinedText: chunk.refined_text,
+        pointId: chunk.pointId,
+        variant: chunk.variant,
+        sequence: chunk.sequence,
+        part: chunk.part,
+        startSeconds: chunk.startSeconds,
+        endSeconds: chunk.endSeconds,
+    }));
+    const chapters = !withChapters ? [] : chunks
+        .map((chunk, i) => ({
+            title: chunk.summary,
+            startSeconds: chunk.startSeconds,
+            endSeconds: chunk.endSeconds,
+            chunkId: cleanedChunks[i]._id,
+        }))
+        .filter(chapter => chapter.title);
+
     try {
         const result = await Meeting.findOneAndUpdate(
             { jobId: jobId },
-            { $push: { transcriptionChunks: newText } },
-            { new: true, upsert: true } // Return the updated document, create if not found
+            {
+                $push: {
+                    // Kept in upload order, like the raw transcript
+                    cleanedChunks: { $each: cleanedChunks, $sort: { sequence: 1, part: 1, startSeconds: 1 } },
+                    // Keep chapters in recording order even if audio chunks finish out of order
+                    chapters: { $each: chapters, $sort: { startSeconds: 1 } },
+                },
+            },
+            { new: true, projection: { _id: 1 } }
         );
+        return !!result;
+    } catch (err) {
+        console.error('Error appending cleaned chunks:', err);
+        return false;
+    }
+}
 
-        if (result) {
-            console.log(`Successfully appended text for jobId: ${jobId}`);
-            return true;
+/**
+ * Fetches the refined chunks of a meeting, in order.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {string} [variant] Only return 'original' or 'translation' chunks.
+ * @returns {Promise<Array<object>|null>} The cleaned chunks, or null if the meeting is not found.
+ */
+async function getCleanedChunks(jobId, variant) {
+    try {
+        const meeting = await Meeting.findOne({ jobId: jobId }, { cleanedChunks: 1 }).lean();
+        if (!meeting) return null;
+        const chunks = meeting.cleanedChunks || [];
+        return variant ? chunks.filter(chunk => (chunk.variant || 'original') === variant) : chunks;
+    } catch (err) {
+        console.error('Error fetching cleaned chunks:', err);
+        throw err;
+    }
+}
+
+/**
+ * Checks whether the cleaned chunks of an audio chunk are stored, i.e. it was cleaned and embedded.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {{sequence?: number, part?: number}} position The chunk's position, as given to appendTranscription.
+ * @param {string} variant 'original' or 'translation'.
+ * @returns {Promise<boolean>} True if they are stored.
+ */
+async function hasCleanedChunks(jobId, position, variant) {
+    const key = chunkKey(position);
+    try {
+        const meeting = await Meeting.exists({
+            jobId: jobId,
+            cleanedChunks: {
+                $elemMatch: {
+                    ...key,
+                    // Chunks stored before translations were cleaned have no variant
+                    variant: variant === 'original' ? { $in: ['original', null] } : variant,
+                },
+            },
+        });
+        return !!meeting;
+    } catch (err) {
+        console.error('Error checking cleaned chunks:', err);
+        throw err;
+    }
+}
+
+/**
+ * Replaces a cleaned chunk's text and/or summary, keeping the previous version in its history.
+ * A chapter made from the chunk takes the new summary as its title.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {string} chunkId The chunk's _id.
+ * @param {object} changes
+ * @param {string} [changes.refinedText] The corrected text.
+ * @param {string} [changes.summary] The corrected summary.
+ * @param {string} editorId The MongoDB _id of the user making the edit.
+ * @returns {Promise<{chunk: object|null, changed: boolean, conflict?: boolean}|null>} The chunk as stored and
+ * whether it changed (`conflict` if it was edited by someone else at the same time), or null if not found.
+ */
+async function editCleanedChunk(jobId, chunkId, changes, editorId) {
+    try {
+        const meeting = await Meeting.findOne(
+            { jobId: jobId, 'cleanedChunks._id': chunkId },
+            { cleanedChunks: { $elemMatch: { _id: chunkId } } }
+        ).lean();
+        if (!meeting) return null;
+
+        const current = meeting.cleanedChunks[0];
+        const refinedText = changes.refinedText !== undefined ? changes.refinedText : current.refinedText;
+        const summary = changes.summary !== undefined ? changes.summary : current.summary;
+        if (refinedText === current.refinedText && summary === current.summary) {
+            return { chunk: current, changed: false };
+        }
+
+        const summaryChanged = summary !== current.summary;
+        const updated = await Meeting.findOneAndUpdate(
+            // Only if the chunk is still the version that was read
+            {
+                jobId: jobId,
+                cleanedChunks: {
+                    $elemMatch: { _id: chunkId, refinedText: current.refinedText, summary: current.summary ?? null },
+                },
+            },
+            {
+                $set: {
+                    'cleanedChunks.$.refinedText': refinedText,
+                    'cleanedChunks.$.summary': summary,
+                    ...(summaryChanged ? { 'chapters.$[chapter].title': summary } : {}),
+                },
+                $push: {
+                    'cleanedChunks.$.history': {
+                        text: current.refinedText,
+                        summary: current.summary,
+                        editedBy: editorId,
+                        editedAt: new Date(),
+                    },
+                },
+            },
+            {
+                new: true,
+                projection: { cleanedChunks: { $elemMatch: { _id: chunkId } } },
+                ...(summaryChanged ? { arrayFilters: [{ 'chapter.chunkId': current._id }] } : {}),
+            }
+        ).lean();
+        if (!updated) {
+            return { chunk: null, changed: false, conflict: true };
+        }
+        return { chunk: updated.cleanedChunks[0], changed: true };
+    } catch (err) {
+        if (err.name === 'CastError') return null;
+        console.error('Error editing cleaned chunk:', err);
+        throw err;
+    }
+}
+
+/**
+ * Carries a segment edit over to the raw chunk the segment came from. The old text has to appear
+ * exactly once in all the chunks; otherwise the chunks are left as they are.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {string} chunksField 'transcriptionChunks' or 'translationChunks'.
+ * @param {string} oldText The segment's previous text.
+ * @param {string} newText Its corrected text.
+ * @returns {Promise<boolean>} True if a chunk was corrected.
+ */
+async function replaceInRawChunk(jobId, chunksField, oldText, newText) {
+    const meeting = await Meeting.findOne({ jobId: jobId }, { [chunksField]: 1 }).lean();
+    const chunks = (meeting && meeting[chunksField]) || [];
+    const matches = [];
+    chunks.forEach((chunk, index) => {
+        for (let at = chunk.indexOf(oldText); at !== -1; at = chunk.indexOf(oldText, at + 1)) {
+            matches.push({ chunk, index });
+        }
+    });
+    if (matches.length !== 1) return false;
+
+    const { chunk, index } = matches[0];
+    const result = await Meeting.updateOne(
+        { jobId: jobId, [`${chunksField}.${index}`]: chunk },
+        { $set: { [`${chunksField}.${index}`]: chunk.replace(oldText, () => newText) } }
+    );
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Replaces the text of a timed transcript segment (original or translation), keeping the previous
+ * text in its history, and corrects the raw chunk it came from.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {string} segmentId The segment's _id.
+ * @param {string} text The corrected text.
+ * @param {string} editorId The MongoDB _id of the user making the edit.
+ * @returns {Promise<{segment: object|null, variant: string, changed: boolean, previousText?: string, chunkUpdated?: boolean, conflict?: boolean}|null>}
+ * The segment as stored, which transcript it belongs to, whether it changed (`conflict` if it was edited by
+ * someone else at the same time) and its text before the edit, or null if not found.
+ */
+async function editTranscriptSegment(jobId, segmentId, text, editorId) {
+    try {
+        const meeting = await Meeting.findOne(
+            { jobId: jobId, $or: [{ 'transcriptSegments._id': segmentId }, { 'translatedSegments._id': segmentId }] },
+            {
+                transcriptSegments: { $elemMatch: { _id: segmentId } },
+                translatedSegments: { $elemMatch: { _id: segmentId } },
+            }
+        ).lean();
+        if (!meeting) return null;
+
+        const variant = (meeting.transcriptSegments || []).length > 0 ? 'original' : 'translation';
+        const segmentsField = variant === 'translation' ? 'translatedSegments' : 'transcriptSegments';
+        const current = meeting[segmentsField][0];
+        if (text === current.text) {
+            return { segment: current, variant, changed: false };
+        }
+
+        const updated = await Meeting.findOneAndUpdate(
+            // Only if the segment is still the version that was read
+            { jobId: jobId, [segmentsField]: { $elemMatch: { _id: segmentId, text: current.text } } },
+            {
+                $set: { [`${segmentsField}.$.text`]: text },
+                $push: { [`${segmentsField}.$.history`]: { text: current.text, editedBy: editorId, editedAt: new Date() } },
+            },
+            { new: true, projection: { [segmentsField]: { $elemMatch: { _id: segmentId } } } }
+        ).lean();
+        if (!updated) {
+            return { segment: null, variant, changed: false, conflict: true };
         }
 
-        console.warn(`Failed to append text for jobId: ${jobId}. Unknown error.`);
+        const chunkUpdated = await replaceInRawChunk(
+            jobId,
+            variant === 'translation' ? 'translationChunks' : 'transcriptionChunks',
+            current.text,
+            text
+        );
+        return { segment: updated[segmentsField][0], variant, changed: true, previousText: current.text, chunkUpdated };
+    } catch (err) {
+        if (err.name === 'CastError') return null;
+        console.error('Error editing transcript segment:', err);
+        throw err;
+    }
+}
+
+/**
+ * Records the language Whisper detected for a meeting started with language 'auto'.
+ * Only the first detection is kept, so the meeting's language stays stable.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {string} language The detected ISO-639-1 code.
+ * @returns {Promise<boolean>} True if the language was stored by this call.
+ */
+async function setDetectedLanguage(jobId, language) {
+    try {
+        const result = await Meeting.updateOne(
+            { jobId: jobId, language: 'auto', detectedLanguage: null },
+            { $set: { detectedLanguage: language } }
+        );
+        return result.modifiedCount > 0;
+    } catch (err) {
+        console.error('Error storing detected language:', err);
         return false;
+    }
+}
+
+/**
+ * Fetches the chapters of a meeting, in recording order.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @returns {Promise<Array<object>|null>} The chapters, or null if the meeting is not found.
+ */
+async function getMeetingChapters(jobId) {
+    try {
+        const meeting = await Meeting.findOne({ jobId: jobId }, { chapters: 1 }).lean();
+        return meeting ? meeting.chapters || [] : null;
     } catch (err) {
-        console.error('Error appending transcription text:', err);
+        console.error('Error fetching meeting chapters:', err);
+        throw err;
+    }
+}
+
+/**
+ * Stores the generated summary of a meeting.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {object} summary The summary fields (status, executiveSummary, keyDecisions, ...).
+ * @returns {Promise<boolean>} True if the document was updated successfully.
+ */
+async function setMeetingSummary(jobId, summary) {
+    try {
+        const result = await Meeting.findOneAndUpdate(
+            { jobId: jobId },
+            { $set: { summary: summary } },
+            { new: true, runValidators: true }
+        );
+        return !!result;
+    } catch (err) {
+        console.error('Error saving meeting summary:', err);
         return false;
     }
 }
@@ -88,6 +678,102 @@ async function updateMeetingStatus(jobId, newStatus) {
     }
 }
 
+/**
+ * Adjusts the number of audio chunks queued for a meeting.
+ * Called with +1 before a chunk is pushed to audio_queue, and -1 if the push fails.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {number} [delta=1] How much to add.
+ * @returns {Promise<boolean>} True if the document was updated successfully.
+ */
+async function incrementChunksQueued(jobId, delta = 1) {
+    try {
+        const result = await Meeting.findOneAndUpdate(
+            { jobId: jobId },
+            { $inc: { chunksQueued: delta } },
+            { new: true }
+        );
+        return !!result;
+    } catch (err) {
+        console.error('Error updating queued chunk count:', err);
+        return false;
+    }
+}
+
+/**
+ * Moves a finalizing meeting to 'completed' if every queued chunk has been handled.
+ * The check and the update are a single atomic operation, so concurrent workers
+ * cannot both complete (or miss completing) the meeting.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @returns {Promise<boolean>} True if the meeting was completed by this call.
+ */
+async function completeIfDrained(jobId) {
+    try {
+        const result = await Meeting.findOneAndUpdate(
+            {
+                jobId: jobId,
+                status: 'finalizing',
+                // A meeting being deleted gets no summary
+                deletingAt: { $exists: false },
+                $expr: { $gte: [{ $add: ['$chunksProcessed', '$chunksFailed'] }, '$chunksQueued'] },
+            },
+            { status: 'completed' },
+            { new: true }
+        );
+        if (result) {
+            console.log(`All queued audio for jobId ${jobId} handled; meeting marked as completed.`);
+        }
+        return !!result;
+    } catch (err) {
+        console.error('Error completing drained meeting:', err);
+        return false;
+    }
+}
+
+/**
+ * Records that the worker finished with one audio chunk, and completes the meeting
+ * if it was finalizing and this was the last outstanding chunk.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {boolean} succeeded Whether the chunk was transcribed, cleaned and embedded.
+ * @returns {Promise<boolean>} True if the meeting was completed by this call.
+ */
+async function recordChunkHandled(jobId, succeeded) {
+    try {
+        await Meeting.updateOne(
+            { jobId: jobId },
+            { $inc: succeeded ? { chunksProcessed: 1 } : { chunksFailed: 1 } }
+        );
+    } catch (err) {
+        console.error('Error recording handled chunk:', err);
+        return false;
+    }
+    return completeIfDrained(jobId);
+}
+
+/**
+ * Stops a meeting. It becomes 'finalizing' so that audio already queued is still
+ * processed, and is completed straight away if nothing is outstanding.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @returns {Promise<string|null>} The resulting status, or null if the meeting was not found.
+ */
+async function finalizeMeeting(jobId) {
+    try {
+        const meeting = await Meeting.findOneAndUpdate(
+            { jobId: jobId, status: 'in-progress' },
+            { status: 'finalizing' },
+            { new: true }
+        );
+        if (!meeting) {
+            // Already finalizing or completed, or not found
+            return getMeetingStatus(jobId);
+        }
+        const completed = await completeIfDrained(jobId);
+        return completed ? 'completed' : 'finalizing';
+    } catch (err) {
+        console.error('Error finalizing meeting:', err);
+        throw err;
+    }
+}
+
 /**
  * Fetches the status of a meeting document.
  * @param {string} jobId The unique identifier of the transcription job.
@@ -103,14 +789,241 @@ async function getMeetingStatus(jobId) {
     }
 }
 
+/**
+ * Fetches the lightweight fields of a meeting (everything except the transcript itself),
+ * used for access checks and to stamp ownership onto Qdrant payloads.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @returns {Promise<object|null>} The plain meeting object or null if not found.
+ */
+async function getMeetingInfo(jobId) {
+    try {
+        return await Meeting.findOne({ jobId: jobId }, MEETING_INFO_PROJECTION).lean();
+    } catch (err) {
+        console.error('Error fetching meeting info:', err);
+        throw err;
+    }
+}
+
+/**
+ * Updates the descriptive fields of a meeting.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {object} metadata Fields from parseMeetingMetadata; only the ones present are changed.
+ * @returns {Promise<object|null>} The updated meeting info, or null if not found.
+ */
+async function updateMeetingMetadata(jobId, metadata) {
+    try {
+        return await Meeting.findOneAndUpdate(
+            { jobId: jobId },
+            { $set: metadata },
+            { new: true, runValidators: true, projection: MEETING_INFO_PROJECTION }
+        ).lean();
+    } catch (err) {
+        console.error('Error updating meeting metadata:', err);
+        throw err;
+    }
+}
+
+/**
+ * Replaces a meeting's own glossary.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {Array<{term: string, variants: Array<string>}>} glossary The glossary from parseGlossary.
+ * @returns {Promise<boolean>} True if the document was updated successfully.
+ */
+async function setMeetingGlossary(jobId, glossary) {
+    try {
+        const result = await Meeting.updateOne({ jobId: jobId }, { $set: { glossary } });
+        return result.matchedCount > 0;
+    } catch (err) {
+        console.error('Error setting meeting glossary:', err);
+        return false;
+    }
+}
+
+/**
+ * Lists the jobIds of every meeting matching an access filter.
+ * @param {object} accessFilter A filter from buildMeetingAccessFilter.
+ * @returns {Promise<Array<string>>} The matching jobIds.
+ */
+async function listAccessibleJobIds(accessFilter) {
+    try {
+        return await Meeting.distinct('jobId', accessFilter);
+    } catch (err) {
+        console.error('Error listing accessible meetings:', err);
+        throw err;
+    }
+}
+
+/**
+ * Sets how many days a meeting's uploaded audio is kept.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {number|null} days The retention from parseAudioRetentionDays; null uses the workspace's setting.
+ * @returns {Promise<boolean>} True if the document was updated successfully.
+ */
+async function setMeetingAudioRetention(jobId, days) {
+    try {
+        const update = days === null ? { $unset: { audioRetentionDays: 1 } } : { $set: { audioRetentionDays: days } };
+        const result = await Meeting.updateOne({ jobId: jobId }, update);
+        return result.matchedCount > 0;
+    } catch (err) {
+        console.error('Error setting meeting audio retention:', err);
+        return false;
+    }
+}
+
+/**
+ * Records an uploaded audio file that is kept for playback instead of being deleted.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {object} file
+ * @param {string} file.fileId The Cloudinary public id.
+ * @param {number} [file.sequence] The sequence number of the upload it came from.
+ * @param {number} [file.part=0] Its index within a split upload.
+ * @param {number} [file.keepFromSeconds] For a segment of a split upload, where its own audio starts.
+ * @param {number} [file.keepUntilSeconds] And where it ends.
+ * @returns {Promise<boolean>} True if the document was updated successfully.
+ */
+async function keepAudioFile(jobId, { fileId, sequence, part, keepFromSeconds, keepUntilSeconds }) {
+    try {
+        const result = await Meeting.updateOne(
+            { jobId: jobId },
+            {
+                $push: {
+                    audioFiles: {
+                        $each: [{ fileId, ...chunkKey({ sequence, part }), keepFromSeconds, keepUntilSeconds }],
+                        $sort: { sequence: 1, part: 1 },
+                    },
+                },
+            }
+        );
+        return result.matchedCount > 0;
+    } catch (err) {
+        console.error('Error recording kept audio file:', err);
+        return false;
+    }
+}
+
+/**
+ * Fetches the audio kept for a meeting.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @returns {Promise<{audioFiles: Array<object>, playbackAudio: object|null}|null>} The kept files in order and the
+ * joined playback file, or null if the meeting is not found.
+ */
+async function getKeptAudio(jobId) {
+    try {
+        const meeting = await Meeting.findOne({ jobId: jobId }, { audioFiles: 1, playbackAudio: 1 }).lean();
+        if (!meeting) return null;
+        return { audioFiles: meeting.audioFiles || [], playbackAudio: meeting.playbackAudio || null };
+    } catch (err) {
+        console.error('Error fetching kept audio:', err);
+        throw err;
+    }
+}
+
+/**
+ * Records the joined playback file of a meeting, unless more audio was kept or another playback
+ * file was recorded while it was built.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {{fileId: string, fileCount: number, size: number}} playbackAudio The playback file.
+ * @param {string|null} previousFileId The playback file it replaces, or null if there was none.
+ * @returns {Promise<boolean>} True if it was recorded.
+ */
+async function setPlaybackAudio(jobId, playbackAudio, previousFileId) {
+    try {
+        const result = await Meeting.updateOne(
+            { jobId: jobId, audioFiles: { $size: playbackAudio.fileCount }, 'playbackAudio.fileId': previousFileId },
+            { $set: { playbackAudio: { ...playbackAudio, builtAt: new Date() } } }
+        );
+        return result.modifiedCount > 0;
+    } catch (err) {
+        console.error('Error recording playback audio:', err);
+        return false;
+    }
+}
+
+/**
+ * Lists the meetings that have kept audio, with what the purge job needs to check their retention.
+ * @returns {Promise<Array<object>>} The meetings' jobId, workspaceId, createdAt, audioRetentionDays, kept file ids and playback file.
+ */
+async function listMeetingsWithKeptAudio() {
+    try {
+        return await Meeting.find(
+            // A playback file can outlive its kept files if deleting it failed
+            { $or: [{ 'audioFiles.keptAt': { $lte: new Date() } }, { 'playbackAudio.fileId': { $exists: true } }] },
+            { jobId: 1, workspaceId: 1, createdAt: 1, audioRetentionDays: 1, 'audioFiles.fileId': 1, playbackAudio: 1 }
+        ).lean();
+    } catch (err) {
+        console.error('Error listing meetings with kept audio:', err);
+        throw err;
+    }
+}
+
+/**
+ * Forgets kept audio files once they are deleted from Cloudinary.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {Array<string>} fileIds The deleted files.
+ * @param {string} [playbackFileId] The deleted playback file, which is forgotten too if it is still the current one.
+ * @returns {Promise<boolean>} True if the document was updated successfully.
+ */
+async function removeKeptAudio(jobId, fileIds, playbackFileId) {
+    try {
+        const result = await Meeting.updateOne({ jobId: jobId }, { $pull: { audioFiles: { fileId: { $in: fileIds } } } });
+        if (playbackFileId) {
+            await Meeting.updateOne(
+                { jobId: jobId, 'playbackAudio.fileId': playbackFileId },
+                { $unset: { playbackAudio: 1 } }
+            );
+        }
+        return result.matchedCount > 0;
+    } catch (err) {
+        console.error('Error removing kept audio:', err);
+        return false;
+    }
+}
+
+/**
+ * Gives every meeting without an owner to a user. Meetings recorded before accounts existed have
+ * no owner, so nobody can open them until they are assigned.
+ * @param {string} ownerId The MongoDB _id of the user.
+ * @returns {Promise<number>} The number of meetings assigned.
+ */
+async function assignOwnerlessMeetings(ownerId) {
+    try {
+        const result = await Meeting.updateMany({ owner: null }, { $set: { owner: ownerId } });
+        return result.modifiedCount;
+    } catch (err) {
+        console.error('Error assigning meetings without an owner:', err);
+        throw err;
+    }
+}
+
+/**
+ * Shares a meeting with a workspace, or makes it private again.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @param {string|null} workspaceId The MongoDB _id of the workspace, or null to unshare.
+ * @returns {Promise<boolean>} True if the document was updated successfully.
+ */
+async function setMeetingWorkspace(jobId, workspaceId) {
+    try {
+        const result = await Meeting.findOneAndUpdate(
+            { jobId: jobId },
+            { workspaceId: workspaceId },
+            { new: true }
+        );
+        return !!result;
+    } catch (err) {
+        console.error('Error updating meeting workspace:', err);
+        return false;
+    }
+}
+
 /**
  * Fetches the full transcription document for a given job ID.
  * @param {string} jobId The unique identifier of the transcription job.
+ * @param {object} [accessFilter] A filter from buildMeetingAccessFilter limiting the lookup to meetings the caller can see.
  * @returns {Promise<object|null>} The transcription document or null if not found.
  */
-async function getTranscription(jobId) {
+async function getTranscription(jobId, accessFilter = {}) {
     try {
-        const document = await Meeting.findOne({ jobId: jobId }, { _id: 0, jobId: 0, __v: 0 });
+        const document = await Meeting.findOne({ ...accessFilter, jobId: jobId }, { _id: 0, jobId: 0, __v: 0 });
         if (document) {
             console.log(`Found transcription document for jobId: ${jobId}`);
         } else {
@@ -123,6 +1036,157 @@ async function getTranscription(jobId) {
     }
 }
 
+/**
+ * Lists meetings newest first with cursor pagination, returning only lightweight fields
+ * (the transcript itself is reduced to a chunk count).
+ * @param {object} options
+ * @param {object} options.accessFilter A filter from buildMeetingAccessFilter.
+ * @param {string} [options.status] Only meetings with this status.
+ * @param {Date} [options.from] Only meetings created at or after this date.
+ * @param {Date} [options.to] Only meetings created before this date.
+ * @param {string} [options.q] Case-insensitive text to look for in the title.
+ * @param {{createdAt: Date, id: string}} [options.cursor] Continue after this meeting.
+ * @param {number} [options.limit=20] Page size.
+ * @returns {Promise<{meetings: Array<object>, nextCursor: {createdAt: Date, id: string}|null}>} The page and the cursor for the next one.
+ */
+async function listMeetings({ accessFilter, status, from, to, q, cursor, limit = 20 }) {
+    const match = { ...accessFilter };
+    if (status) match.status = status;
+    if (from || to) {
+        match.createdAt = {};
+        if (from) match.createdAt.$gte = from;
+        if (to) match.createdAt.$lt = to;
+    }
+    if (q) {
+        const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        match.title = { $regex: escaped, $options: 'i' };
+    }
+
+    const pipeline = [{ $match: match }];
+    if (cursor) {
+        // Newest first, with _id as a tie-breaker for meetings created in the same millisecond
+        pipeline.push({
+            $match: {
+                $or: [
+                    { createdAt: { $lt: cursor.createdAt } },
+                    { createdAt: cursor.createdAt, _id: { $lt: new mongoose.Types.ObjectId(cursor.id) } },
+                ],
+            },
+        });
+    }
+    pipeline.push(
+        { $sort: { createdAt: -1, _id: -1 } },
+        { $limit: limit + 1 },
+        {
+            $project: {
+                jobId: 1,
+                title: 1,
+                sourceUrl: 1,
+                sourceTitle: 1,
+                participants: 1,
+                tags: 1,
+                status: 1,
+                createdAt: 1,
+                owner: 1,
+                workspaceId: 1,
+                durationSeconds: 1,
+                chunkCount: { $size: { $ifNull: ['$transcriptionChunks', []] } },
+            },
+        }
+    );
+
+    try {
+        const results = await Meeting.aggregate(pipeline);
+        const hasMore = results.length > limit;
+        const meetings = hasMore ? results.slice(0, limit) : results;
+        const last = meetings[meetings.length - 1];
+
+        return {
+            meetings: meetings.map(({ _id, ...meeting }) => meeting),
+            nextCursor: hasMore ? { createdAt: last.createdAt, id: last._id.toString() } : null,
+        };
+    } catch (err) {
+        console.error('Error listing meetings:', err);
+        throw err;
+    }
+}
+
+/**
+ * Marks a meeting as being deleted. From then on the worker skips its audio and stores nothing for it.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @returns {Promise<Date|null>} When the deletion was first asked for, or null if the meeting was not found.
+ */
+async function markMeetingDeleting(jobId) {
+    try {
+        // Keep the time of the first attempt when a deletion is retried
+        const meeting = await Meeting.findOneAndUpdate(
+            { jobId: jobId },
+            [{ $set: { deletingAt: { $ifNull: ['$deletingAt', '$$NOW'] } } }],
+            { new: true, projection: { deletingAt: 1 } }
+        ).lean();
+        return meeting ? meeting.deletingAt : null;
+    } catch (err) {
+        console.error('Error marking meeting as deleting:', err);
+        throw err;
+    }
+}
+
+// Chunks queued for a meeting that the worker has not handled yet
+const outstandingChunks = (meeting) =>
+    Math.max((meeting.chunksQueued || 0) - (meeting.chunksProcessed || 0) - (meeting.chunksFailed || 0), 0);
+
+/**
+ * Counts the audio chunks of a meeting that are queued or still being processed by the worker.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @returns {Promise<number|null>} The number of outstanding chunks, or null if the meeting is not found.
+ */
+async function countOutstandingChunks(jobId) {
+    try {
+        const meeting = await Meeting.findOne(
+            { jobId: jobId },
+            { chunksQueued: 1, chunksProcessed: 1, chunksFailed: 1 }
+        ).lean();
+        if (!meeting) return null;
+        return outstandingChunks(meeting);
+    } catch (err) {
+        console.error('Error counting outstanding chunks:', err);
+        throw err;
+    }
+}
+
+/**
+ * Checks whether a meeting is waiting to be deleted and the worker has handled all its audio.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @returns {Promise<boolean>} True if the deletion can go ahead.
+ */
+async function isDrainedForDeletion(jobId) {
+    try {
+        const meeting = await Meeting.findOne(
+            { jobId: jobId, deletingAt: { $exists: true } },
+            { chunksQueued: 1, chunksProcessed: 1, chunksFailed: 1 }
+        ).lean();
+        return !!meeting && outstandingChunks(meeting) === 0;
+    } catch (err) {
+        console.error('Error checking pending meeting deletion:', err);
+        throw err;
+    }
+}
+
+/**
+ * Deletes a meeting document.
+ * @param {string} jobId The unique identifier of the transcription job.
+ * @returns {Promise<number>} The number of documents deleted (0 if it was already gone).
+ */
+async function deleteMeeting(jobId) {
+    try {
+        const result = await Meeting.deleteOne({ jobId: jobId });
+        return result.deletedCount;
+    } catch (err) {
+        console.error('Error deleting meeting document:', err);
+        throw err;
+    }
+}
+
 module.exports = {
     connectToMongo,
     createTranscription,
@@ -130,4 +1194,39 @@ module.exports = {
     getTranscription,
     updateMeetingStatus,
     getMeetingStatus,
+    appendCleanedChunks,
+    appendTranslation,
+    getPrecedingChunkText,
+    recordSequence,
+    forgetSequence,
+    getMissingSequences,
+    recordSilence,
+    recordSilentChunk,
+    getCleanedChunks,
+    hasCleanedChunks,
+    editCleanedChunk,
+    editTranscriptSegment,
+    getMeetingChapters,
+    setDetectedLanguage,
+    setMeetingSummary,
+    incrementChunksQueued,
+    recordChunkHandled,
+    finalizeMeeting,
+    getMeetingInfo,
+    updateMeetingMetadata,
+    setMeetingGlossary,
+    setMeetingAudioRetention,
+    keepAudioFile,
+    getKeptAudio,
+    setPlaybackAudio,
+    listMeetingsWithKeptAudio,
+    removeKeptAudio,
+    listAccessibleJobIds,
+    assignOwnerlessMeetings,
+    setMeetingWorkspace,
+    listMeetings,
+    markMeetingDeleting,
+    countOutstandingChunks,
+    isDrainedForDeletion,
+    deleteMeeting,
 };
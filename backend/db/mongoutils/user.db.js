@@ -0,0 +1,130 @@
+// db/mongoutils/user.db.js
+
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { hashPassword, verifyPassword, generateToken, hashToken } = require('../../utils/security');
+
+// How long a login session stays valid
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Creates a new user account.
+ * Throws a Mongo duplicate key error (code 11000) if the email is already registered.
+ *
+ * @param {string} email - The user's email address.
+ * @param {string} password - The plain-text password; only its hash is stored.
+ * @param {string} [name] - An optional display name.
+ * @returns {Promise<Object>} The newly created user document.
+ */
+const createUser = async (email, password, name) => {
+    try {
+        const passwordHash = await hashPassword(password);
+        const user = await new User({ email, name, passwordHash }).save();
+        console.log(`User created with id: ${user._id}`);
+        return user;
+    } catch (error) {
+        console.error('Error creating user:', error);
+        throw error;
+    }
+};
+
+/**
+ * Looks up a user by email and checks the password.
+ *
+ * @param {string} email - The user's email address.
+ * @param {string} password - The plain-text password to check.
+ * @returns {Promise<Object|null>} The user document, or null if the credentials are invalid.
+ */
+const authenticateUser = async (email, password) => {
+    try {
+        const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+        if (!user) return null;
+
+        const valid = await verifyPassword(password, user.passwordHash);
+        return valid ? user : null;
+    } catch (error) {
+        console.error('Error authenticating user:', error);
+        throw error;
+    }
+};
+
+/**
+ * Looks up a user by email address.
+ *
+ * @param {string} email - The user's email address.
+ * @returns {Promise<Object|null>} The user document without its password hash, or null if not found.
+ */
+const findUserByEmail = async (email) => {
+    try {
+        return await User.findOne({ email: String(email).toLowerCase().trim() }, { passwordHash: 0, __v: 0 });
+    } catch (error) {
+        console.error('Error finding user by email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Starts a new login session for a user.
+ *
+ * @param {string} userId - The MongoDB _id of the user.
+ * @returns {Promise<{token: string, expiresAt: Date}>} The raw session token and its expiry.
+ */
+const createSession = async (userId) => {
+    try {
+        const token = generateToken();
+        const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+        await new Session({ userId, tokenHash: hashToken(token), expiresAt }).save();
+        console.log(`Session created for userId: ${userId}`);
+        return { token, expiresAt };
+    } catch (error) {
+        console.error('Error creating session:', error);
+        throw error;
+    }
+};
+
+/**
+ * Resolves a session token to its user.
+ *
+ * @param {string} token - The raw session token from the cookie or Authorization header.
+ * @returns {Promise<Object|null>} The user document, or null if the session is missing or expired.
+ */
+const getSessionUser = async (token) => {
+    try {
+        const session = await Session.findOne({
+            tokenHash: hashToken(token),
+            expiresAt: { $gt: new Date() },
+        });
+        if (!session) return null;
+
+        return await User.findById(session.userId, { passwordHash: 0, __v: 0 });
+    } catch (error) {
+        console.error('Error resolving session:', error);
+        return null;
+    }
+};
+
+/**
+ * Ends a login session.
+ *
+ * @param {string} token - The raw session token.
+ * @returns {Promise<boolean>} True if a session was removed.
+ */
+const deleteSession = async (token) => {
+    try {
+        const result = await Session.deleteOne({ tokenHash: hashToken(token) });
+        return result.deletedCount > 0;
+    } catch (error) {
+        console.error('Error deleting session:', error);
+        return false;
+    }
+};
+
+module.exports = {
+    SESSION_TTL_MS,
+    createUser,
+    authenticateUser,
+    findUserByEmail,
+    createSession,
+    getSessionUser,
+    deleteSession,
+};
@@ -0,0 +1,300 @@
+// db/mongoutils/workspace.db.js
+
+const mongoose = require('mongoose');
+const Workspace = require('../models/workspace.model');
+const { WORKSPACE_ROLES } = require('../models/workspace.model');
+const { mergeGlossaries } = require('../../utils/glossary');
+const config = require('../../utils/config');
+
+/**
+ * Checks whether a role grants at least the privileges of another.
+ * @param {string|null} role - The role the user has.
+ * @param {string} minRole - The role required.
+ * @returns {boolean} True if `role` is `minRole` or higher.
+ */
+const hasRole = (role, minRole) => {
+    return WORKSPACE_ROLES.includes(role) && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole);
+};
+
+/**
+ * Builds a MongoDB filter matching the meetings a user can see:
+ * the ones they own plus the ones shared with any of their workspaces.
+ * @param {string} userId - The MongoDB _id of the user.
+ * @param {Array<string>} workspaceIds - The ids of the user's workspaces.
+ * Ids are cast to ObjectIds so the filter also works in aggregation pipelines.
+ * @returns {Object} A filter to merge into Meeting queries.
+ */
+const buildMeetingAccessFilter = (userId, workspaceIds = []) => ({
+    $or: [
+        { owner: new mongoose.Types.ObjectId(userId.toString()) },
+        { workspaceId: { $in: workspaceIds.map(id => new mongoose.Types.ObjectId(id.toString())) } },
+    ],
+});
+
+/**
+ * Creates a new workspace with the creating user as its owner.
+ *
+ * @param {string} name - The workspace name.
+ * @param {string} userId - The MongoDB _id of the creating user.
+ * @returns {Promise<Object>} The newly created workspace document.
+ */
+const createWorkspace = async (name, userId) => {
+    try {
+        const workspace = await new Workspace({
+            name,
+            members: [{ userId, role: 'owner' }],
+        }).save();
+        console.log(`Workspace ${workspace._id} created by userId: ${userId}`);
+        return workspace;
+    } catch (error) {
+        console.error('Error creating workspace:', error);
+        throw error;
+    }
+};
+
+/**
+ * Lists the workspaces a user is a member of.
+ *
+ * @param {string} userId - The MongoDB _id of the user.
+ * @returns {Promise<Array>} An array of workspace documents.
+ */
+const listUserWorkspaces = async (userId) => {
+    try {
+        return await Workspace.find({ 'members.userId': userId }, { __v: 0 }).sort({ createdAt: -1 });
+    } catch (error) {
+        console.error('Error listing workspaces:', error);
+        throw error;
+    }
+};
+
+/**
+ * Returns the ids of every workspace a user is a member of.
+ * Used to scope MongoDB queries and Qdrant filters to what the user can see.
+ *
+ * @param {string} userId - The MongoDB _id of the user.
+ * @returns {Promise<Array<string>>} The workspace ids as strings.
+ */
+const getUserWorkspaceIds = async (userId) => {
+    try {
+        const workspaces = await Workspace.find({ 'members.userId': userId }, { _id: 1 }).lean();
+        return workspaces.map(w => w._id.toString());
+    } catch (error) {
+        console.error('Error fetching workspace ids:', error);
+        throw error;
+    }
+};
+
+/**
+ * Fetches a user's role in a workspace.
+ *
+ * @param {string} workspaceId - The MongoDB _id of the workspace.
+ * @param {string} userId - The MongoDB _id of the user.
+ * @returns {Promise<string|null>} The role, or null if the user is not a member or the workspace does not exist.
+ */
+const getWorkspaceRole = async (workspaceId, userId) => {
+    try {
+        const workspace = await Workspace.findOne(
+            { _id: workspaceId, 'members.userId': userId },
+            { 'members.$': 1 }
+        ).lean();
+        return workspace ? workspace.members[0].role : null;
+    } catch (error) {
+        if (error.name === 'CastError') return null;
+        console.error('Error fetching workspace role:', error);
+        throw error;
+    }
+};
+
+/**
+ * Fetches a workspace with its members.
+ *
+ * @param {string} workspaceId - The MongoDB _id of the workspace.
+ * @returns {Promise<Object|null>} The workspace document, or null if not found.
+ */
+const getWorkspace = async (workspaceId) => {
+    try {
+        return await Workspace.findById(workspaceId, { __v: 0 })
+            .populate('members.userId', 'email name');
+    } catch (error) {
+        if (error.name === 'CastError') return null;
+        console.error('Error fetching workspace:', error);
+        throw error;
+    }
+};
+
+/**
+ * Adds a member to a workspace, or changes their role if they are already a member.
+ * The last owner cannot be demoted.
+ *
+ * @param {string} workspaceId - The MongoDB _id of the workspace.
+ * @param {string} userId - The MongoDB _id of the user to add.
+ * @param {string} role - One of WORKSPACE_ROLES.
+ * @returns {Promise<boolean>} True if the workspace was updated.
+ */
+const setWorkspaceMember = async (workspaceId, userId, role) => {
+    try {
+        const workspace = await Workspace.findById(workspaceId);
+        if (!workspace) return false;
+
+        const member = workspace.members.find(m => m.userId.toString() === userId.toString());
+        if (!member) {
+            workspace.members.push({ userId, role });
+        } else {
+            const owners = workspace.members.filter(m => m.role === 'owner');
+            if (member.role === 'owner' && role !== 'owner' && owners.length === 1) {
+                console.warn(`Refusing to demote the last owner of workspace ${workspaceId}.`);
+                return false;
+            }
+            member.role = role;
+        }
+
+        await workspace.save();
+        return true;
+    } catch (error) {
+        console.error('Error setting workspace member:', error);
+        return false;
+    }
+};
+
+/**
+ * Removes a member from a workspace. The last owner cannot be removed.
+ *
+ * @param {string} workspaceId - The MongoDB _id of the workspace.
+ * @param {string} userId - The MongoDB _id of the member to remove.
+ * @returns {Promise<boolean>} True if the member was removed.
+ */
+const removeWorkspaceMember = async (workspaceId, userId) => {
+    try {
+        const workspace = await Workspace.findById(workspaceId);
+        if (!workspace) return false;
+
+        const member = workspace.members.find(m => m.userId.toString() === userId.toString());
+        if (!member) return false;
+
+        const owners = workspace.members.filter(m => m.role === 'owner');
+        if (member.role === 'owner' && owners.length === 1) {
+            console.warn(`Refusing to remove the last owner of workspace ${workspaceId}.`);
+            return false;
+        }
+
+        workspace.members = workspace.members.filter(m => m !== member);
+        await workspace.save();
+        return true;
+    } catch (error) {
+        console.error('Error removing workspace member:', error);
+        return false;
+    }
+};
+
+/**
+ * Fetches a workspace's glossary.
+ *
+ * @param {string} workspaceId - The MongoDB _id of the workspace.
+ * @returns {Promise<Array<{term: string, variants: Array<string>}>|null>} The glossary, or null if the workspace was not found.
+ */
+const getWorkspaceGlossary = async (workspaceId) => {
+    try {
+        const workspace = await Workspace.findById(workspaceId, { glossary: 1 }).lean();
+        return workspace ? workspace.glossary || [] : null;
+    } catch (error) {
+        if (error.name === 'CastError') return null;
+        console.error('Error fetching workspace glossary:', error);
+        throw error;
+    }
+};
+
+/**
+ * Replaces a workspace's glossary.
+ *
+ * @param {string} workspaceId - The MongoDB _id of the workspace.
+ * @param {Array<{term: string, variants: Array<string>}>} glossary - The glossary from parseGlossary.
+ * @returns {Promise<boolean>} True if the workspace was updated.
+ */
+const setWorkspaceGlossary = async (workspaceId, glossary) => {
+    try {
+        const result = await Workspace.updateOne({ _id: workspaceId }, { $set: { glossary } });
+        return result.matchedCount > 0;
+    } catch (error) {
+        console.error('Error setting workspace glossary:', error);
+        return false;
+    }
+};
+
+/**
+ * The glossary that applies to a meeting: its workspace's glossary plus its own,
+ * with the meeting's entries taking precedence.
+ *
+ * @param {Object} meeting - The meeting from getMeetingInfo.
+ * @returns {Promise<Array<{term: string, variants: Array<string>}>>} The combined glossary.
+ */
+const resolveMeetingGlossary = async (meeting) => {
+    const workspaceGlossary = meeting.workspaceId ? await getWorkspaceGlossary(meeting.workspaceId) : null;
+    return mergeGlossaries(workspaceGlossary || [], meeting.glossary || []);
+};
+
+/**
+ * Fetches a workspace's audio retention setting.
+ *
+ * @param {string} workspaceId - The MongoDB _id of the workspace.
+ * @returns {Promise<{days: number|null}|null>} The setting (null days when unset), or null if the workspace was not found.
+ */
+const getWorkspaceAudioRetention = async (workspaceId) => {
+    try {
+        const workspace = await Workspace.findById(workspaceId, { audioRetentionDays: 1 }).lean();
+        return workspace ? { days: workspace.audioRetentionDays ?? null } : null;
+    } catch (error) {
+        if (error.name === 'CastError') return null;
+        console.error('Error fetching workspace audio retention:', error);
+        throw error;
+    }
+};
+
+/**
+ * Sets how many days the audio of a workspace's meetings is kept.
+ *
+ * @param {string} workspaceId - The MongoDB _id of the workspace.
+ * @param {number|null} days - The retention from parseAudioRetentionDays; null uses the server default.
+ * @returns {Promise<boolean>} True if the workspace was updated.
+ */
+const setWorkspaceAudioRetention = async (workspaceId, days) => {
+    try {
+        const update = days === null ? { $unset: { audioRetentionDays: 1 } } : { $set: { audioRetentionDays: days } };
+        const result = await Workspace.updateOne({ _id: workspaceId }, update);
+        return result.matchedCount > 0;
+    } catch (error) {
+        console.error('Error setting workspace audio retention:', error);
+        return false;
+    }
+};
+
+/**
+ * The number of days a meeting's audio is kept: the meeting's own setting, else its
+ * workspace's, else the server default.
+ *
+ * @param {Object} meeting - The meeting from getMeetingInfo.
+ * @returns {Promise<number>} The retention in days; 0 means audio is deleted once transcribed.
+ */
+const resolveAudioRetentionDays = async (meeting) => {
+    if (typeof meeting.audioRetentionDays === 'number') return meeting.audioRetentionDays;
+    const workspaceRetention = meeting.workspaceId ? await getWorkspaceAudioRetention(meeting.workspaceId) : null;
+    if (workspaceRetention && workspaceRetention.days !== null) return workspaceRetention.days;
+    return config.AUDIO_RETENTION_DAYS;
+};
+
+module.exports = {
+    hasRole,
+    buildMeetingAccessFilter,
+    createWorkspace,
+    listUserWorkspaces,
+    getUserWorkspaceIds,
+    getWorkspaceRole,
+    getWorkspace,
+    setWorkspaceMember,
+    removeWorkspaceMember,
+    getWorkspaceGlossary,
+    setWorkspaceGlossary,
+    resolveMeetingGlossary,
+    getWorkspaceAudioRetention,
+    setWorkspaceAudioRetention,
+    resolveAudioRetentionDays,
+};
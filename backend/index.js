@@ -7,10 +7,20 @@ const cookieParser = require("cookie-parser");
 const { initialiseCloudinary } = require("./db/cloudinary-utils/audio.db");
 const { connectToMongo } = require("./db/mongoutils/transcription.db");
 const { startWorker } = require("./controllers/worker");
+const { startAudioPurgeSchedule } = require("./controllers/audioRetention");
 const audioRoutes = require("./routes/audioRoutes");
 const meetingRoutes = require("./routes/meetingRoutes");
+const meetingsRoutes = require("./routes/meetingsRoutes");
 const transcRoutes = require("./routes/transcRoutes");
 const chatRoutes = require("./routes/chatRoutes");
+const authRoutes = require("./routes/authRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const workspaceRoutes = require("./routes/workspaceRoutes");
+const shareRoutes = require("./routes/shareRoutes");
+const publicShareRoutes = require("./routes/publicShareRoutes");
+const actionItemRoutes = require("./routes/actionItemRoutes");
+const templateRoutes = require("./routes/templateRoutes");
+const { requireAuth, requireScope, requireSession } = require("./middleware/auth");
 
 // Initialize Cloudinary before starting the server.
 // This is a crucial step for our audio storage and retrieval functions.
@@ -60,10 +70,27 @@ app.use(cookieParser());
 // Connect to MongoDB once when the server starts.
 connectToMongo();
 
-app.use("/api/audios", audioRoutes);
-app.use("/api/meeting/", meetingRoutes);
-app.use("/api/transcription", transcRoutes);
-app.use("/api/chat/", chatRoutes);
+app.use("/api/auth", authRoutes);
+
+// Public, read-only access through share link tokens.
+app.use("/api/shared", publicShareRoutes);
+
+// Everything below requires a logged-in user or an API key with the matching scope.
+// Meetings are addressed by path (/api/meetings/:jobId/...); the older /api/audios,
+// /api/transcription and /api/chat routes still accept the jobId cookie as a fallback.
+app.use("/api/keys", requireAuth, requireSession, apiKeyRoutes);
+app.use("/api/workspaces", requireAuth, requireSession, workspaceRoutes);
+app.use("/api/templates", requireAuth, requireSession, templateRoutes);
+app.use("/api/share-links", requireAuth, requireSession, shareRoutes);
+app.use("/api/audios", requireAuth, requireScope("upload"), audioRoutes);
+app.use("/api/meeting/", requireAuth, requireScope("upload"), meetingRoutes);
+app.use("/api/meetings/:jobId/audio", requireAuth, requireScope("upload"), audioRoutes);
+app.use("/api/meetings/:jobId/transcription", requireAuth, requireScope("read-transcripts"), transcRoutes);
+app.use("/api/meetings/:jobId/chat", requireAuth, requireScope("chat"), chatRoutes);
+app.use("/api/meetings", requireAuth, meetingsRoutes); // scopes are checked per route
+app.use("/api/action-items", requireAuth, actionItemRoutes); // scopes are checked per route
+app.use("/api/transcription", requireAuth, requireScope("read-transcripts"), transcRoutes);
+app.use("/api/chat/", requireAuth, requireScope("chat"), chatRoutes);
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, async () => {
@@ -76,4 +103,7 @@ app.listen(PORT, async () => {
   } catch (error) {
     console.error('Worker: Failed to start persistent worker:', error);
   }
+
+  // Delete kept audio once its retention runs out
+  startAudioPurgeSchedule();
 });
@@ -0,0 +1,144 @@
+// middleware/auth.js
+
+const { getSessionUser } = require('../db/mongoutils/user.db');
+const { isApiKey, getApiKeyUser } = require('../db/mongoutils/apiKey.db');
+const { getMeetingInfo } = require('../db/mongoutils/transcription.db');
+const { hasRole, getWorkspaceRole } = require('../db/mongoutils/workspace.db');
+
+/**
+ * Pulls the session token from the `sessionToken` cookie or an `Authorization: Bearer` header.
+ * @param {Object} req - The Express request object.
+ * @returns {string|null} The raw token, or null if none was sent.
+ */
+const getSessionToken = (req) => {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return (req.cookies && req.cookies.sessionToken) || null;
+};
+
+/**
+ * Rejects the request with 401 unless it carries a valid session or API key.
+ * On success the user document is available as `req.user`; for API keys the key
+ * document (with its scopes) is also available as `req.apiKey`.
+ */
+const requireAuth = async (req, res, next) => {
+    const token = getSessionToken(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required.' });
+    }
+
+    if (isApiKey(token)) {
+        const resolved = await getApiKeyUser(token);
+        if (!resolved) {
+            return res.status(401).json({ error: 'API key is invalid or has been revoked.' });
+        }
+        req.user = resolved.user;
+        req.apiKey = resolved.apiKey;
+        return next();
+    }
+
+    const user = await getSessionUser(token);
+    if (!user) {
+        return res.status(401).json({ error: 'Session is invalid or has expired.' });
+    }
+
+    req.user = user;
+    next();
+};
+
+/**
+ * Builds a middleware that rejects API-key requests lacking the given scope.
+ * Session logins are not scoped and always pass. Must run after requireAuth.
+ * @param {string} scope - One of API_KEY_SCOPES.
+ */
+const requireScope = (scope) => (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ error: `This API key does not have the '${scope}' scope.` });
+    }
+    next();
+};
+
+/**
+ * Rejects requests authenticated with an API key, for endpoints that only a logged-in user may call.
+ * Must run after requireAuth.
+ */
+const requireSession = (req, res, next) => {
+    if (req.apiKey) {
+        return res.status(403).json({ error: 'This endpoint cannot be called with an API key.' });
+    }
+    next();
+};
+
+/**
+ * Works out a user's role on a meeting: 'owner' if they started it, otherwise
+ * their role in the workspace the meeting is shared with, otherwise null.
+ * @param {Object} meeting - The meeting from getMeetingInfo.
+ * @param {string} userId - The MongoDB _id of the user.
+ * @returns {Promise<string|null>} The role, or null if the user cannot see the meeting.
+ */
+const getMeetingRole = async (meeting, userId) => {
+    if (meeting.owner && meeting.owner.toString() === userId.toString()) {
+        return 'owner';
+    }
+    if (meeting.workspaceId) {
+        return getWorkspaceRole(meeting.workspaceId, userId);
+    }
+    return null;
+};
+
+/**
+ * Builds a middleware that rejects the request unless `req.user` has at least `minRole`
+ * on the meeting it addresses. The jobId is read from the route params, then the JSON body,
+ * then the query string, then the `jobId` cookie, and must be a string. On success `req.jobId`, `req.meeting` and `req.meetingRole` are set
+ * for the route handler. Must run after requireAuth.
+ * @param {string} minRole - 'viewer', 'editor' or 'owner'.
+ */
+const requireMeetingRole = (minRole) => async (req, res, next) => {
+    const jobId = (req.params && req.params.jobId)
+        || (req.body && req.body.jobId)
+        || (req.query && req.query.jobId)
+        || (req.cookies && req.cookies.jobId);
+
+    if (!jobId) {
+        return res.status(400).json({ error: 'No meeting session found. Please start a meeting first.' });
+    }
+    // Bodies, query strings and j: cookies can carry objects, which would reach Mongo as query operators
+    if (typeof jobId !== 'string') {
+        return res.status(400).json({ error: 'jobId must be a string.' });
+    }
+
+    try {
+        const meeting = await getMeetingInfo(jobId);
+        if (!meeting) {
+            return res.status(404).json({ error: `Meeting with jobId ${jobId} not found.` });
+        }
+
+        const role = await getMeetingRole(meeting, req.user._id);
+        if (!role) {
+            return res.status(403).json({ error: 'You do not have access to this meeting.' });
+        }
+        if (!hasRole(role, minRole)) {
+            return res.status(403).json({ error: `This action requires the '${minRole}' role on this meeting.` });
+        }
+
+        req.jobId = jobId;
+        req.meeting = meeting;
+        req.meetingRole = role;
+    } catch (error) {
+        console.error('Error checking meeting access:', error);
+        return res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+
+    next();
+};
+
+module.exports = {
+    getSessionToken,
+    requireAuth,
+    requireScope,
+    requireSession,
+    getMeetingRole,
+    requireMeetingRole,
+};
@@ -0,0 +1,129 @@
+// routes/actionItemRoutes.js
+// Action items extracted from meeting summaries, tracked across every meeting a user can see.
+const express = require('express');
+const router = express.Router();
+const {
+    listActionItems,
+    getActionItem,
+    updateActionItem,
+} = require('../db/mongoutils/actionItem.db');
+const { getMeetingInfo, listAccessibleJobIds } = require('../db/mongoutils/transcription.db');
+const { getUserWorkspaceIds, buildMeetingAccessFilter, hasRole } = require('../db/mongoutils/workspace.db');
+const { ACTION_ITEM_STATUSES } = require('../db/models/actionItem.model');
+const { requireScope, getMeetingRole } = require('../middleware/auth');
+const { parseActionItemUpdate } = require('../utils/actionItems');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Loads an action item and checks the caller has at least `minRole` on its meeting.
+ * Sends the error response itself and resolves to null when the check fails.
+ * Items of meetings the caller cannot see are reported as not found.
+ */
+const loadActionItem = async (req, res, minRole) => {
+    const item = await getActionItem(req.params.itemId);
+    const meeting = item ? await getMeetingInfo(item.jobId) : null;
+    const role = meeting ? await getMeetingRole(meeting, req.user._id) : null;
+
+    if (!role) {
+        res.status(404).json({ error: `Action item ${req.params.itemId} not found.` });
+        return null;
+    }
+    if (!hasRole(role, minRole)) {
+        res.status(403).json({ error: `This action requires the '${minRole}' role on this meeting.` });
+        return null;
+    }
+    return item;
+};
+
+// GET /api/action-items?status=&assignee=&jobId=&q=&limit=&before=
+// Lists action items from the caller's meetings and those shared with their workspaces, newest first.
+router.get('/', requireScope('read-transcripts'), async (req, res) => {
+    const { status, assignee, jobId, q, before } = req.query;
+
+    if (status && !ACTION_ITEM_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}.` });
+    }
+    if (before && !/^[a-f0-9]{24}$/i.test(before)) {
+        return res.status(400).json({ error: 'before must be an action item id.' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    try {
+        const workspaceIds = await getUserWorkspaceIds(req.user._id);
+        let jobIds = await listAccessibleJobIds(buildMeetingAccessFilter(req.user._id, workspaceIds));
+        if (jobId) {
+            jobIds = jobIds.filter(id => id === jobId);
+        }
+
+        const items = await listActionItems({
+            jobIds,
+            status,
+            assignee: assignee ? String(assignee).trim() : undefined,
+            q: q ? String(q).trim() : undefined,
+            before,
+            limit,
+        });
+
+        res.status(200).json({
+            actionItems: items,
+            nextBefore: items.length === limit ? items[items.length - 1]._id : null,
+        });
+    } catch (error) {
+        console.error('Error listing action items:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// PATCH /api/action-items/:itemId
+// Edits an action item's description, assignee, due date or status (open/done).
+// Edited items are kept when the meeting's summary is regenerated.
+router.patch('/:itemId', requireScope('upload'), async (req, res) => {
+    const { updates, error } = parseActionItemUpdate(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update.' });
+    }
+
+    try {
+        const item = await loadActionItem(req, res, 'editor');
+        if (!item) return;
+
+        const updated = await updateActionItem(item._id, updates, req.user._id);
+        if (!updated) {
+            return res.status(404).json({ error: `Action item ${req.params.itemId} not found.` });
+        }
+        res.status(200).json(updated);
+    } catch (error) {
+        console.error('Error updating action item:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// POST /api/action-items/:itemId/close
+// Marks an action item as done.
+router.post('/:itemId/close', requireScope('upload'), async (req, res) => {
+    try {
+        const item = await loadActionItem(req, res, 'editor');
+        if (!item) return;
+
+        if (item.status === 'done') {
+            return res.status(409).json({ error: `Action item ${req.params.itemId} is already done.` });
+        }
+
+        const updated = await updateActionItem(item._id, { status: 'done' }, req.user._id);
+        if (!updated) {
+            return res.status(404).json({ error: `Action item ${req.params.itemId} not found.` });
+        }
+        res.status(200).json(updated);
+    } catch (error) {
+        console.error('Error closing action item:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// routes/apiKeyRoutes.js
+const express = require('express');
+const router = express.Router();
+const { createApiKey, listApiKeys, revokeApiKey } = require('../db/mongoutils/apiKey.db');
+const { API_KEY_SCOPES } = require('../db/models/apiKey.model');
+
+const MAX_NAME_LENGTH = 100;
+
+// POST /api/keys
+// Creates a new API key. The raw key is only returned in this response.
+router.post('/', async (req, res) => {
+    const { name, scopes } = req.body || {};
+
+    const keyName = typeof name === 'string' ? name.trim() : '';
+    if (!keyName || keyName.length > MAX_NAME_LENGTH) {
+        return res.status(400).json({ success: false, message: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters.` });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({ success: false, message: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}.` });
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        return res.status(400).json({ success: false, message: `Unknown scopes: ${unknown.join(', ')}.` });
+    }
+
+    try {
+        const { key, apiKey } = await createApiKey(req.user._id, keyName, [...new Set(scopes)]);
+        res.status(201).json({
+            success: true,
+            key,
+            apiKey: {
+                id: apiKey._id,
+                name: apiKey.name,
+                prefix: apiKey.prefix,
+                scopes: apiKey.scopes,
+                createdAt: apiKey.createdAt,
+            },
+            message: 'Store this key now; it will not be shown again.',
+        });
+    } catch (error) {
+        console.error('API Error in POST /api/keys:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while creating the API key.' });
+    }
+});
+
+// GET /api/keys
+// Lists the caller's API keys, including revoked ones.
+router.get('/', async (req, res) => {
+    try {
+        const keys = await listApiKeys(req.user._id);
+        res.status(200).json({ success: true, keys });
+    } catch (error) {
+        console.error('API Error in GET /api/keys:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while listing API keys.' });
+    }
+});
+
+// DELETE /api/keys/:keyId
+// Revokes an API key. It stops working immediately.
+router.delete('/:keyId', async (req, res) => {
+    const revoked = await revokeApiKey(req.user._id, req.params.keyId);
+    if (!revoked) {
+        return res.status(404).json({ success: false, message: `Active API key ${req.params.keyId} not found.` });
+    }
+    res.status(200).json({ success: true, message: `API key ${req.params.keyId} revoked.` });
+});
+
+module.exports = router;
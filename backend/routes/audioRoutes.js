@@ -1,11 +1,17 @@
 // audioRoutes.js
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // mergeParams: also mounted under /api/meetings/:jobId
 const multer = require('multer');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const amqp = require('amqplib');
 const config = require('../utils/config');
 // Updated import to use the new Cloudinary upload function.
 const { storeAudioFile, deleteAudioFile } = require('../db/cloudinary-utils/audio.db');
+const { requireMeetingRole } = require('../middleware/auth');
+const { incrementChunksQueued, recordSequence, forgetSequence } = require('../db/mongoutils/transcription.db');
+const { CHANNEL_LAYOUTS, splitAudio } = require('../controllers/audioProcessing');
 
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('ffmpeg-static');
@@ -17,48 +23,149 @@ ffmpeg.setFfprobePath(ffprobePath);
 const audioQueue = 'audio_queue';
 const CLOUDAMQP_URL = config.CLOUDAMQP_URL;
 
-// Configure Multer to store the file in memory as a Buffer.
+// What one transcription request can take (Groq's limits); longer uploads are split to fit
+const MAX_CHUNK_BYTES = 25 * 1024 * 1024; // 25MB
+const MAX_CHUNK_SECONDS = 15 * 60;
+// What an upload can be before splitting
+const MAX_UPLOAD_BYTES = 300 * 1024 * 1024; // 300MB
+const MAX_UPLOAD_SECONDS = 4 * 60 * 60;
+// Segments of a split upload; 10 minutes of Opus at 64kbps is about 5MB. Consecutive segments
+// share a few seconds so no word is lost at a cut.
+const SEGMENT_SECONDS = 10 * 60;
+const SEGMENT_OVERLAP_SECONDS = 5;
+// Uploads are numbered from 0; a meeting recorded in 10-second chunks for 24 hours stays well below this
+const MAX_SEQUENCE = 100000;
+
+// Configure Multer to write the file to a temporary directory of its own, so long recordings
+// aren't held in memory. The segments cut from it go there too.
 const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 25 * 1024 * 1024 }, // 25MB
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            fs.mkdtemp(path.join(os.tmpdir(), 'upload_'), (err, dir) => {
+                req.uploadDir = dir;
+                cb(err, dir);
+            });
+        },
+        filename: (req, file, cb) => cb(null, 'upload'),
+    }),
+    limits: { fileSize: MAX_UPLOAD_BYTES },
 });
 
+// --- Helper: Remove a request's upload directory ---
+function removeUploadDir(req) {
+    const dir = req.uploadDir;
+    if (!dir) return;
+    req.uploadDir = null;
+    fs.rm(dir, { recursive: true, force: true }, (err) => {
+        if (err) console.error(`Failed to remove upload directory ${dir}:`, err);
+    });
+}
+
+// Requests turned away before the handler runs (e.g. a failed upload) leave the upload behind too
+function removeUploadDirOnClose(req, res, next) {
+    res.on('close', () => {
+        if (!req.handlingUpload) removeUploadDir(req);
+    });
+    next();
+}
+
+// --- Helper: Remove files uploaded for a request that failed ---
+async function deleteUploadedFiles(fileIds) {
+    for (const fileId of fileIds) {
+        try {
+            await deleteAudioFile(fileId);
+            console.log(`Cleaned up uploaded file ${fileId} after a failed upload`);
+        } catch (cleanupErr) {
+            console.error('Failed to clean up file:', cleanupErr);
+        }
+    }
+}
+
 // --- Helper: Extract metadata with ffprobe ---
-function getMetadataFromBuffer(buffer) {
+function getMetadataFromFile(filePath) {
     return new Promise((resolve, reject) => {
-        const { Readable } = require('stream');
-        const stream = new Readable();
-        stream.push(buffer);
-        stream.push(null);
-
-        ffmpeg(stream).ffprobe((err, metadata) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
             if (err) return reject(err);
             resolve(metadata);
         });
     });
 }
 
-router.post('/', upload.single('audio'), async (req, res) => {
+// Turns uploads for a meeting that no longer takes audio away before the file is received
+function requireOpenMeeting(req, res, next) {
+    if (req.meeting.deletingAt) {
+        console.error(`Validation Error: Meeting ${req.jobId} is being deleted.`);
+        return res.status(409).send('This meeting is being deleted and no longer accepts audio.');
+    }
+    // Finalizing meetings still accept the last chunks recorded before the stop
+    if (req.meeting.status === 'completed') {
+        console.error(`Validation Error: Meeting ${req.jobId} is already completed.`);
+        return res.status(409).send('This meeting is already completed and no longer accepts audio.');
+    }
+    next();
+}
+
+// POST /api/meetings/:jobId/audio
+// POST /api/audios?jobId=... (legacy: jobId from the query string or the cookie)
+// Access is checked before the file is received, so the jobId can't come from the multipart body.
+router.post('/', requireMeetingRole('editor'), requireOpenMeeting, removeUploadDirOnClose, upload.single('audio'), async (req, res) => {
+    req.handlingUpload = true;
+    try {
+        await handleUpload(req, res);
+    } finally {
+        removeUploadDir(req);
+    }
+});
+
+// Validates an upload, splits it if it is over the transcription limits, stores it and queues it
+async function handleUpload(req, res) {
     const audioFile = req.file;
-    const { jobId } = req.cookies;
+    const { jobId } = req;
 
-    // --- Input and Session Validation ---
+    // --- Input Validation ---
     if (!audioFile) {
         console.error('Validation Error: No audio file provided.');
         return res.status(400).send('No audio file provided.');
     }
-    if (!jobId) {
-        console.error('Validation Error: No meeting session found.');
-        return res.status(400).send('No meeting session found. Please start a meeting first.');
+    // A jobId in the form can't have been checked; make sure it names the meeting that was
+    if (req.body.jobId !== undefined && req.body.jobId !== jobId) {
+        console.error(`Validation Error: Form jobId ${req.body.jobId} does not match meeting ${jobId}.`);
+        return res.status(400).send('Send the jobId in the query string (?jobId=...) or use POST /api/meetings/:jobId/audio.');
+    }
+
+    // 'local-remote' uploads carry the microphone on the left channel and the tab on the right
+    const channelLayout = req.body.channelLayout || 'mono';
+    if (!CHANNEL_LAYOUTS.includes(channelLayout)) {
+        console.error(`Validation Error: Unknown channel layout ${channelLayout}.`);
+        return res.status(400).send(`channelLayout must be one of: ${CHANNEL_LAYOUTS.join(', ')}.`);
+    }
+
+    // The client numbers its uploads and says where each starts in the recording, so the transcript
+    // keeps their order however they are retried or processed. Both are optional.
+    let sequence;
+    if (req.body.sequence !== undefined && req.body.sequence !== '') {
+        sequence = Number(req.body.sequence);
+        if (!Number.isInteger(sequence) || sequence < 0 || sequence > MAX_SEQUENCE) {
+            console.error(`Validation Error: Invalid sequence number ${req.body.sequence}.`);
+            return res.status(400).send(`sequence must be an integer from 0 to ${MAX_SEQUENCE}.`);
+        }
+    }
+    let offsetSeconds;
+    if (req.body.offsetSeconds !== undefined && req.body.offsetSeconds !== '') {
+        offsetSeconds = Number(req.body.offsetSeconds);
+        if (!Number.isFinite(offsetSeconds) || offsetSeconds < 0) {
+            console.error(`Validation Error: Invalid offset ${req.body.offsetSeconds}.`);
+            return res.status(400).send('offsetSeconds must be a number of seconds from the start of the recording.');
+        }
     }
 
     console.log(`1: File received for jobId ${jobId}.`);
-    console.log(`2: File size: ${audioFile.buffer.length} bytes.`);
+    console.log(`2: File size: ${audioFile.size} bytes.`);
 
     let metadata;
     try {
         console.log("3: Extracting metadata with ffprobe...");
-        metadata = await getMetadataFromBuffer(audioFile.buffer);
+        metadata = await getMetadataFromFile(audioFile.path);
 
         // ✅ Handle multiple format names
         let formatNames = [];
@@ -83,9 +190,9 @@ router.post('/', upload.single('audio'), async (req, res) => {
 
     // --- Validation Checks ---
     console.log("5: Running validation checks...");
-    if (audioFile.buffer.length > 25 * 1024 * 1024) {
+    if (audioFile.size > MAX_UPLOAD_BYTES) {
         console.error("6: File size too large.");
-        return res.status(400).send('Audio file is too large (max 25MB).');
+        return res.status(400).send('Audio file is too large (max 300MB).');
     }
     console.log("7: Size check passed.");
 
@@ -94,28 +201,93 @@ router.post('/', upload.single('audio'), async (req, res) => {
         return res.status(400).send('Could not determine audio file duration.');
     }
 
-    if (metadata.format.duration > 15 * 60) {
+    if (metadata.format.duration > MAX_UPLOAD_SECONDS) {
         console.error("9: File duration too long.");
-        return res.status(400).send('Audio file is too long (max 15 minutes).');
+        return res.status(400).send('Audio file is too long (max 4 hours).');
+    }
+    if (channelLayout === 'local-remote') {
+        const audioStream = (metadata.streams || []).find(stream => stream.codec_type === 'audio');
+        if (!audioStream || audioStream.channels !== 2) {
+            console.error("9a: Speaker-separated upload is not stereo.");
+            return res.status(400).send('Audio with channelLayout local-remote must have exactly two channels.');
+        }
     }
+
     console.log("10: Duration check passed. All validations complete.");
 
+    // --- Split recordings that are over the transcription limits ---
+    const baseMetadata = {
+        originalFileName: audioFile.originalname,
+        mimetype: audioFile.mimetype,
+        formatNames: metadata.format.formatNames, // ✅ use array of formats
+        channelLayout: channelLayout,
+        ...(offsetSeconds !== undefined ? { offsetSeconds: offsetSeconds } : {}),
+        uploadTimestamp: new Date().toISOString(),
+    };
+    let pieces;
+    if (audioFile.size > MAX_CHUNK_BYTES || metadata.format.duration > MAX_CHUNK_SECONDS) {
+        console.log("10a: Recording is over the transcription limits. Splitting it into segments...");
+        try {
+            const segments = await splitAudio(audioFile.path, {
+                durationSeconds: metadata.format.duration,
+                segmentSeconds: SEGMENT_SECONDS,
+                overlapSeconds: SEGMENT_OVERLAP_SECONDS,
+                outputDir: req.uploadDir,
+            });
+            pieces = segments.map(segment => ({
+                filePath: segment.path,
+                fileName: `${path.parse(audioFile.originalname).name}_part${segment.index + 1}.webm`,
+                metadata: {
+                    ...baseMetadata,
+                    mimetype: 'audio/webm',
+                    formatNames: ['webm'],
+                    size: segment.size,
+                    duration: segment.durationSeconds,
+                    // Where the segment sits in the upload, and the part of it that is not shared with its neighbours
+                    segment: {
+                        index: segment.index,
+                        count: segments.length,
+                        offsetSeconds: segment.startSeconds,
+                        keepFromSeconds: segment.keepFromSeconds,
+                        keepUntilSeconds: segment.keepUntilSeconds,
+                    },
+                },
+            }));
+        } catch (splitErr) {
+            console.error('Failed to split the recording:', splitErr);
+            return res.status(500).send('Failed to split audio file.');
+        }
+    } else {
+        pieces = [{
+            filePath: audioFile.path,
+            fileName: audioFile.originalname,
+            metadata: { ...baseMetadata, size: audioFile.size, duration: metadata.format.duration },
+        }];
+    }
+
     // --- Upload to Cloudinary and Push to Queue ---
-    console.log("11: Validations passed. Starting Cloudinary upload...");
-    
-    let fileId;
+    console.log(`11: Validations passed. Uploading ${pieces.length} file(s) to Cloudinary...`);
+
+    const fileIds = [];
     try {
         // Use the new function to upload to Cloudinary instead of Firebase.
-        const uploadResult = await storeAudioFile(audioFile.buffer, audioFile.originalname, jobId);
-        fileId = uploadResult.public_id;
-        console.log(`12: File uploaded to Cloudinary successfully with ID: ${fileId}`);
+        // One piece in memory at a time; each is within the transcription size limit
+        for (const piece of pieces) {
+            const uploadResult = await storeAudioFile(await fs.promises.readFile(piece.filePath), piece.fileName, jobId);
+            piece.fileId = uploadResult.public_id;
+            fileIds.push(piece.fileId);
+            console.log(`12: File uploaded to Cloudinary successfully with ID: ${piece.fileId}`);
+        }
     } catch (uploadErr) {
         console.error('Failed to upload to Cloudinary:', uploadErr);
+        await deleteUploadedFiles(fileIds);
         return res.status(500).send('Failed to upload audio file.');
     }
 
     let conn;
     let ch;
+    let counted = false;
+    let sequenced = null;
 
     try {
         conn = await amqp.connect(CLOUDAMQP_URL);
@@ -125,44 +297,60 @@ router.post('/', upload.single('audio'), async (req, res) => {
 
         await ch.assertQueue(audioQueue, { durable: true });
 
-        const message = {
-            jobId: jobId,
-            fileId: fileId, // Use the public_id directly
-            metadata: {
-                originalFileName: audioFile.originalname,
-                mimetype: audioFile.mimetype,
-                formatNames: metadata.format.formatNames, // ✅ use array of formats
-                size: audioFile.buffer.length,
-                duration: metadata.format.duration,
-                uploadTimestamp: new Date().toISOString(),
-            },
-        };
-
-        console.log("15: Message prepared and sending to queue.");
-
-        ch.sendToQueue(audioQueue, Buffer.from(JSON.stringify(message)), { persistent: true });
+        console.log("15: Messages prepared and sending to queue.");
+
+        sequenced = await recordSequence(jobId, sequence);
+        if (!sequenced) {
+            throw new Error(`Failed to record the sequence number for jobId ${jobId}`);
+        }
+        if (sequenced.duplicate) {
+            // A retried upload; the worker stores each chunk only once
+            console.warn(`Upload ${sequenced.sequence} for jobId ${jobId} was received before.`);
+        }
+        if (sequenced.missingSequences.length > 0) {
+            console.warn(`Uploads ${sequenced.missingSequences.join(', ')} for jobId ${jobId} have not arrived.`);
+        }
+
+        // Count the chunks before they can reach the worker, so the meeting can't be completed without them
+        counted = await incrementChunksQueued(jobId, pieces.length);
+        if (!counted) {
+            throw new Error(`Failed to record queued chunk for jobId ${jobId}`);
+        }
+
+        // Every segment of a split upload shares its sequence number; metadata.segment.index orders them
+        for (const piece of pieces) {
+            const message = {
+                jobId: jobId,
+                fileId: piece.fileId, // Use the public_id directly
+                metadata: { ...piece.metadata, sequence: sequenced.sequence },
+            };
+            ch.sendToQueue(audioQueue, Buffer.from(JSON.stringify(message)), { persistent: true });
+        }
         await ch.waitForConfirms();
 
-        console.log(`Audio file with ID "${fileId}" for jobId ${jobId} confirmed by RabbitMQ and pushed to queue.`);
+        console.log(`${pieces.length} audio file(s) for jobId ${jobId} confirmed by RabbitMQ and pushed to queue.`);
 
         res.status(202).json({
-            message: 'Audio file received and pushed to queue for transcription.'
+            message: 'Audio file received and pushed to queue for transcription.',
+            segments: pieces.length,
+            sequence: sequenced.sequence,
+            missingSequences: sequenced.missingSequences,
         });
 
     } catch (queueErr) {
         console.error('Error with RabbitMQ or message confirmation:', queueErr);
-        
-        // Clean up uploaded file if queue fails
-        if (fileId) {
-            try {
-                const { deleteAudioFile } = require('../db/cloudinary-utils/audio.db');
-                await deleteAudioFile(fileId);
-                console.log('Cleaned up uploaded file due to queue failure');
-            } catch (cleanupErr) {
-                console.error('Failed to clean up file:', cleanupErr);
-            }
-        }
-        
+
+        if (counted) {
+            await incrementChunksQueued(jobId, -pieces.length);
+        }
+        // The upload can be sent again with the same number
+        if (sequenced && !sequenced.duplicate) {
+            await forgetSequence(jobId, sequenced.sequence);
+        }
+
+        // Clean up uploaded files if queue fails
+        await deleteUploadedFiles(fileIds);
+
         if (!res.headersSent) {
             res.status(500).send('Failed to push audio to queue.');
         }
@@ -174,6 +362,6 @@ router.post('/', upload.single('audio'), async (req, res) => {
             await conn.close().catch(e => console.error("Error closing connection:", e));
         }
     }
-});
+}
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,102 @@
+// routes/authRoutes.js
+const express = require('express');
+const router = express.Router();
+const { createUser, authenticateUser, createSession, deleteSession, SESSION_TTL_MS } = require('../db/mongoutils/user.db');
+const { getSessionToken, requireAuth } = require('../middleware/auth');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Sets the session token as an HTTP-only cookie, mirroring the jobId cookie options
+const setSessionCookie = (res, token) => {
+    res.cookie('sessionToken', token, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL_MS,
+    });
+};
+
+// Strips a user document down to the fields that are safe to send to the client
+const toPublicUser = (user) => ({
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    createdAt: user.createdAt,
+});
+
+// Checks that email and password are non-empty strings; anything else (arrays, objects) is rejected
+const hasCredentials = (email, password) =>
+    typeof email === 'string' && email.trim() !== '' && typeof password === 'string' && password !== '';
+
+// POST /api/auth/signup
+// Creates a new account and logs the user in.
+router.post('/signup', async (req, res) => {
+    const { email, password, name } = req.body || {};
+
+    if (!hasCredentials(email, password)) {
+        return res.status(400).json({ success: false, message: 'email and password are required and must be strings.' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    if (name !== undefined && name !== null && typeof name !== 'string') {
+        return res.status(400).json({ success: false, message: 'name must be a string.' });
+    }
+
+    try {
+        const user = await createUser(email, password, name);
+        const { token } = await createSession(user._id);
+        setSessionCookie(res, token);
+
+        res.status(201).json({ success: true, user: toPublicUser(user), token });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'An account with this email already exists.' });
+        }
+        console.error('API Error in /api/auth/signup:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while creating the account.' });
+    }
+});
+
+// POST /api/auth/login
+// Checks the credentials and starts a new session.
+router.post('/login', async (req, res) => {
+    const { email, password } = req.body || {};
+
+    if (!hasCredentials(email, password)) {
+        return res.status(400).json({ success: false, message: 'email and password are required and must be strings.' });
+    }
+
+    try {
+        const user = await authenticateUser(email, password);
+        if (!user) {
+            return res.status(401).json({ success: false, message: 'Invalid email or password.' });
+        }
+
+        const { token } = await createSession(user._id);
+        setSessionCookie(res, token);
+
+        res.status(200).json({ success: true, user: toPublicUser(user), token });
+    } catch (error) {
+        console.error('API Error in /api/auth/login:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while logging in.' });
+    }
+});
+
+// POST /api/auth/logout
+// Ends the current session and clears the session cookie.
+router.post('/logout', async (req, res) => {
+    const token = getSessionToken(req);
+    if (token) {
+        await deleteSession(token);
+    }
+    res.clearCookie('sessionToken');
+    res.status(200).json({ success: true, message: 'Logged out.' });
+});
+
+// GET /api/auth/me
+// Returns the user behind the current session.
+router.get('/me', requireAuth, (req, res) => {
+    res.status(200).json({ success: true, user: toPublicUser(req.user) });
+});
+
+module.exports = router;
@@ -1,26 +1,37 @@
 // routes/chat.routes.js
 
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // mergeParams: also mounted under /api/meetings/:jobId
 const { getLLMStreamResponse } = require('../controllers/chatLLM'); // Import the LLM streaming function
+const { getChatHistory } = require('../db/mongoutils/chat.db');
+const { getUserWorkspaceIds, buildMeetingAccessFilter } = require('../db/mongoutils/workspace.db');
+const { requireMeetingRole } = require('../middleware/auth');
 
 /**
- * @route POST /api/chat/stream
+ * @route POST /api/meetings/:jobId/chat/stream
+ * @route POST /api/chat/stream (legacy: jobId in the body)
  * @desc Handles incoming chat messages and streams the AI's response.
- * @access Public (or add authentication middleware)
+ * @access Private (meeting owner or workspace editor)
  */
-router.post('/stream', async (req, res) => {
+router.post('/stream', requireMeetingRole('editor'), async (req, res) => {
     try {
-        const { userPrompt, jobId } = req.body;
+        const { userPrompt } = req.body;
+        const { jobId } = req;
 
         // Validate the incoming request data
-        if (!userPrompt || !jobId) {
-            return res.status(400).json({ error: 'userPrompt and jobId are required.' });
+        if (!userPrompt) {
+            return res.status(400).json({ error: 'userPrompt is required.' });
         }
 
+        const workspaceIds = await getUserWorkspaceIds(req.user._id);
+
         // Call the streaming function, which handles the entire RAG pipeline
         // The function manages the response streaming itself, so we don't need to send a response here.
-        await getLLMStreamResponse(res, userPrompt, jobId);
+        await getLLMStreamResponse(res, userPrompt, jobId, {
+            userId: req.user._id,
+            workspaceIds,
+            meeting: req.meeting,
+        });
 
     } catch (error) {
         console.error('Error in chat stream route:', error);
@@ -31,4 +42,32 @@ router.post('/stream', async (req, res) => {
     }
 });
 
+/**
+ * @route GET /api/meetings/:jobId/chat/history?limit=...&before=...
+ * @route GET /api/chat/history?jobId=...&limit=...&before=...
+ * @desc Returns a page of a meeting's chat history, oldest first.
+ * @access Private (anyone who can see the meeting)
+ */
+router.get('/history', requireMeetingRole('viewer'), async (req, res) => {
+    const { before } = req.query;
+    if (before && (typeof before !== 'string' || !/^[a-f0-9]{24}$/i.test(before))) {
+        return res.status(400).json({ error: 'before must be a chat id.' });
+    }
+
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const workspaceIds = await getUserWorkspaceIds(req.user._id);
+        const chats = await getChatHistory(
+            req.jobId,
+            limit,
+            before || null,
+            buildMeetingAccessFilter(req.user._id, workspaceIds)
+        );
+        res.status(200).json({ chats });
+    } catch (error) {
+        console.error('Error fetching chat history:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
 module.exports = router;
@@ -3,7 +3,14 @@ const express = require('express');
 const router = express.Router();
 const amqp = require('amqplib');
 const config = require('../utils/config');
-const { createTranscription, updateMeetingStatus } = require('../db/mongoutils/transcription.db'); // Import the new function
+const { createTranscription, finalizeMeeting, getMissingSequences } = require('../db/mongoutils/transcription.db'); // Import the new function
+const { requireMeetingRole } = require('../middleware/auth');
+const { hasRole, getWorkspaceRole, getUserWorkspaceIds } = require('../db/mongoutils/workspace.db');
+const { resolveMeetingTemplate } = require('../db/mongoutils/meetingTemplate.db');
+const { DEFAULT_TEMPLATE_ID } = require('../utils/meetingTemplates');
+const { AUTO_LANGUAGE, DEFAULT_LANGUAGE, normalizeLanguage } = require('../utils/languages');
+const { parseMeetingMetadata } = require('../utils/meetingMetadata');
+const { scheduleMeetingSummary } = require('../controllers/summarize');
 const crypto = require('crypto'); // Use Node.js built-in crypto module for UUID
 
 // POST /api/meeting/start
@@ -11,10 +18,49 @@ const crypto = require('crypto'); // Use Node.js built-in crypto module for UUID
 router.post('/start', async (req, res) => {
     console.log('API Request: /api/meeting/start received.');
     try {
+        const {
+            workspaceId,
+            template: templateId = DEFAULT_TEMPLATE_ID,
+            language: requestedLanguage = DEFAULT_LANGUAGE,
+            translateToEnglish = false,
+        } = req.body || {};
+
+        // An ISO-639-1 code such as 'de', or 'auto' to detect it from the audio
+        const language = requestedLanguage === AUTO_LANGUAGE ? AUTO_LANGUAGE : normalizeLanguage(requestedLanguage);
+        if (!language) {
+            return res.status(400).json({ success: false, message: `Unsupported language: ${requestedLanguage}. Use an ISO-639-1 code or 'auto'.` });
+        }
+        if (typeof translateToEnglish !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'translateToEnglish must be a boolean.' });
+        }
+        if (translateToEnglish && language === 'en') {
+            return res.status(400).json({ success: false, message: "translateToEnglish needs a non-English language or 'auto'." });
+        }
+
+        const { metadata, error } = parseMeetingMetadata(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        // Recording into a workspace needs at least editor rights there
+        if (workspaceId) {
+            const role = await getWorkspaceRole(workspaceId, req.user._id);
+            if (!hasRole(role, 'editor')) {
+                return res.status(403).json({ success: false, message: 'You need editor access to record into this workspace.' });
+            }
+        }
+
+        // The template decides the cleaning rules, summary sections and chat persona
+        const workspaceIds = await getUserWorkspaceIds(req.user._id);
+        const template = await resolveMeetingTemplate(String(templateId), req.user._id, workspaceIds);
+        if (!template) {
+            return res.status(400).json({ success: false, message: `Unknown template: ${templateId}.` });
+        }
+
         const jobId = crypto.randomUUID(); // Generate a unique jobId
 
         // Create the initial transcription document in MongoDB with a 'pending' status
-        const dbResult = await createTranscription(jobId);
+        const dbResult = await createTranscription(jobId, req.user._id, workspaceId, metadata, { template, language, translateToEnglish });
 
         if (!dbResult) {
             console.error('API Error: Failed to create transcription document.');
@@ -28,6 +74,16 @@ router.post('/start', async (req, res) => {
         res.status(200).json({
             success: true,
             jobId: jobId,
+            template: { id: template.id, name: template.name },
+            language: language,
+            translateToEnglish: translateToEnglish,
+            // Clients should address the meeting through these rather than the cookie
+            links: {
+                audio: `/api/meetings/${jobId}/audio`,
+                transcription: `/api/meetings/${jobId}/transcription`,
+                chat: `/api/meetings/${jobId}/chat/stream`,
+                stop: `/api/meetings/${jobId}/stop`,
+            },
             message: 'New meeting session initiated.'
         });
 
@@ -37,23 +93,36 @@ router.post('/start', async (req, res) => {
     }
 });
 
-// POST /api/meeting/stop
-// Updates the meeting status to 'completed' and sends any remaining audio chunks to be processed.
-router.post('/stop', async (req, res) => {
-    console.log('API Request: /api/meeting/stop received.');
-    const { jobId } = req.cookies;
-
-    if (!jobId) {
-        return res.status(400).send('No meeting session found to stop.');
-    }
+// POST /api/meeting/stop (jobId from the body or cookie)
+// POST /api/meetings/:jobId/stop
+// Moves the meeting to 'finalizing' so audio still in the queue is processed; the worker
+// marks it 'completed' once the last queued chunk is done (or right away if none are outstanding).
+// Clients should call this after their final audio upload has been accepted.
+const stopMeeting = async (req, res) => {
+    console.log('API Request: stop meeting received.');
+    const { jobId } = req;
 
     try {
-        // Update the meeting status to 'completed' in MongoDB
-        const result = await updateMeetingStatus(jobId, 'completed');
+        const status = await finalizeMeeting(jobId);
 
-        if (result) {
-            console.log(`Meeting status for jobId ${jobId} updated to 'completed'.`);
-            res.status(200).json({ success: true, message: `Meeting session for jobId ${jobId} successfully marked as completed.` });
+        if (status) {
+            console.log(`Meeting status for jobId ${jobId} is now '${status}'.`);
+            const missingSequences = getMissingSequences(req.meeting);
+            if (missingSequences.length > 0) {
+                console.warn(`Meeting ${jobId} stopped without uploads ${missingSequences.join(', ')}.`);
+            }
+            // Nothing was outstanding, so the meeting completed here rather than in the worker
+            if (status === 'completed' && req.meeting.status !== 'completed') {
+                scheduleMeetingSummary(jobId);
+            }
+            res.status(200).json({
+                success: true,
+                status: status,
+                missingSequences: missingSequences,
+                message: status === 'completed'
+                    ? `Meeting session for jobId ${jobId} successfully marked as completed.`
+                    : `Meeting session for jobId ${jobId} is finalizing; queued audio is still being processed.`
+            });
         } else {
             res.status(404).json({ success: false, message: `Meeting with jobId ${jobId} not found.` });
         }
@@ -61,9 +130,12 @@ router.post('/stop', async (req, res) => {
         console.error('API Error in /api/meeting/stop:', error);
         res.status(500).json({ success: false, message: 'An unexpected error occurred while trying to stop the meeting.' });
     }
-});
+};
+
+router.post('/stop', requireMeetingRole('editor'), stopMeeting);
 
 // The status route is no longer needed as the worker is now a persistent process
 // Its status is not tied to a single meeting.
 
 module.exports = router;
+module.exports.stopMeeting = stopMeeting;
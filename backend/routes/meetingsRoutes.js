@@ -0,0 +1,480 @@
+// routes/meetingsRoutes.js
+// Resource-style routes for browsing and managing the meetings a user can see.
+// Starting and stopping a recording session lives in meetingRoutes.js.
+const express = require('express');
+const router = express.Router();
+const {
+    listMeetings,
+    updateMeetingMetadata,
+    getMeetingChapters,
+    setMeetingGlossary,
+    getMissingSequences,
+    editCleanedChunk,
+    editTranscriptSegment,
+    setMeetingAudioRetention,
+} = require('../db/mongoutils/transcription.db');
+const {
+    getUserWorkspaceIds,
+    buildMeetingAccessFilter,
+    resolveMeetingGlossary,
+    resolveAudioRetentionDays,
+} = require('../db/mongoutils/workspace.db');
+const { streamAudioFile } = require('../db/cloudinary-utils/audio.db');
+const { MEETING_STATUSES } = require('../db/models/meeting.model');
+const { buildMetadataPayload, queryTranscriptions } = require('../controllers/queryVectordb');
+const { setTranscriptionPayload, updateTranscriptionPoint } = require('../controllers/embedding/embedTranscriptions');
+const { setChatPayload } = require('../controllers/embedding/embedChat');
+const { requireScope, requireSession, requireMeetingRole } = require('../middleware/auth');
+const { parseMeetingMetadata } = require('../utils/meetingMetadata');
+const { parseGlossary } = require('../utils/glossary');
+const { parseAudioRetentionDays, getAudioExpiry } = require('../utils/audioRetention');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+const { stopMeeting } = require('./meetingRoutes');
+const { requestMeetingDeletion } = require('../controllers/meetingDeletion');
+const { scheduleMeetingSummary } = require('../controllers/summarize');
+const { getPlaybackAudio } = require('../controllers/audioRetention');
+const { correctCleanedChunks } = require('../controllers/transcriptCorrection');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_SEARCH_RESULTS = 10;
+const MAX_SEARCH_RESULTS = 50;
+const MAX_SEARCH_QUERY_LENGTH = 500;
+
+// Longest text a transcript segment or cleaned chunk can be edited to
+const MAX_EDIT_LENGTH = 20000;
+
+// Validates an edited text field; returns the trimmed text, or null if it is not a non-empty string
+const parseEditText = (value) => {
+    if (typeof value !== 'string' || !value.trim() || value.trim().length > MAX_EDIT_LENGTH) return null;
+    return value.trim();
+};
+
+// Parses an optional date query parameter; returns undefined if absent and null if invalid
+const parseDate = (value) => {
+    if (value === undefined) return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// GET /api/meetings?status=&from=&to=&q=&limit=&cursor=
+// Lists the caller's meetings and those shared with their workspaces, newest first.
+router.get('/', requireScope('read-transcripts'), async (req, res) => {
+    const { status, q, cursor } = req.query;
+
+    if (status && !MEETING_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${MEETING_STATUSES.join(', ')}.` });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+        return res.status(400).json({ error: 'from and to must be valid dates.' });
+    }
+
+    const decodedCursor = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !decodedCursor) {
+        return res.status(400).json({ error: 'Invalid cursor.' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    try {
+        const workspaceIds = await getUserWorkspaceIds(req.user._id);
+        const { meetings, nextCursor } = await listMeetings({
+            accessFilter: buildMeetingAccessFilter(req.user._id, workspaceIds),
+            status,
+            from,
+            to,
+            q: q ? String(q).trim() : undefined,
+            cursor: decodedCursor,
+            limit,
+        });
+
+        res.status(200).json({
+            meetings,
+            nextCursor: nextCursor ? encodeCursor(nextCursor) : null,
+        });
+    } catch (error) {
+        console.error('Error listing meetings:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// GET /api/meetings/search?q=&tags=&workspaceId=&limit=
+// Finds the transcript passages closest in meaning to q across the meetings the caller can see,
+// optionally only in meetings with all of the tags or shared with one workspace.
+router.get('/search', requireScope('read-transcripts'), async (req, res) => {
+    const { q, workspaceId } = req.query;
+    if (typeof q !== 'string' || !q.trim() || q.trim().length > MAX_SEARCH_QUERY_LENGTH) {
+        return res.status(400).json({ error: `q must be a non-empty string of at most ${MAX_SEARCH_QUERY_LENGTH} characters.` });
+    }
+    if (workspaceId !== undefined && typeof workspaceId !== 'string') {
+        return res.status(400).json({ error: 'workspaceId must be a string.' });
+    }
+    // Tags are matched like the ones stored on meetings: case-insensitive, comma-separated or repeated
+    const tags = Array.isArray(req.query.tags) ? req.query.tags.join(',') : req.query.tags;
+    const { metadata, error } = parseMeetingMetadata(tags !== undefined ? { tags } : {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_SEARCH_RESULTS, 1), MAX_SEARCH_RESULTS);
+
+    try {
+        const workspaceIds = await getUserWorkspaceIds(req.user._id);
+        if (workspaceId && !workspaceIds.includes(workspaceId)) {
+            return res.status(404).json({ error: `Workspace ${workspaceId} not found.` });
+        }
+
+        const passages = await queryTranscriptions(
+            q.trim(),
+            null,
+            limit,
+            { userId: req.user._id, workspaceIds },
+            { tags: metadata.tags, workspaceId }
+        );
+        res.status(200).json({
+            results: passages.map(passage => ({
+                jobId: passage.jobId,
+                title: passage.title,
+                tags: passage.tags || [],
+                workspaceId: passage.workspaceId || null,
+                text: passage.text,
+                summary: passage.summary,
+                startSeconds: passage.startSeconds,
+                endSeconds: passage.endSeconds,
+                variant: passage.variant,
+            })),
+        });
+    } catch (error) {
+        console.error('Error searching meetings:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// PATCH /api/meetings/:jobId
+// Edits a meeting's title, source URL/title, participants and tags.
+// The new values are also copied onto the meeting's Qdrant points.
+router.patch('/:jobId', requireScope('upload'), requireMeetingRole('editor'), async (req, res) => {
+    const { metadata, error } = parseMeetingMetadata(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (Object.keys(metadata).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update.' });
+    }
+
+    try {
+        const meeting = await updateMeetingMetadata(req.jobId, metadata);
+        if (!meeting) {
+            return res.status(404).json({ error: `Meeting with jobId ${req.jobId} not found.` });
+        }
+
+        const payload = buildMetadataPayload(metadata);
+        const results = await Promise.all([
+            setTranscriptionPayload(req.jobId, payload),
+            setChatPayload(req.jobId, payload),
+        ]);
+        if (!results.every(r => r.success)) {
+            console.warn(`Meeting ${req.jobId} metadata saved but Qdrant payloads were not fully updated.`);
+        }
+
+        const { _id, ...rest } = meeting;
+        res.status(200).json(rest);
+    } catch (error) {
+        console.error('Error updating meeting metadata:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// DELETE /api/meetings/:jobId
+// Deletes the meeting from MongoDB, both Qdrant collections and Cloudinary.
+// Responds with what was removed from each store; on partial failure it is safe to call again.
+// While the worker still has the meeting's audio the response is 202 and the worker finishes the deletion.
+// Needs a logged-in session: no API key scope allows deleting meetings.
+router.delete('/:jobId', requireSession, requireMeetingRole('owner'), async (req, res) => {
+    try {
+        const report = await requestMeetingDeletion(req.jobId);
+        res.status(report.success ? 200 : report.pending ? 202 : 502).json({ jobId: req.jobId, ...report });
+    } catch (error) {
+        console.error('Error deleting meeting:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// GET /api/meetings/:jobId/summary
+// Returns the post-meeting summary: executive summary, key decisions, open questions and action items.
+router.get('/:jobId/summary', requireScope('read-transcripts'), requireMeetingRole('viewer'), (req, res) => {
+    const { summary, status } = req.meeting;
+    if (!summary || !summary.status) {
+        return res.status(404).json({
+            error: status === 'completed'
+                ? 'No summary has been generated for this meeting.'
+                : 'The summary is generated once the meeting is completed.',
+        });
+    }
+    res.status(200).json({ jobId: req.jobId, summary });
+});
+
+// POST /api/meetings/:jobId/summary
+// Regenerates the summary of a completed meeting in the background.
+router.post('/:jobId/summary', requireScope('upload'), requireMeetingRole('editor'), (req, res) => {
+    if (req.meeting.status !== 'completed') {
+        return res.status(409).json({ error: 'The summary can only be generated once the meeting is completed.' });
+    }
+    scheduleMeetingSummary(req.jobId);
+    res.status(202).json({ message: 'Summary generation started.' });
+});
+
+// GET /api/meetings/:jobId/timeline
+// Returns the meeting's chapters in recording order, for a table of contents.
+router.get('/:jobId/timeline', requireScope('read-transcripts'), requireMeetingRole('viewer'), async (req, res) => {
+    try {
+        const chapters = await getMeetingChapters(req.jobId);
+        if (!chapters) {
+            return res.status(404).json({ error: `Meeting with jobId ${req.jobId} not found.` });
+        }
+
+        res.status(200).json({
+            jobId: req.jobId,
+            status: req.meeting.status,
+            durationSeconds: req.meeting.durationSeconds,
+            // Uploads that never arrived leave a gap in the transcript
+            missingSequences: getMissingSequences(req.meeting),
+            chapters: chapters.map((chapter, index) => ({ index, ...chapter })),
+        });
+    } catch (error) {
+        console.error('Error fetching meeting timeline:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// PATCH /api/meetings/:jobId/segments/:segmentId
+// Corrects the text of a timed transcript segment (original or translation). The previous text is
+// kept in the segment's history, and the correction is carried over to the raw chunk the segment
+// came from and to the cleaned chunks around it, which are embedded again so search and chat match
+// it. Anything that couldn't be corrected is listed in `warnings`.
+router.patch('/:jobId/segments/:segmentId', requireScope('upload'), requireMeetingRole('editor'), async (req, res) => {
+    const text = parseEditText((req.body || {}).text);
+    if (text === null) {
+        return res.status(400).json({ error: `text must be a non-empty string of at most ${MAX_EDIT_LENGTH} characters.` });
+    }
+
+    try {
+        const result = await editTranscriptSegment(req.jobId, req.params.segmentId, text, req.user._id);
+        if (!result) {
+            return res.status(404).json({ error: `Segment ${req.params.segmentId} not found in meeting ${req.jobId}.` });
+        }
+        if (result.conflict) {
+            return res.status(409).json({ error: 'The segment was changed by someone else. Reload it and try again.' });
+        }
+
+        const warnings = [];
+        let cleanedChunks = [];
+        if (result.changed) {
+            if (!result.chunkUpdated) {
+                warnings.push('The raw transcript could not be corrected: the previous text was not found in it exactly once.');
+            }
+            const corrected = await correctCleanedChunks(req.jobId, {
+                variant: result.variant,
+                segment: result.segment,
+                previousText: result.previousText,
+                text,
+                editorId: req.user._id,
+            });
+            cleanedChunks = corrected.chunks;
+            if (cleanedChunks.length === 0 && corrected.conflicts.length === 0) {
+                warnings.push('The correction was not found in the cleaned transcript. Edit the cleaned chunk to change what search and chat see.');
+            }
+            for (const chunkId of corrected.conflicts) {
+                warnings.push(`Cleaned chunk ${chunkId} was changed by someone else and was not corrected. Edit it to apply the correction.`);
+            }
+            if (corrected.notEmbedded.length > 0) {
+                return res.status(502).json({
+                    error: 'The edit was saved, but the search index could not be updated. Send the listed chunks unchanged to retry.',
+                    jobId: req.jobId,
+                    segment: result.segment,
+                    notEmbedded: corrected.notEmbedded,
+                    warnings,
+                });
+            }
+        }
+
+        res.status(200).json({
+            jobId: req.jobId,
+            variant: result.variant,
+            segment: result.segment,
+            chunkUpdated: !!result.chunkUpdated,
+            cleanedChunks,
+            warnings,
+        });
+    } catch (error) {
+        console.error('Error editing transcript segment:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// PATCH /api/meetings/:jobId/chunks/:chunkId
+// Corrects a cleaned chunk's refinedText and/or summary. The previous version is kept in the
+// chunk's history, and the chunk is embedded again so search and chat match the corrected text.
+// Sending an unchanged chunk only re-embeds it, which retries a failed re-embedding.
+router.patch('/:jobId/chunks/:chunkId', requireScope('upload'), requireMeetingRole('editor'), async (req, res) => {
+    const body = req.body || {};
+    const changes = {};
+    for (const field of ['refinedText', 'summary']) {
+        if (body[field] === undefined) continue;
+        changes[field] = parseEditText(body[field]);
+        if (changes[field] === null) {
+            return res.status(400).json({ error: `${field} must be a non-empty string of at most ${MAX_EDIT_LENGTH} characters.` });
+        }
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update.' });
+    }
+
+    try {
+        const result = await editCleanedChunk(req.jobId, req.params.chunkId, changes, req.user._id);
+        if (!result) {
+            return res.status(404).json({ error: `Chunk ${req.params.chunkId} not found in meeting ${req.jobId}.` });
+        }
+        if (result.conflict) {
+            return res.status(409).json({ error: 'The chunk was changed by someone else. Reload it and try again.' });
+        }
+
+        const { chunk } = result;
+        if (chunk.pointId) {
+            const embedded = await updateTranscriptionPoint(chunk.pointId, chunk);
+            if (!embedded.success) {
+                return res.status(502).json({
+                    error: 'The edit was saved, but the search index could not be updated. Send it again to retry.',
+                    jobId: req.jobId,
+                    chunk,
+                });
+            }
+        }
+
+        res.status(200).json({ jobId: req.jobId, chunk });
+    } catch (error) {
+        console.error('Error editing cleaned chunk:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// GET /api/meetings/:jobId/glossary
+// Returns the meeting's own glossary and the combined one its audio is transcribed with.
+router.get('/:jobId/glossary', requireScope('read-transcripts'), requireMeetingRole('viewer'), async (req, res) => {
+    try {
+        res.status(200).json({
+            jobId: req.jobId,
+            glossary: req.meeting.glossary || [],
+            effectiveGlossary: await resolveMeetingGlossary(req.meeting),
+        });
+    } catch (error) {
+        console.error('Error fetching meeting glossary:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// PUT /api/meetings/:jobId/glossary
+// Replaces the meeting's own glossary. Applies to audio transcribed from now on.
+router.put('/:jobId/glossary', requireScope('upload'), requireMeetingRole('editor'), async (req, res) => {
+    const { glossary, error } = parseGlossary((req.body || {}).glossary);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const updated = await setMeetingGlossary(req.jobId, glossary);
+        if (!updated) {
+            return res.status(404).json({ error: `Meeting with jobId ${req.jobId} not found.` });
+        }
+        const effectiveGlossary = await resolveMeetingGlossary({ ...req.meeting, glossary });
+        res.status(200).json({ jobId: req.jobId, glossary, effectiveGlossary });
+    } catch (error) {
+        console.error('Error updating meeting glossary:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// Describes a meeting's audio retention: its own setting, the one in effect and when kept audio expires
+const buildAudioRetention = async (meeting, jobId) => {
+    const effectiveAudioRetentionDays = await resolveAudioRetentionDays(meeting);
+    return {
+        jobId,
+        audioRetentionDays: typeof meeting.audioRetentionDays === 'number' ? meeting.audioRetentionDays : null,
+        effectiveAudioRetentionDays,
+        audioExpiresAt: getAudioExpiry(meeting.createdAt, effectiveAudioRetentionDays),
+    };
+};
+
+// GET /api/meetings/:jobId/audio-retention
+// Returns how long the meeting's uploaded audio is kept for playback.
+router.get('/:jobId/audio-retention', requireScope('read-transcripts'), requireMeetingRole('viewer'), async (req, res) => {
+    try {
+        res.status(200).json(await buildAudioRetention(req.meeting, req.jobId));
+    } catch (error) {
+        console.error('Error fetching meeting audio retention:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// PUT /api/meetings/:jobId/audio-retention
+// Sets how many days the meeting's audio is kept ({ days }), or null to use the workspace's setting.
+// Applies to audio uploaded from now on; audio already kept is purged once the new retention runs out.
+// Needs a logged-in session, like the workspace setting: no API key scope allows changing it.
+router.put('/:jobId/audio-retention', requireSession, requireMeetingRole('owner'), async (req, res) => {
+    const { days, error } = parseAudioRetentionDays((req.body || {}).days);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const updated = await setMeetingAudioRetention(req.jobId, days);
+        if (!updated) {
+            return res.status(404).json({ error: `Meeting with jobId ${req.jobId} not found.` });
+        }
+        res.status(200).json(await buildAudioRetention({ ...req.meeting, audioRetentionDays: days }, req.jobId));
+    } catch (error) {
+        console.error('Error updating meeting audio retention:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// GET /api/meetings/:jobId/recording
+// Streams the meeting's kept audio in upload order as one WebM/Opus file. Supports a single
+// HTTP Range ("bytes=start-end") so players can seek.
+router.get('/:jobId/recording', requireScope('read-transcripts'), requireMeetingRole('viewer'), async (req, res) => {
+    try {
+        const playback = await getPlaybackAudio(req.jobId);
+        if (!playback) {
+            return res.status(404).json({ error: 'No audio is kept for this meeting.' });
+        }
+
+        // Other ranges (e.g. several at once) are ignored and the whole file is sent, which HTTP allows
+        const range = /^bytes=\d*-\d*$/.test(req.headers.range || '') ? req.headers.range : undefined;
+        const upstream = await streamAudioFile(playback.fileId, range);
+        res.status(upstream.status);
+        res.set({ 'Content-Type': 'audio/webm', 'Accept-Ranges': 'bytes', 'Cache-Control': 'private, no-store' });
+        for (const header of ['content-length', 'content-range']) {
+            if (upstream.headers[header]) res.set(header, upstream.headers[header]);
+        }
+
+        upstream.stream.on('error', (streamError) => {
+            console.error('Error streaming meeting recording:', streamError);
+            res.destroy(streamError);
+        });
+        // Stop downloading when the player goes away, e.g. after seeking
+        res.on('close', () => upstream.stream.destroy());
+        upstream.stream.pipe(res);
+    } catch (error) {
+        console.error('Error serving meeting recording:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+// POST /api/meetings/:jobId/stop
+// Path-addressed equivalent of POST /api/meeting/stop.
+router.post('/:jobId/stop', requireScope('upload'), requireMeetingRole('editor'), stopMeeting);
+
+module.exports = router;
@@ -0,0 +1,138 @@
+// routes/publicShareRoutes.js
+// Unauthenticated, read-only access to a meeting through a share link token.
+const express = require('express');
+const router = express.Router();
+const { shareLinksEnabled, resolveShareToken } = require('../db/mongoutils/shareLink.db');
+const { getTranscription } = require('../db/mongoutils/transcription.db');
+const { getChatHistory } = require('../db/mongoutils/chat.db');
+const { formatTimestamp } = require('../utils/timestamps');
+
+const MAX_SHARED_CHATS = 200;
+
+// Escapes text for safe inclusion in the rendered HTML page
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Shapes the stored summary for the public view, leaving out generation errors
+const toSharedSummary = (summary) => {
+    if (!summary || summary.status !== 'ready') return null;
+    return {
+        executiveSummary: summary.executiveSummary,
+        sections: summary.sections.map(section => ({ key: section.key, title: section.title, items: section.items })),
+        keyDecisions: summary.keyDecisions,
+        openQuestions: summary.openQuestions,
+        actionItems: summary.actionItems.map(item => ({ description: item.description, owner: item.owner, dueDate: item.dueDate })),
+        generatedAt: summary.generatedAt,
+    };
+};
+
+// Renders a list of strings, or nothing if it is empty
+const renderList = (items) => (items.length > 0
+    ? `<ul>\n${items.map(item => `<li>${escapeHtml(item)}</li>`).join('\n')}\n</ul>`
+    : '');
+
+// Renders the summary; its sections already include key decisions and open questions
+const renderSummary = (summary) => {
+    if (!summary) return '';
+    const sections = summary.sections
+        .filter(section => section.items.length > 0)
+        .map(section => `<h3>${escapeHtml(section.title || section.key)}</h3>\n${renderList(section.items)}`);
+    const actionItems = summary.actionItems.map(item => [
+        item.description,
+        item.owner ? `(${item.owner})` : '',
+        item.dueDate ? `due ${item.dueDate}` : '',
+    ].filter(Boolean).join(' '));
+
+    return `<h2>Summary</h2>
+    <p>${escapeHtml(summary.executiveSummary || '')}</p>
+    ${sections.join('\n')}
+    ${actionItems.length > 0 ? `<h3>Action Items</h3>\n${renderList(actionItems)}` : ''}`;
+};
+
+// Renders the chapters as a table of contents with their approximate start times
+const renderChapters = (chapters) => {
+    if (chapters.length === 0) return '';
+    const entries = chapters.map(chapter => (Number.isFinite(chapter.startSeconds)
+        ? `${formatTimestamp(chapter.startSeconds)} ${chapter.title}`
+        : chapter.title));
+    return `<h2>Chapters</h2>\n${renderList(entries)}`;
+};
+
+// Renders the shared meeting as a minimal standalone HTML page
+const renderSharedMeeting = (data) => {
+    const transcript = data.transcriptionChunks.map(chunk => `<p>${escapeHtml(chunk)}</p>`).join('\n');
+    const chats = data.chats
+        ? `<h2>Chat</h2>\n${data.chats.map(chat => `<p><strong>Q:</strong> ${escapeHtml(chat.userChat)}<br><strong>A:</strong> ${escapeHtml(chat.aiChat || '')}</p>`).join('\n')}`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="robots" content="noindex">
+    <title>Concize - Shared Meeting</title>
+</head>
+<body>
+    <h1>Shared Meeting</h1>
+    <p><em>Recorded ${escapeHtml(new Date(data.createdAt).toUTCString())} &middot; ${escapeHtml(data.status)}</em></p>
+    ${renderSummary(data.summary)}
+    ${renderChapters(data.chapters)}
+    <h2>Transcript</h2>
+    ${transcript || '<p>No transcription available yet.</p>'}
+    ${chats}
+</body>
+</html>`;
+};
+
+// GET /api/shared/:token
+// Returns the shared meeting as JSON, or as an HTML page when the client asks for text/html.
+router.get('/:token', async (req, res) => {
+    if (!shareLinksEnabled()) {
+        return res.status(503).json({ error: 'Share links are disabled on this server.' });
+    }
+
+    try {
+        const link = await resolveShareToken(req.params.token);
+        if (!link) {
+            return res.status(404).json({ error: 'This share link is invalid, expired or has been revoked.' });
+        }
+
+        const document = await getTranscription(link.jobId);
+        if (!document) {
+            return res.status(404).json({ error: 'The shared meeting no longer exists.' });
+        }
+
+        const data = {
+            createdAt: document.createdAt,
+            status: document.status,
+            summary: toSharedSummary(document.summary),
+            chapters: (document.chapters || []).map(chapter => ({
+                title: chapter.title,
+                startSeconds: chapter.startSeconds,
+                endSeconds: chapter.endSeconds,
+            })),
+            transcriptionChunks: document.transcriptionChunks,
+            expiresAt: link.expiresAt,
+        };
+        if (link.includeChat) {
+            const chats = await getChatHistory(link.jobId, MAX_SHARED_CHATS);
+            data.chats = chats.map(chat => ({ createdAt: chat.createdAt, userChat: chat.userChat, aiChat: chat.aiChat }));
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.format({
+            'application/json': () => res.status(200).json(data),
+            'text/html': () => res.status(200).send(renderSharedMeeting(data)),
+            default: () => res.status(200).json(data),
+        });
+    } catch (error) {
+        console.error('Error serving shared meeting:', error);
+        res.status(500).json({ error: 'An internal server error occurred.' });
+    }
+});
+
+module.exports = router;
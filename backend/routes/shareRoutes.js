@@ -0,0 +1,97 @@
+// routes/shareRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    shareLinksEnabled,
+    buildShareToken,
+    createShareLink,
+    listShareLinks,
+    getShareLink,
+    revokeShareLink,
+} = require('../db/mongoutils/shareLink.db');
+const { getMeetingInfo } = require('../db/mongoutils/transcription.db');
+const { hasRole } = require('../db/mongoutils/workspace.db');
+const { requireMeetingRole, getMeetingRole } = require('../middleware/auth');
+
+const DEFAULT_EXPIRY_HOURS = 7 * 24; // 1 week
+const MAX_EXPIRY_HOURS = 30 * 24; // 30 days
+
+// Shapes a share link for API responses, including its public token
+const toShareLinkResponse = (link) => ({
+    id: link._id,
+    jobId: link.jobId,
+    includeChat: link.includeChat,
+    createdAt: link.createdAt,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt || null,
+    token: buildShareToken(link),
+    path: `/api/shared/${buildShareToken(link)}`,
+});
+
+// Share links can't be signed without SHARE_LINK_SECRET
+router.use((req, res, next) => {
+    if (!shareLinksEnabled()) {
+        return res.status(503).json({ success: false, message: 'Share links are disabled on this server.' });
+    }
+    next();
+});
+
+// POST /api/share-links
+// Creates an expiring, read-only public link to a meeting's transcription (and optionally its chat).
+router.post('/', requireMeetingRole('editor'), async (req, res) => {
+    const { expiresInHours = DEFAULT_EXPIRY_HOURS, includeChat = false } = req.body || {};
+
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_EXPIRY_HOURS) {
+        return res.status(400).json({ success: false, message: `expiresInHours must be between 0 and ${MAX_EXPIRY_HOURS}.` });
+    }
+
+    try {
+        const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+        const { link } = await createShareLink(req.jobId, req.user._id, expiresAt, !!includeChat);
+        res.status(201).json({ success: true, shareLink: toShareLinkResponse(link) });
+    } catch (error) {
+        console.error('API Error in POST /api/share-links:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while creating the share link.' });
+    }
+});
+
+// GET /api/share-links?jobId=...
+// Lists a meeting's share links, including expired and revoked ones.
+router.get('/', requireMeetingRole('editor'), async (req, res) => {
+    try {
+        const links = await listShareLinks(req.jobId);
+        res.status(200).json({ success: true, shareLinks: links.map(toShareLinkResponse) });
+    } catch (error) {
+        console.error('API Error in GET /api/share-links:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while listing share links.' });
+    }
+});
+
+// DELETE /api/share-links/:linkId
+// Revokes a share link. The public URL stops working immediately.
+router.delete('/:linkId', async (req, res) => {
+    try {
+        const link = await getShareLink(req.params.linkId);
+        const meeting = link ? await getMeetingInfo(link.jobId) : null;
+        const role = meeting ? await getMeetingRole(meeting, req.user._id) : null;
+
+        if (!role) {
+            return res.status(404).json({ success: false, message: `Share link ${req.params.linkId} not found.` });
+        }
+        if (!hasRole(role, 'editor')) {
+            return res.status(403).json({ success: false, message: "This action requires the 'editor' role on this meeting." });
+        }
+
+        const revoked = await revokeShareLink(link._id);
+        if (!revoked) {
+            return res.status(409).json({ success: false, message: `Share link ${req.params.linkId} is already revoked.` });
+        }
+        res.status(200).json({ success: true, message: `Share link ${req.params.linkId} revoked.` });
+    } catch (error) {
+        console.error('API Error in DELETE /api/share-links/:linkId:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while revoking the share link.' });
+    }
+});
+
+module.exports = router;
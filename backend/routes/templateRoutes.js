@@ -0,0 +1,144 @@
+// routes/templateRoutes.js
+// Meeting templates: the built-in ones and those defined by users, optionally shared with a workspace.
+const express = require('express');
+const router = express.Router();
+const {
+    createMeetingTemplate,
+    listMeetingTemplates,
+    getMeetingTemplate,
+    updateMeetingTemplate,
+    deleteMeetingTemplate,
+} = require('../db/mongoutils/meetingTemplate.db');
+const { hasRole, getWorkspaceRole, getUserWorkspaceIds } = require('../db/mongoutils/workspace.db');
+const { BUILT_IN_TEMPLATES, getBuiltInTemplate, parseTemplateDefinition } = require('../utils/meetingTemplates');
+
+/**
+ * The caller's role on a user-defined template: 'owner' for its creator, otherwise
+ * their role in the workspace it is shared with. Null when they cannot see it.
+ */
+const getTemplateRole = async (template, userId) => {
+    if (template.owner.toString() === userId.toString()) {
+        return 'owner';
+    }
+    if (template.workspaceId) {
+        return getWorkspaceRole(template.workspaceId, userId);
+    }
+    return null;
+};
+
+// Loads the user-defined template named by :templateId and checks the caller's role on it
+const requireTemplateRole = (minRole) => async (req, res, next) => {
+    try {
+        const template = await getMeetingTemplate(req.params.templateId);
+        const role = template ? await getTemplateRole(template, req.user._id) : null;
+
+        if (!role) {
+            const message = getBuiltInTemplate(req.params.templateId)
+                ? 'Built-in templates cannot be changed.'
+                : `Template ${req.params.templateId} not found.`;
+            return res.status(404).json({ success: false, message });
+        }
+        if (!hasRole(role, minRole)) {
+            return res.status(403).json({ success: false, message: `This action requires the '${minRole}' role on this template.` });
+        }
+        req.template = template;
+    } catch (error) {
+        console.error('Error checking template access:', error);
+        return res.status(500).json({ success: false, message: 'An unexpected error occurred while loading the template.' });
+    }
+    next();
+};
+
+// POST /api/templates
+// Creates a user-defined template, optionally shared with a workspace the caller can record into.
+router.post('/', async (req, res) => {
+    const { workspaceId } = req.body || {};
+    const { template, error } = parseTemplateDefinition(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    if (!template.name) {
+        return res.status(400).json({ success: false, message: 'name is required.' });
+    }
+
+    try {
+        if (workspaceId) {
+            const role = await getWorkspaceRole(workspaceId, req.user._id);
+            if (!hasRole(role, 'editor')) {
+                return res.status(403).json({ success: false, message: 'You need editor access to add templates to this workspace.' });
+            }
+        }
+
+        const created = await createMeetingTemplate(template, req.user._id, workspaceId);
+        res.status(201).json({ success: true, template: created });
+    } catch (error) {
+        console.error('API Error in POST /api/templates:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while creating the template.' });
+    }
+});
+
+// GET /api/templates
+// Lists the built-in templates and the user-defined ones the caller can use.
+router.get('/', async (req, res) => {
+    try {
+        const workspaceIds = await getUserWorkspaceIds(req.user._id);
+        const templates = await listMeetingTemplates(req.user._id, workspaceIds);
+        res.status(200).json({
+            success: true,
+            builtIn: Object.keys(BUILT_IN_TEMPLATES).map(id => getBuiltInTemplate(id)),
+            templates,
+        });
+    } catch (error) {
+        console.error('API Error in GET /api/templates:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while listing templates.' });
+    }
+});
+
+// GET /api/templates/:templateId
+// Returns a built-in template by id, or a user-defined one the caller can use.
+router.get('/:templateId', async (req, res, next) => {
+    const builtIn = getBuiltInTemplate(req.params.templateId);
+    if (builtIn) {
+        return res.status(200).json({ success: true, template: builtIn });
+    }
+    next();
+}, requireTemplateRole('viewer'), (req, res) => {
+    res.status(200).json({ success: true, template: req.template });
+});
+
+// PATCH /api/templates/:templateId
+// Edits a user-defined template. Meetings already started with it keep the version they started with.
+router.patch('/:templateId', requireTemplateRole('editor'), async (req, res) => {
+    const { template, error } = parseTemplateDefinition(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    if (Object.keys(template).length === 0) {
+        return res.status(400).json({ success: false, message: 'Nothing to update.' });
+    }
+
+    try {
+        const updated = await updateMeetingTemplate(req.template._id, template);
+        if (!updated) {
+            return res.status(404).json({ success: false, message: `Template ${req.params.templateId} not found.` });
+        }
+        res.status(200).json({ success: true, template: updated });
+    } catch (error) {
+        console.error('API Error in PATCH /api/templates/:templateId:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while updating the template.' });
+    }
+});
+
+// DELETE /api/templates/:templateId
+// Deletes a user-defined template (its creator or a workspace owner).
+router.delete('/:templateId', requireTemplateRole('owner'), async (req, res) => {
+    try {
+        await deleteMeetingTemplate(req.template._id);
+        res.status(200).json({ success: true, message: `Template ${req.params.templateId} deleted.` });
+    } catch (error) {
+        console.error('API Error in DELETE /api/templates/:templateId:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while deleting the template.' });
+    }
+});
+
+module.exports = router;
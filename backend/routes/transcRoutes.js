@@ -1,20 +1,20 @@
 // transcRoutes.js
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // mergeParams: also mounted under /api/meetings/:jobId
 const { getTranscription } = require('../db/mongoutils/transcription.db');
+const { getUserWorkspaceIds, buildMeetingAccessFilter } = require('../db/mongoutils/workspace.db');
+const { requireMeetingRole } = require('../middleware/auth');
 
-// Route to get a full transcription by the jobId in the cookie
-// GET /api/transcription
-router.get('/', async (req, res) => {
-  // Get the jobId from the request cookies
-  const { jobId } = req.cookies;
-
-  if (!jobId) {
-    return res.status(400).json({ error: 'jobId is required in the cookie' });
-  }
+// Route to get a full transcription
+// GET /api/meetings/:jobId/transcription
+// GET /api/transcription (legacy: jobId from ?jobId= or the cookie)
+router.get('/', requireMeetingRole('viewer'), async (req, res) => {
+  // The jobId comes from the path, query or cookie and has been checked against the caller
+  const { jobId } = req;
 
   try {
-    const document = await getTranscription(jobId);
+    const workspaceIds = await getUserWorkspaceIds(req.user._id);
+    const document = await getTranscription(jobId, buildMeetingAccessFilter(req.user._id, workspaceIds));
 
     if (!document) {
       return res.status(404).json({ error: `Transcription with jobId ${jobId} not found.` });
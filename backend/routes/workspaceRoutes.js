@@ -0,0 +1,226 @@
+// routes/workspaceRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    hasRole,
+    createWorkspace,
+    listUserWorkspaces,
+    getWorkspace,
+    getWorkspaceRole,
+    setWorkspaceMember,
+    removeWorkspaceMember,
+    getWorkspaceGlossary,
+    setWorkspaceGlossary,
+    getWorkspaceAudioRetention,
+    setWorkspaceAudioRetention,
+} = require('../db/mongoutils/workspace.db');
+const { WORKSPACE_ROLES } = require('../db/models/workspace.model');
+const { findUserByEmail } = require('../db/mongoutils/user.db');
+const { setMeetingWorkspace } = require('../db/mongoutils/transcription.db');
+const { setTranscriptionPayload } = require('../controllers/embedding/embedTranscriptions');
+const { setChatPayload } = require('../controllers/embedding/embedChat');
+const { requireMeetingRole } = require('../middleware/auth');
+const { parseGlossary } = require('../utils/glossary');
+const { parseAudioRetentionDays } = require('../utils/audioRetention');
+const config = require('../utils/config');
+
+// Rejects the request unless the caller has at least `minRole` in the workspace named by :workspaceId
+const requireWorkspaceRole = (minRole) => async (req, res, next) => {
+    const role = await getWorkspaceRole(req.params.workspaceId, req.user._id);
+    if (!role) {
+        return res.status(404).json({ success: false, message: `Workspace ${req.params.workspaceId} not found.` });
+    }
+    if (!hasRole(role, minRole)) {
+        return res.status(403).json({ success: false, message: `This action requires the '${minRole}' role in this workspace.` });
+    }
+    req.workspaceRole = role;
+    next();
+};
+
+// Moves a meeting in or out of a workspace in MongoDB and in both Qdrant collections
+const shareMeeting = async (jobId, workspaceId) => {
+    const updated = await setMeetingWorkspace(jobId, workspaceId);
+    if (!updated) return false;
+
+    const payload = { workspaceId: workspaceId ? workspaceId.toString() : null };
+    const results = await Promise.all([
+        setTranscriptionPayload(jobId, payload),
+        setChatPayload(jobId, payload),
+    ]);
+    return results.every(r => r.success);
+};
+
+// POST /api/workspaces
+// Creates a workspace owned by the caller.
+router.post('/', async (req, res) => {
+    const { name } = req.body || {};
+    if (!name) {
+        return res.status(400).json({ success: false, message: 'name is required.' });
+    }
+
+    try {
+        const workspace = await createWorkspace(name, req.user._id);
+        res.status(201).json({ success: true, workspace });
+    } catch (error) {
+        console.error('API Error in POST /api/workspaces:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while creating the workspace.' });
+    }
+});
+
+// GET /api/workspaces
+// Lists the workspaces the caller belongs to.
+router.get('/', async (req, res) => {
+    try {
+        const workspaces = await listUserWorkspaces(req.user._id);
+        res.status(200).json({ success: true, workspaces });
+    } catch (error) {
+        console.error('API Error in GET /api/workspaces:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while listing workspaces.' });
+    }
+});
+
+// GET /api/workspaces/:workspaceId
+// Returns a workspace and its members.
+router.get('/:workspaceId', requireWorkspaceRole('viewer'), async (req, res) => {
+    try {
+        const workspace = await getWorkspace(req.params.workspaceId);
+        res.status(200).json({ success: true, workspace, role: req.workspaceRole });
+    } catch (error) {
+        console.error('API Error in GET /api/workspaces/:workspaceId:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while fetching the workspace.' });
+    }
+});
+
+// PUT /api/workspaces/:workspaceId/members
+// Adds a user (by email) to the workspace, or changes their role.
+router.put('/:workspaceId/members', requireWorkspaceRole('owner'), async (req, res) => {
+    const { email, role } = req.body || {};
+    if (!email || !WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, message: `email and a role of ${WORKSPACE_ROLES.join(', ')} are required.` });
+    }
+
+    try {
+        const user = await findUserByEmail(email);
+        if (!user) {
+            return res.status(404).json({ success: false, message: `No user with email ${email}.` });
+        }
+
+        const updated = await setWorkspaceMember(req.params.workspaceId, user._id, role);
+        if (!updated) {
+            return res.status(409).json({ success: false, message: 'Could not update the member. A workspace must keep at least one owner.' });
+        }
+        res.status(200).json({ success: true, message: `${email} is now a ${role} of this workspace.` });
+    } catch (error) {
+        console.error('API Error in PUT /api/workspaces/:workspaceId/members:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while updating the member.' });
+    }
+});
+
+// DELETE /api/workspaces/:workspaceId/members/:userId
+// Removes a member. Owners can remove anyone; other members can only remove themselves.
+router.delete('/:workspaceId/members/:userId', requireWorkspaceRole('viewer'), async (req, res) => {
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && req.workspaceRole !== 'owner') {
+        return res.status(403).json({ success: false, message: "Only owners can remove other members." });
+    }
+
+    const removed = await removeWorkspaceMember(req.params.workspaceId, req.params.userId);
+    if (!removed) {
+        return res.status(409).json({ success: false, message: 'Could not remove the member. A workspace must keep at least one owner.' });
+    }
+    res.status(200).json({ success: true, message: 'Member removed.' });
+});
+
+// GET /api/workspaces/:workspaceId/glossary
+// Returns the terms applied to every meeting shared with the workspace.
+router.get('/:workspaceId/glossary', requireWorkspaceRole('viewer'), async (req, res) => {
+    try {
+        const glossary = await getWorkspaceGlossary(req.params.workspaceId);
+        res.status(200).json({ success: true, glossary: glossary || [] });
+    } catch (error) {
+        console.error('API Error in GET /api/workspaces/:workspaceId/glossary:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while fetching the glossary.' });
+    }
+});
+
+// PUT /api/workspaces/:workspaceId/glossary
+// Replaces the workspace's glossary. Applies to audio transcribed from now on.
+router.put('/:workspaceId/glossary', requireWorkspaceRole('editor'), async (req, res) => {
+    const { glossary, error } = parseGlossary((req.body || {}).glossary);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    const updated = await setWorkspaceGlossary(req.params.workspaceId, glossary);
+    if (!updated) {
+        return res.status(500).json({ success: false, message: 'Failed to update the glossary.' });
+    }
+    res.status(200).json({ success: true, glossary });
+});
+
+// GET /api/workspaces/:workspaceId/audio-retention
+// Returns how many days the audio of the workspace's meetings is kept, unless a meeting sets its own.
+router.get('/:workspaceId/audio-retention', requireWorkspaceRole('viewer'), async (req, res) => {
+    try {
+        const retention = await getWorkspaceAudioRetention(req.params.workspaceId);
+        res.status(200).json({
+            success: true,
+            audioRetentionDays: retention ? retention.days : null,
+            defaultAudioRetentionDays: config.AUDIO_RETENTION_DAYS,
+        });
+    } catch (error) {
+        console.error('API Error in GET /api/workspaces/:workspaceId/audio-retention:', error);
+        res.status(500).json({ success: false, message: 'An unexpected error occurred while fetching the audio retention.' });
+    }
+});
+
+// PUT /api/workspaces/:workspaceId/audio-retention
+// Sets the days the audio of the workspace's meetings is kept ({ days }), or null to use the server default.
+router.put('/:workspaceId/audio-retention', requireWorkspaceRole('owner'), async (req, res) => {
+    const { days, error } = parseAudioRetentionDays((req.body || {}).days);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    const updated = await setWorkspaceAudioRetention(req.params.workspaceId, days);
+    if (!updated) {
+        return res.status(500).json({ success: false, message: 'Failed to update the audio retention.' });
+    }
+    res.status(200).json({ success: true, audioRetentionDays: days, defaultAudioRetentionDays: config.AUDIO_RETENTION_DAYS });
+});
+
+// PUT /api/workspaces/:workspaceId/meetings/:jobId
+// Shares one of the caller's meetings with the workspace.
+router.put('/:workspaceId/meetings/:jobId', requireWorkspaceRole('editor'), requireMeetingRole('viewer'), async (req, res) => {
+    // The 'owner' meeting role also covers owners of the workspace the meeting is in; only its creator may move it
+    const isMeetingOwner = req.meeting.owner && req.meeting.owner.toString() === req.user._id.toString();
+    if (!isMeetingOwner) {
+        return res.status(403).json({ success: false, message: 'Only the meeting owner can share a meeting with a workspace.' });
+    }
+
+    const shared = await shareMeeting(req.jobId, req.params.workspaceId);
+    if (!shared) {
+        return res.status(500).json({ success: false, message: `Failed to share meeting ${req.jobId}.` });
+    }
+    res.status(200).json({ success: true, message: `Meeting ${req.jobId} is now shared with the workspace.` });
+});
+
+// DELETE /api/workspaces/:workspaceId/meetings/:jobId
+// Stops sharing a meeting with the workspace. Allowed for the meeting's owner and workspace owners.
+router.delete('/:workspaceId/meetings/:jobId', requireWorkspaceRole('viewer'), requireMeetingRole('viewer'), async (req, res) => {
+    if (!req.meeting.workspaceId || req.meeting.workspaceId.toString() !== req.params.workspaceId) {
+        return res.status(404).json({ success: false, message: `Meeting ${req.jobId} is not shared with this workspace.` });
+    }
+    const isMeetingOwner = req.meeting.owner && req.meeting.owner.toString() === req.user._id.toString();
+    if (!isMeetingOwner && req.workspaceRole !== 'owner') {
+        return res.status(403).json({ success: false, message: 'Only the meeting owner or a workspace owner can unshare a meeting.' });
+    }
+
+    const unshared = await shareMeeting(req.jobId, null);
+    if (!unshared) {
+        return res.status(500).json({ success: false, message: `Failed to unshare meeting ${req.jobId}.` });
+    }
+    res.status(200).json({ success: true, message: `Meeting ${req.jobId} is no longer shared with the workspace.` });
+});
+
+module.exports = router;
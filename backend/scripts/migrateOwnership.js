@@ -0,0 +1,90 @@
+// scripts/migrateOwnership.js
+//
+// Brings meetings recorded before accounts and workspaces up to date:
+//
+//   node scripts/migrateOwnership.js [--owner <email>]
+//
+// Meetings without an owner can't be opened by anyone, so --owner gives them to that user. Then
+// every meeting's owner, workspace and metadata are written onto its Qdrant points, which searches
+// filter on, and the payload indexes missing from existing collections are created. Safe to run
+// more than once.
+
+const mongoose = require('mongoose');
+const {
+    connectToMongo,
+    assignOwnerlessMeetings,
+    listAccessibleJobIds,
+    getMeetingInfo,
+} = require('../db/mongoutils/transcription.db');
+const { findUserByEmail } = require('../db/mongoutils/user.db');
+const { createTranCollection, setTranscriptionPayload } = require('../controllers/embedding/embedTranscriptions');
+const { createChatCollection, setChatPayload } = require('../controllers/embedding/embedChat');
+const { buildMeetingPayload } = require('../controllers/queryVectordb');
+
+/**
+ * Reads the --owner option.
+ * @param {Array<string>} args - The command line arguments.
+ * @returns {string|null} The email, or null if the option isn't given.
+ */
+const readOwnerEmail = (args) => {
+    const index = args.indexOf('--owner');
+    if (index === -1) return null;
+    const email = args[index + 1];
+    if (!email || email.startsWith('--')) {
+        throw new Error('--owner needs the email of the user to give meetings without an owner to.');
+    }
+    return email;
+};
+
+/**
+ * Runs the migration.
+ * @returns {Promise<boolean>} True if every meeting was migrated.
+ */
+const migrate = async () => {
+    const ownerEmail = readOwnerEmail(process.argv.slice(2));
+    await connectToMongo();
+
+    // Creates the payload indexes the collections are missing
+    await createTranCollection();
+    await createChatCollection();
+
+    if (ownerEmail) {
+        const owner = await findUserByEmail(ownerEmail);
+        if (!owner) throw new Error(`No user has the email ${ownerEmail}. Sign up first.`);
+        const assigned = await assignOwnerlessMeetings(owner._id);
+        console.log(`Migration: Gave ${assigned} meetings without an owner to ${owner.email}.`);
+    }
+
+    const jobIds = await listAccessibleJobIds({});
+    const failed = [];
+    for (const jobId of jobIds) {
+        const meeting = await getMeetingInfo(jobId);
+        if (!meeting) continue;
+        const payload = buildMeetingPayload(meeting);
+        const results = await Promise.all([
+            setTranscriptionPayload(jobId, payload),
+            setChatPayload(jobId, payload),
+        ]);
+        if (!results.every(result => result.success)) failed.push(jobId);
+    }
+    console.log(`Migration: Updated the Qdrant payloads of ${jobIds.length - failed.length} of ${jobIds.length} meetings.`);
+    if (failed.length > 0) {
+        console.error(`Migration: Failed for ${failed.join(', ')}. Run the migration again to retry them.`);
+    }
+
+    const ownerless = await listAccessibleJobIds({ owner: null });
+    if (ownerless.length > 0) {
+        console.warn(`Migration: ${ownerless.length} meetings still have no owner. Run again with --owner <email> to assign them.`);
+    }
+    return failed.length === 0;
+};
+
+migrate()
+    .then((succeeded) => {
+        process.exitCode = succeeded ? 0 : 1;
+    })
+    .catch((error) => {
+        console.error('Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
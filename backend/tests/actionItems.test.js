@@ -0,0 +1,48 @@
+// tests/actionItems.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseActionItemUpdate } = require('../utils/actionItems');
+
+describe('parseActionItemUpdate', () => {
+    it('picks and trims the editable fields', () => {
+        const { updates, error } = parseActionItemUpdate({
+            description: '  Send the revised quote ',
+            assignee: ' Priya ',
+            dueDate: 'Friday',
+            status: 'done',
+            jobId: 'someone-elses-meeting',
+        });
+        assert.equal(error, null);
+        assert.deepEqual(updates, { description: 'Send the revised quote', assignee: 'Priya', dueDate: 'Friday', status: 'done' });
+    });
+
+    it('leaves out fields that are absent', () => {
+        assert.deepEqual(parseActionItemUpdate({ status: 'open' }), { updates: { status: 'open' }, error: null });
+        assert.deepEqual(parseActionItemUpdate(), { updates: {}, error: null });
+    });
+
+    it('clears assignee and dueDate with null or an empty string', () => {
+        const { updates } = parseActionItemUpdate({ assignee: null, dueDate: '   ' });
+        assert.deepEqual(updates, { assignee: null, dueDate: null });
+    });
+
+    it('rejects an empty or non-string description', () => {
+        assert.match(parseActionItemUpdate({ description: '  ' }).error, /description/);
+        assert.match(parseActionItemUpdate({ description: null }).error, /description/);
+        assert.match(parseActionItemUpdate({ description: { $set: 'x' } }).error, /description/);
+    });
+
+    it('rejects non-string assignees and due dates', () => {
+        assert.match(parseActionItemUpdate({ assignee: 42 }).error, /assignee/);
+        assert.match(parseActionItemUpdate({ dueDate: ['Friday'] }).error, /dueDate/);
+    });
+
+    it('rejects text over 500 characters', () => {
+        assert.match(parseActionItemUpdate({ description: 'x'.repeat(501) }).error, /at most 500/);
+        assert.equal(parseActionItemUpdate({ assignee: 'x'.repeat(500) }).error, null);
+    });
+
+    it('rejects unknown statuses', () => {
+        assert.match(parseActionItemUpdate({ status: 'closed' }).error, /status must be one of: open, done/);
+    });
+});
@@ -0,0 +1,146 @@
+// tests/audioProcessing.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planSegments, toSourceTime, parseSilences, speechIntervals } = require('../controllers/audioProcessing');
+
+// The owned ranges of a plan, relative to the start of the recording
+const ownedRanges = (segments) => segments.map(segment => [
+    segment.startSeconds + segment.keepFromSeconds,
+    segment.startSeconds + segment.keepUntilSeconds,
+]);
+
+describe('planSegments', () => {
+    it('keeps a recording that fits in one segment whole', () => {
+        assert.deepEqual(planSegments(100, 600, 5), [
+            { index: 0, startSeconds: 0, durationSeconds: 100, keepFromSeconds: 0, keepUntilSeconds: 100 },
+        ]);
+        assert.equal(planSegments(600, 600, 5).length, 1);
+    });
+
+    it('overlaps consecutive segments and splits each overlap between them', () => {
+        const segments = planSegments(1500, 600, 5);
+        assert.deepEqual(segments.map(s => [s.startSeconds, s.durationSeconds]), [[0, 600], [595, 600], [1190, 310]]);
+        assert.deepEqual(ownedRanges(segments), [[0, 597.5], [597.5, 1192.5], [1192.5, 1500]]);
+    });
+
+    it('covers the whole recording without gaps or repeats', () => {
+        for (const duration of [601, 1195, 1196, 3600, 4 * 60 * 60]) {
+            const segments = planSegments(duration, 600, 5);
+            const ranges = ownedRanges(segments);
+            assert.equal(ranges[0][0], 0);
+            assert.equal(ranges[ranges.length - 1][1], duration);
+            for (let i = 1; i < ranges.length; i++) {
+                assert.equal(ranges[i][0], ranges[i - 1][1]);
+            }
+            for (const segment of segments) {
+                assert.ok(segment.durationSeconds <= 600);
+                assert.ok(segment.startSeconds + segment.durationSeconds <= duration);
+            }
+            assert.deepEqual(segments.map(s => s.index), segments.map((_, i) => i));
+        }
+    });
+
+    it('does not add a segment made only of overlap', () => {
+        const segments = planSegments(1195, 600, 5);
+        assert.equal(segments.length, 2);
+        assert.equal(segments[1].startSeconds + segments[1].durationSeconds, 1195);
+    });
+});
+
+describe('toSourceTime', () => {
+    // 0-3s of the prepared audio came from 2-5s of the source, 3-8s from 10-15s
+    const timeMap = [
+        { start: 0, sourceStart: 2, length: 3 },
+        { start: 3, sourceStart: 10, length: 5 },
+    ];
+
+    it('returns the time unchanged when nothing was cut', () => {
+        assert.equal(toSourceTime(4.2), 4.2);
+        assert.equal(toSourceTime(4.2, []), 4.2);
+    });
+
+    it('maps a time to the stretch of source audio it came from', () => {
+        assert.equal(toSourceTime(0, timeMap), 2);
+        assert.equal(toSourceTime(1, timeMap), 3);
+        assert.equal(toSourceTime(4.5, timeMap), 11.5);
+    });
+
+    it('maps the boundary between stretches to the start of the later one', () => {
+        assert.equal(toSourceTime(3, timeMap), 10);
+    });
+
+    it('clamps times past the end to the end of the last stretch', () => {
+        assert.equal(toSourceTime(9, timeMap), 15);
+    });
+});
+
+describe('parseSilences', () => {
+    const log = (...lines) => ['Input #0, matroska,webm, from \'pipe:\':', ...lines, 'size=N/A time=00:00:30.00'].join('\n');
+
+    it('pairs each silence_start with the silence_end after it', () => {
+        const stderr = log(
+            '[silencedetect @ 0x1] silence_start: 4.5',
+            '[silencedetect @ 0x1] silence_end: 9.25 | silence_duration: 4.75',
+            '[silencedetect @ 0x1] silence_start: 15',
+            '[silencedetect @ 0x1] silence_end: 20 | silence_duration: 5',
+        );
+
+        assert.deepEqual(parseSilences(stderr, 30), [{ start: 4.5, end: 9.25 }, { start: 15, end: 20 }]);
+    });
+
+    it('reads silence at the very start, clamping the slightly negative start ffmpeg reports', () => {
+        const stderr = log(
+            '[silencedetect @ 0x1] silence_start: -0.0213333',
+            '[silencedetect @ 0x1] silence_end: 3.2 | silence_duration: 3.22',
+        );
+
+        assert.deepEqual(parseSilences(stderr, 30), [{ start: 0, end: 3.2 }]);
+    });
+
+    it('closes a silence_start with no silence_end at the end of the audio', () => {
+        const stderr = log(
+            '[silencedetect @ 0x1] silence_start: 2',
+            '[silencedetect @ 0x1] silence_end: 5 | silence_duration: 3',
+            '[silencedetect @ 0x1] silence_start: 26.5',
+        );
+
+        assert.deepEqual(parseSilences(stderr, 30), [{ start: 2, end: 5 }, { start: 26.5, end: 30 }]);
+    });
+
+    it('reads fully silent input as one silence', () => {
+        assert.deepEqual(parseSilences(log('[silencedetect @ 0x1] silence_start: 0'), 30), [{ start: 0, end: 30 }]);
+    });
+
+    it('finds nothing in a log without silences', () => {
+        assert.deepEqual(parseSilences(log(), 30), []);
+        assert.deepEqual(parseSilences('', 30), []);
+    });
+});
+
+describe('speechIntervals', () => {
+    it('keeps the whole audio when there is no silence', () => {
+        assert.deepEqual(speechIntervals([], 30), [{ start: 0, end: 30 }]);
+    });
+
+    it('pads speech into the silences around it', () => {
+        assert.deepEqual(speechIntervals([{ start: 10, end: 20 }], 30), [
+            { start: 0, end: 10.3 },
+            { start: 19.7, end: 30 },
+        ]);
+    });
+
+    it('drops leading and trailing silence', () => {
+        assert.deepEqual(speechIntervals([{ start: 0, end: 5 }, { start: 25, end: 30 }], 30), [
+            { start: 4.7, end: 25.3 },
+        ]);
+    });
+
+    it('merges speech separated by a silence shorter than the padding', () => {
+        assert.deepEqual(speechIntervals([{ start: 10, end: 10.4 }], 30), [{ start: 0, end: 30 }]);
+    });
+
+    it('keeps nothing of fully silent input', () => {
+        assert.deepEqual(speechIntervals([{ start: 0, end: 30 }], 30), []);
+        assert.deepEqual(speechIntervals(parseSilences('[silencedetect @ 0x1] silence_start: -0.01', 30), 30), []);
+    });
+});
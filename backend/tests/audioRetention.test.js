@@ -0,0 +1,106 @@
+// tests/audioRetention.test.js
+require('./helpers/testEnv');
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAudioRetentionDays, getAudioExpiry } = require('../utils/audioRetention');
+
+// The purge job binds these when it is loaded, so they are replaced first
+const transcriptionDb = require('../db/mongoutils/transcription.db');
+const workspaceDb = require('../db/mongoutils/workspace.db');
+const audioDb = require('../db/cloudinary-utils/audio.db');
+const listMeetingsWithKeptAudio = mock.method(transcriptionDb, 'listMeetingsWithKeptAudio', async () => []);
+const removeKeptAudio = mock.method(transcriptionDb, 'removeKeptAudio', async () => true);
+const resolveAudioRetentionDays = mock.method(workspaceDb, 'resolveAudioRetentionDays', async () => 0);
+const deleteAudioFile = mock.method(audioDb, 'deleteAudioFile', async () => {});
+
+const { purgeExpiredAudio } = require('../controllers/audioRetention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('parseAudioRetentionDays', () => {
+    it('accepts whole days from 0 to 365', () => {
+        assert.deepEqual(parseAudioRetentionDays(0), { days: 0, error: null });
+        assert.deepEqual(parseAudioRetentionDays(30), { days: 30, error: null });
+        assert.deepEqual(parseAudioRetentionDays(365), { days: 365, error: null });
+    });
+
+    it('accepts null to fall back to the workspace or server setting', () => {
+        assert.deepEqual(parseAudioRetentionDays(null), { days: null, error: null });
+    });
+
+    it('rejects anything else', () => {
+        for (const value of [-1, 366, 1.5, '7', undefined, {}]) {
+            assert.match(parseAudioRetentionDays(value).error, /whole number from 0 to 365/);
+        }
+    });
+});
+
+describe('getAudioExpiry', () => {
+    it('counts the days from the start of the meeting', () => {
+        const createdAt = new Date('2026-01-01T10:00:00Z');
+        assert.deepEqual(getAudioExpiry(createdAt, 7), new Date('2026-01-08T10:00:00Z'));
+        assert.deepEqual(getAudioExpiry(createdAt.toISOString(), 1), new Date('2026-01-02T10:00:00Z'));
+    });
+
+    it('returns null when audio is not kept', () => {
+        assert.equal(getAudioExpiry(new Date(), 0), null);
+        assert.equal(getAudioExpiry(new Date(), null), null);
+    });
+});
+
+describe('purgeExpiredAudio', () => {
+    const keptMeeting = (jobId, ageDays, fields = {}) => ({
+        jobId,
+        createdAt: new Date(Date.now() - ageDays * DAY_MS),
+        audioFiles: [{ fileId: `${jobId}-a` }, { fileId: `${jobId}-b` }],
+        ...fields,
+    });
+
+    beforeEach(() => {
+        removeKeptAudio.mock.resetCalls();
+        deleteAudioFile.mock.resetCalls();
+        deleteAudioFile.mock.mockImplementation(async () => {});
+    });
+
+    it('purges meetings past their retention and keeps the rest', async () => {
+        listMeetingsWithKeptAudio.mock.mockImplementationOnce(async () => [
+            keptMeeting('expired', 10),
+            keptMeeting('current', 2),
+        ]);
+        resolveAudioRetentionDays.mock.mockImplementation(async () => 7);
+
+        assert.equal(await purgeExpiredAudio(), 1);
+        assert.deepEqual(deleteAudioFile.mock.calls.map(call => call.arguments[0]), ['expired-a', 'expired-b']);
+        assert.deepEqual(removeKeptAudio.mock.calls[0].arguments, ['expired', ['expired-a', 'expired-b'], undefined]);
+    });
+
+    it('purges audio whose retention was turned off', async () => {
+        listMeetingsWithKeptAudio.mock.mockImplementationOnce(async () => [keptMeeting('turned-off', 0.5)]);
+        resolveAudioRetentionDays.mock.mockImplementation(async () => 0);
+
+        assert.equal(await purgeExpiredAudio(), 1);
+        assert.equal(removeKeptAudio.mock.calls[0].arguments[0], 'turned-off');
+    });
+
+    it('also deletes the playback file', async () => {
+        listMeetingsWithKeptAudio.mock.mockImplementationOnce(async () => [
+            keptMeeting('played', 10, { playbackAudio: { fileId: 'played-playback' } }),
+        ]);
+        resolveAudioRetentionDays.mock.mockImplementation(async () => 1);
+
+        await purgeExpiredAudio();
+        assert.ok(deleteAudioFile.mock.calls.some(call => call.arguments[0] === 'played-playback'));
+        assert.deepEqual(removeKeptAudio.mock.calls[0].arguments, ['played', ['played-a', 'played-b'], 'played-playback']);
+    });
+
+    it('keeps files that failed to delete recorded, so the next run retries them', async () => {
+        listMeetingsWithKeptAudio.mock.mockImplementationOnce(async () => [keptMeeting('flaky', 10)]);
+        resolveAudioRetentionDays.mock.mockImplementation(async () => 1);
+        deleteAudioFile.mock.mockImplementation(async (fileId) => {
+            if (fileId === 'flaky-b') throw new Error('Cloudinary is down');
+        });
+
+        await purgeExpiredAudio();
+        assert.deepEqual(removeKeptAudio.mock.calls[0].arguments, ['flaky', ['flaky-a'], undefined]);
+    });
+});
@@ -0,0 +1,98 @@
+// tests/audioUpload.test.js
+require('./helpers/testEnv');
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// The middleware binds these when it is loaded, so they are replaced first
+const transcriptionDb = require('../db/mongoutils/transcription.db');
+const workspaceDb = require('../db/mongoutils/workspace.db');
+const getMeetingInfo = mock.method(transcriptionDb, 'getMeetingInfo', async () => null);
+mock.method(workspaceDb, 'getWorkspaceRole', async () => null);
+
+const audioRoutes = require('../routes/audioRoutes');
+
+const USER = { _id: 'aaaaaaaaaaaaaaaaaaaaaaaa' };
+const OTHER_USER_ID = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+
+describe('POST /api/audios', () => {
+    let server;
+    let baseUrl;
+    let uploadRoot;
+    let previousTmpDir;
+
+    before(async () => {
+        // Uploads go to os.tmpdir(), so a directory of our own shows whether anything was written
+        previousTmpDir = process.env.TMPDIR;
+        uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'upload_test_'));
+        process.env.TMPDIR = uploadRoot;
+
+        const app = express();
+        app.use((req, res, next) => {
+            req.user = USER;
+            next();
+        });
+        app.use('/api/audios', audioRoutes);
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        if (previousTmpDir === undefined) delete process.env.TMPDIR;
+        else process.env.TMPDIR = previousTmpDir;
+        fs.rmSync(uploadRoot, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        getMeetingInfo.mock.resetCalls();
+    });
+
+    const postAudio = (query, fields = {}) => {
+        const form = new FormData();
+        for (const [name, value] of Object.entries(fields)) form.append(name, value);
+        form.append('audio', new Blob([Buffer.alloc(4096)], { type: 'audio/webm' }), 'chunk.webm');
+        return fetch(`${baseUrl}/api/audios${query}`, { method: 'POST', body: form });
+    };
+
+    it('turns away a user without access before receiving the file', async () => {
+        getMeetingInfo.mock.mockImplementationOnce(async () => ({ jobId: 'job-1', owner: OTHER_USER_ID }));
+
+        const response = await postAudio('?jobId=job-1');
+
+        assert.equal(response.status, 403);
+        assert.deepEqual(getMeetingInfo.mock.calls[0].arguments, ['job-1']);
+        assert.deepEqual(fs.readdirSync(uploadRoot), []);
+    });
+
+    it('turns away a completed meeting before receiving the file', async () => {
+        getMeetingInfo.mock.mockImplementationOnce(async () => ({ jobId: 'job-1', owner: USER._id, status: 'completed' }));
+
+        const response = await postAudio('?jobId=job-1');
+
+        assert.equal(response.status, 409);
+        assert.deepEqual(fs.readdirSync(uploadRoot), []);
+    });
+
+    it('ignores a jobId in the form when checking access', async () => {
+        const response = await postAudio('', { jobId: 'job-1' });
+
+        assert.equal(response.status, 400);
+        assert.equal(getMeetingInfo.mock.callCount(), 0);
+        assert.deepEqual(fs.readdirSync(uploadRoot), []);
+    });
+
+    it('rejects a form jobId that differs from the meeting that was checked', async () => {
+        getMeetingInfo.mock.mockImplementationOnce(async () => ({ jobId: 'job-1', owner: USER._id, status: 'in-progress' }));
+
+        const response = await postAudio('?jobId=job-1', { jobId: 'job-2' });
+
+        assert.equal(response.status, 400);
+        assert.match(await response.text(), /query string/);
+    });
+});
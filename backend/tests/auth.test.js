@@ -0,0 +1,211 @@
+// tests/auth.test.js
+require('./helpers/testEnv');
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockRequest, runMiddleware } = require('./helpers/http');
+
+// The middleware binds these when it is loaded, so they are replaced first
+const userDb = require('../db/mongoutils/user.db');
+const apiKeyDb = require('../db/mongoutils/apiKey.db');
+const transcriptionDb = require('../db/mongoutils/transcription.db');
+const workspaceDb = require('../db/mongoutils/workspace.db');
+const getSessionUser = mock.method(userDb, 'getSessionUser', async () => null);
+const getApiKeyUser = mock.method(apiKeyDb, 'getApiKeyUser', async () => null);
+const getMeetingInfo = mock.method(transcriptionDb, 'getMeetingInfo', async () => null);
+const getWorkspaceRole = mock.method(workspaceDb, 'getWorkspaceRole', async () => null);
+
+const {
+    getSessionToken,
+    requireAuth,
+    requireScope,
+    requireSession,
+    requireMeetingRole,
+} = require('../middleware/auth');
+
+const USER = { _id: 'aaaaaaaaaaaaaaaaaaaaaaaa', email: 'owner@example.com' };
+const OTHER_USER = { _id: 'bbbbbbbbbbbbbbbbbbbbbbbb', email: 'member@example.com' };
+
+beforeEach(() => {
+    getSessionUser.mock.resetCalls();
+    getApiKeyUser.mock.resetCalls();
+    getMeetingInfo.mock.resetCalls();
+    getWorkspaceRole.mock.resetCalls();
+});
+
+describe('getSessionToken', () => {
+    it('prefers the Authorization header over the cookie', () => {
+        const req = mockRequest({
+            headers: { authorization: 'Bearer header-token' },
+            cookies: { sessionToken: 'cookie-token' },
+        });
+        assert.equal(getSessionToken(req), 'header-token');
+    });
+
+    it('falls back to the sessionToken cookie', () => {
+        assert.equal(getSessionToken(mockRequest({ cookies: { sessionToken: 'cookie-token' } })), 'cookie-token');
+    });
+
+    it('returns null without a token', () => {
+        assert.equal(getSessionToken(mockRequest({ headers: { authorization: 'Basic abc' } })), null);
+    });
+});
+
+describe('requireAuth', () => {
+    it('rejects requests without a token', async () => {
+        const { res, nextCalled } = await runMiddleware(requireAuth, mockRequest());
+        assert.equal(res.statusCode, 401);
+        assert.equal(nextCalled, false);
+    });
+
+    it('rejects unknown or expired sessions', async () => {
+        getSessionUser.mock.mockImplementationOnce(async () => null);
+        const { res, nextCalled } = await runMiddleware(requireAuth, mockRequest({ cookies: { sessionToken: 'stale' } }));
+        assert.equal(res.statusCode, 401);
+        assert.equal(nextCalled, false);
+        assert.equal(getSessionUser.mock.calls[0].arguments[0], 'stale');
+    });
+
+    it('sets req.user for a valid session', async () => {
+        getSessionUser.mock.mockImplementationOnce(async () => USER);
+        const req = mockRequest({ headers: { authorization: 'Bearer valid' } });
+        const { nextCalled } = await runMiddleware(requireAuth, req);
+        assert.equal(nextCalled, true);
+        assert.equal(req.user, USER);
+        assert.equal(req.apiKey, undefined);
+    });
+
+    it('resolves tokens with the API key prefix as API keys', async () => {
+        const apiKey = { scopes: ['chat'] };
+        getApiKeyUser.mock.mockImplementationOnce(async () => ({ user: USER, apiKey }));
+        const req = mockRequest({ headers: { authorization: 'Bearer cz_key' } });
+        const { nextCalled } = await runMiddleware(requireAuth, req);
+        assert.equal(nextCalled, true);
+        assert.equal(req.user, USER);
+        assert.equal(req.apiKey, apiKey);
+        assert.equal(getSessionUser.mock.callCount(), 0);
+    });
+
+    it('rejects revoked API keys', async () => {
+        getApiKeyUser.mock.mockImplementationOnce(async () => null);
+        const { res, nextCalled } = await runMiddleware(requireAuth, mockRequest({ headers: { authorization: 'Bearer cz_revoked' } }));
+        assert.equal(res.statusCode, 401);
+        assert.equal(nextCalled, false);
+    });
+});
+
+describe('requireScope', () => {
+    it('lets session logins through', async () => {
+        const { nextCalled } = await runMiddleware(requireScope('upload'), mockRequest({ user: USER }));
+        assert.equal(nextCalled, true);
+    });
+
+    it('lets API keys with the scope through', async () => {
+        const req = mockRequest({ user: USER, apiKey: { scopes: ['upload', 'chat'] } });
+        const { nextCalled } = await runMiddleware(requireScope('chat'), req);
+        assert.equal(nextCalled, true);
+    });
+
+    it('rejects API keys without the scope', async () => {
+        const req = mockRequest({ user: USER, apiKey: { scopes: ['read-transcripts'] } });
+        const { res, nextCalled } = await runMiddleware(requireScope('upload'), req);
+        assert.equal(res.statusCode, 403);
+        assert.equal(nextCalled, false);
+    });
+});
+
+describe('requireSession', () => {
+    it('rejects API keys', async () => {
+        const { res, nextCalled } = await runMiddleware(requireSession, mockRequest({ user: USER, apiKey: { scopes: [] } }));
+        assert.equal(res.statusCode, 403);
+        assert.equal(nextCalled, false);
+    });
+
+    it('lets session logins through', async () => {
+        const { nextCalled } = await runMiddleware(requireSession, mockRequest({ user: USER }));
+        assert.equal(nextCalled, true);
+    });
+});
+
+describe('requireMeetingRole', () => {
+    const ownMeeting = { jobId: 'job-1', owner: USER._id };
+    const sharedMeeting = { jobId: 'job-2', owner: OTHER_USER._id, workspaceId: 'cccccccccccccccccccccccc' };
+    const privateMeeting = { jobId: 'job-3', owner: OTHER_USER._id };
+
+    it('needs a jobId', async () => {
+        const { res, nextCalled } = await runMiddleware(requireMeetingRole('viewer'), mockRequest({ user: USER }));
+        assert.equal(res.statusCode, 400);
+        assert.equal(nextCalled, false);
+    });
+
+    it('rejects a jobId that is not a string before it reaches the database', async () => {
+        const req = mockRequest({ user: USER, body: { jobId: { $ne: null } } });
+        const { res, nextCalled } = await runMiddleware(requireMeetingRole('viewer'), req);
+        assert.equal(res.statusCode, 400);
+        assert.equal(nextCalled, false);
+        assert.equal(getMeetingInfo.mock.callCount(), 0);
+    });
+
+    it('returns 404 for unknown meetings', async () => {
+        getMeetingInfo.mock.mockImplementationOnce(async () => null);
+        const req = mockRequest({ user: USER, params: { jobId: 'missing' } });
+        const { res } = await runMiddleware(requireMeetingRole('viewer'), req);
+        assert.equal(res.statusCode, 404);
+    });
+
+    it('lets the owner do anything and sets the meeting on the request', async () => {
+        getMeetingInfo.mock.mockImplementationOnce(async () => ownMeeting);
+        const req = mockRequest({ user: USER, params: { jobId: 'job-1' } });
+        const { nextCalled } = await runMiddleware(requireMeetingRole('owner'), req);
+        assert.equal(nextCalled, true);
+        assert.equal(req.jobId, 'job-1');
+        assert.equal(req.meeting, ownMeeting);
+        assert.equal(req.meetingRole, 'owner');
+    });
+
+    it('reads the jobId from the body, query or cookie when the path has none', async () => {
+        for (const source of [{ body: { jobId: 'job-1' } }, { query: { jobId: 'job-1' } }, { cookies: { jobId: 'job-1' } }]) {
+            getMeetingInfo.mock.mockImplementationOnce(async () => ownMeeting);
+            const req = mockRequest({ user: USER, ...source });
+            const { nextCalled } = await runMiddleware(requireMeetingRole('viewer'), req);
+            assert.equal(nextCalled, true);
+            assert.equal(req.jobId, 'job-1');
+        }
+    });
+
+    it('uses the workspace role for meetings shared with a workspace', async () => {
+        getMeetingInfo.mock.mockImplementationOnce(async () => sharedMeeting);
+        getWorkspaceRole.mock.mockImplementationOnce(async () => 'editor');
+        const req = mockRequest({ user: USER, params: { jobId: 'job-2' } });
+        const { nextCalled } = await runMiddleware(requireMeetingRole('editor'), req);
+        assert.equal(nextCalled, true);
+        assert.equal(req.meetingRole, 'editor');
+        assert.deepEqual(getWorkspaceRole.mock.calls[0].arguments, [sharedMeeting.workspaceId, USER._id]);
+    });
+
+    it('rejects workspace members below the required role', async () => {
+        getMeetingInfo.mock.mockImplementationOnce(async () => sharedMeeting);
+        getWorkspaceRole.mock.mockImplementationOnce(async () => 'viewer');
+        const req = mockRequest({ user: USER, params: { jobId: 'job-2' } });
+        const { res, nextCalled } = await runMiddleware(requireMeetingRole('editor'), req);
+        assert.equal(res.statusCode, 403);
+        assert.equal(nextCalled, false);
+    });
+
+    it('rejects users who cannot see the meeting', async () => {
+        getMeetingInfo.mock.mockImplementationOnce(async () => privateMeeting);
+        const req = mockRequest({ user: USER, params: { jobId: 'job-3' } });
+        const { res, nextCalled } = await runMiddleware(requireMeetingRole('viewer'), req);
+        assert.equal(res.statusCode, 403);
+        assert.equal(nextCalled, false);
+    });
+
+    it('returns 500 when the lookup fails', async () => {
+        getMeetingInfo.mock.mockImplementationOnce(async () => {
+            throw new Error('connection lost');
+        });
+        const req = mockRequest({ user: USER, params: { jobId: 'job-1' } });
+        const { res, nextCalled } = await runMiddleware(requireMeetingRole('viewer'), req);
+        assert.equal(res.statusCode, 500);
+        assert.equal(nextCalled, false);
+    });
+});
@@ -0,0 +1,144 @@
+// tests/chunkOrder.test.js
+require('./helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkKey, chunkIndexExpressions, insertChunkPipeline } = require('../utils/chunkOrder');
+const { getMissingSequences } = require('../db/mongoutils/transcription.db');
+const { evaluateExpression, applyPipeline } = require('./helpers/aggregation');
+
+// Stores chunks one after another the way appendTranscription does, counting their duration once
+const insertChunks = (doc, chunks) => chunks.reduce((current, { text, ...position }) => applyPipeline(
+    current,
+    insertChunkPipeline('transcriptionChunks', 'transcriptionChunkOrder', text, chunkKey(position), {
+        durationSeconds: { $cond: ['$_duplicate', '$durationSeconds', { $add: [{ $ifNull: ['$durationSeconds', 0] }, 10] }] },
+    })
+), doc);
+
+describe('chunkKey', () => {
+    it('keeps the sequence number and part', () => {
+        assert.deepEqual(chunkKey({ sequence: 3, part: 1 }), { sequence: 3, part: 1 });
+        assert.deepEqual(chunkKey({ sequence: 3 }), { sequence: 3, part: 0 });
+    });
+
+    it('puts chunks without a sequence number last', () => {
+        assert.deepEqual(chunkKey({}), { sequence: Number.MAX_SAFE_INTEGER, part: 0 });
+        assert.deepEqual(chunkKey(), { sequence: Number.MAX_SAFE_INTEGER, part: 0 });
+        assert.deepEqual(chunkKey({ sequence: '2', part: 1.5 }), { sequence: Number.MAX_SAFE_INTEGER, part: 0 });
+    });
+});
+
+describe('insertChunkPipeline', () => {
+    it('keeps chunks in sequence order whatever order they arrive in', () => {
+        const doc = insertChunks({}, [
+            { text: 'two', sequence: 2 },
+            { text: 'zero', sequence: 0 },
+            { text: 'three', sequence: 3 },
+            { text: 'one', sequence: 1 },
+        ]);
+
+        assert.deepEqual(doc.transcriptionChunks, ['zero', 'one', 'two', 'three']);
+        assert.deepEqual(doc.transcriptionChunkOrder.map(entry => entry.sequence), [0, 1, 2, 3]);
+        assert.equal(doc.durationSeconds, 40);
+    });
+
+    it('orders the parts of a split upload within its sequence number', () => {
+        const doc = insertChunks({}, [
+            { text: '1.2', sequence: 1, part: 2 },
+            { text: '1.0', sequence: 1, part: 0 },
+            { text: '2.0', sequence: 2, part: 0 },
+            { text: '0.0', sequence: 0 },
+            { text: '1.1', sequence: 1, part: 1 },
+        ]);
+
+        assert.deepEqual(doc.transcriptionChunks, ['0.0', '1.0', '1.1', '1.2', '2.0']);
+        assert.deepEqual(doc.transcriptionChunkOrder, [
+            { sequence: 0, part: 0 },
+            { sequence: 1, part: 0 },
+            { sequence: 1, part: 1 },
+            { sequence: 1, part: 2 },
+            { sequence: 2, part: 0 },
+        ]);
+    });
+
+    it('stores a chunk delivered twice only once', () => {
+        const doc = insertChunks({}, [
+            { text: 'zero', sequence: 0 },
+            { text: 'one', sequence: 1 },
+            { text: 'one again', sequence: 1 },
+        ]);
+
+        assert.deepEqual(doc.transcriptionChunks, ['zero', 'one']);
+        assert.equal(doc.transcriptionChunkOrder.length, 2);
+        assert.equal(doc.durationSeconds, 20);
+        assert.deepEqual(Object.keys(doc).filter(field => field.startsWith('_')), []);
+    });
+
+    it('keeps chunks stored before the order array existed first', () => {
+        const doc = insertChunks({ transcriptionChunks: ['legacy a', 'legacy b'] }, [
+            { text: 'one', sequence: 1 },
+            { text: 'zero', sequence: 0 },
+        ]);
+
+        assert.deepEqual(doc.transcriptionChunks, ['legacy a', 'legacy b', 'zero', 'one']);
+    });
+
+    it('puts chunks without a sequence number after the others', () => {
+        const doc = insertChunks({}, [
+            { text: 'unnumbered' },
+            { text: 'five', sequence: 5 },
+        ]);
+
+        assert.deepEqual(doc.transcriptionChunks, ['five', 'unnumbered']);
+    });
+});
+
+describe('chunkIndexExpressions', () => {
+    const doc = {
+        transcriptionChunks: ['legacy', 'zero', 'two.0', 'two.1'],
+        transcriptionChunkOrder: [{ sequence: 0, part: 0 }, { sequence: 2, part: 0 }, { sequence: 2, part: 1 }],
+    };
+    const evaluate = (position) => {
+        const expressions = chunkIndexExpressions('transcriptionChunks', 'transcriptionChunkOrder', chunkKey(position));
+        return {
+            orderIndex: evaluateExpression(expressions.orderIndex, doc),
+            chunkIndex: evaluateExpression(expressions.chunkIndex, doc),
+            duplicate: evaluateExpression(expressions.duplicate, doc),
+        };
+    };
+
+    it('places a chunk after every lower sequence number and earlier part', () => {
+        assert.deepEqual(evaluate({ sequence: 1 }), { orderIndex: 1, chunkIndex: 2, duplicate: false });
+        assert.deepEqual(evaluate({ sequence: 2, part: 2 }), { orderIndex: 3, chunkIndex: 4, duplicate: false });
+        assert.deepEqual(evaluate({ sequence: 0, part: 1 }), { orderIndex: 1, chunkIndex: 2, duplicate: false });
+    });
+
+    it('recognises a chunk that is already stored', () => {
+        assert.deepEqual(evaluate({ sequence: 2, part: 1 }), { orderIndex: 2, chunkIndex: 3, duplicate: true });
+    });
+
+    it('works on a meeting with no chunks yet', () => {
+        const expressions = chunkIndexExpressions('translationChunks', 'translationChunkOrder', chunkKey({ sequence: 4 }));
+        assert.equal(evaluateExpression(expressions.chunkIndex, {}), 0);
+        assert.equal(evaluateExpression(expressions.duplicate, {}), false);
+    });
+});
+
+describe('getMissingSequences', () => {
+    it('lists the numbers below the highest one received that have not arrived', () => {
+        assert.deepEqual(getMissingSequences({ receivedSequences: [0, 3, 1, 6] }), [2, 4, 5]);
+    });
+
+    it('finds no gap when every number arrived, in any order', () => {
+        assert.deepEqual(getMissingSequences({ receivedSequences: [2, 0, 1] }), []);
+        assert.deepEqual(getMissingSequences({ receivedSequences: [0] }), []);
+    });
+
+    it('counts from 0', () => {
+        assert.deepEqual(getMissingSequences({ receivedSequences: [2] }), [0, 1]);
+    });
+
+    it('finds nothing missing before any upload', () => {
+        assert.deepEqual(getMissingSequences({ receivedSequences: [] }), []);
+        assert.deepEqual(getMissingSequences({}), []);
+    });
+});
@@ -0,0 +1,96 @@
+// tests/finalize.test.js
+require('./helpers/testEnv');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Meeting = require('../db/models/meeting.model');
+const { finalizeMeeting, recordChunkHandled, incrementChunksQueued } = require('../db/mongoutils/transcription.db');
+const { matchesFilter } = require('./helpers/aggregation');
+
+// One meeting held in memory, updated the way MongoDB would for the queries under test
+let stored;
+
+const applyUpdate = (doc, update) => {
+    const { $inc = {}, $set = {}, ...fields } = update;
+    const next = { ...doc, ...fields, ...$set };
+    for (const [field, amount] of Object.entries($inc)) next[field] = (next[field] || 0) + amount;
+    return next;
+};
+
+const update = (filter, changes) => {
+    if (!stored || !matchesFilter(stored, filter)) return null;
+    stored = applyUpdate(stored, changes);
+    return stored;
+};
+
+beforeEach(() => {
+    stored = { jobId: 'job-1', status: 'in-progress', chunksQueued: 0, chunksProcessed: 0, chunksFailed: 0 };
+    mock.method(Meeting, 'findOneAndUpdate', async (filter, changes) => update(filter, changes));
+    mock.method(Meeting, 'updateOne', async (filter, changes) => {
+        const updated = update(filter, changes);
+        return { matchedCount: updated ? 1 : 0, modifiedCount: updated ? 1 : 0 };
+    });
+    mock.method(Meeting, 'findOne', async (filter) => (stored && matchesFilter(stored, filter) ? stored : null));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('finalizeMeeting', () => {
+    it('completes a meeting straight away when nothing is queued', async () => {
+        assert.equal(await finalizeMeeting('job-1'), 'completed');
+        assert.equal(stored.status, 'completed');
+    });
+
+    it('waits for chunks that are still queued', async () => {
+        await incrementChunksQueued('job-1');
+        await incrementChunksQueued('job-1');
+
+        assert.equal(await finalizeMeeting('job-1'), 'finalizing');
+        assert.equal(stored.status, 'finalizing');
+    });
+
+    it('completes the meeting with the last chunk handled', async () => {
+        await incrementChunksQueued('job-1');
+        await incrementChunksQueued('job-1');
+        await finalizeMeeting('job-1');
+
+        assert.equal(await recordChunkHandled('job-1', true), false);
+        assert.equal(stored.status, 'finalizing');
+        assert.equal(await recordChunkHandled('job-1', true), true);
+        assert.equal(stored.status, 'completed');
+        assert.equal(stored.chunksProcessed, 2);
+    });
+
+    it('counts failed chunks as handled', async () => {
+        await incrementChunksQueued('job-1');
+        await incrementChunksQueued('job-1');
+        await finalizeMeeting('job-1');
+
+        await recordChunkHandled('job-1', false);
+        assert.equal(await recordChunkHandled('job-1', true), true);
+        assert.deepEqual([stored.chunksProcessed, stored.chunksFailed, stored.status], [1, 1, 'completed']);
+    });
+
+    it('does not complete a meeting that is still recording', async () => {
+        await incrementChunksQueued('job-1');
+
+        assert.equal(await recordChunkHandled('job-1', true), false);
+        assert.equal(stored.status, 'in-progress');
+    });
+
+    it('does not complete a meeting that is being deleted', async () => {
+        stored.deletingAt = new Date();
+
+        assert.equal(await finalizeMeeting('job-1'), 'finalizing');
+        assert.equal(stored.status, 'finalizing');
+    });
+
+    it('returns the current status when the meeting was already stopped', async () => {
+        stored.status = 'completed';
+        assert.equal(await finalizeMeeting('job-1'), 'completed');
+
+        stored = null;
+        assert.equal(await finalizeMeeting('job-1'), null);
+    });
+});
@@ -0,0 +1,120 @@
+// tests/glossary.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseGlossary,
+    mergeGlossaries,
+    buildTranscriptionPrompt,
+    applyGlossary,
+} = require('../utils/glossary');
+
+describe('parseGlossary', () => {
+    it('trims terms and drops empty, duplicate and identical variants', () => {
+        const { glossary, error } = parseGlossary([
+            { term: ' Concize ', variants: ['concise', ' con size ', 'concise', '', 'Concize'] },
+            { term: 'Qdrant' },
+        ]);
+        assert.equal(error, null);
+        assert.deepEqual(glossary, [
+            { term: 'Concize', variants: ['concise', 'con size'] },
+            { term: 'Qdrant', variants: [] },
+        ]);
+    });
+
+    it('accepts an empty glossary', () => {
+        assert.deepEqual(parseGlossary([]), { glossary: [], error: null });
+    });
+
+    it('rejects anything but an array', () => {
+        assert.match(parseGlossary({ term: 'Concize' }).error, /must be an array/);
+        assert.match(parseGlossary(null).error, /must be an array/);
+    });
+
+    it('rejects entries without a usable term', () => {
+        assert.match(parseGlossary([{ variants: ['x'] }]).error, /needs a term/);
+        assert.match(parseGlossary([{ term: '   ' }]).error, /needs a term/);
+        assert.match(parseGlossary([null]).error, /needs a term/);
+        assert.match(parseGlossary([{ term: 'x'.repeat(101) }]).error, /needs a term/);
+    });
+
+    it('rejects invalid variants', () => {
+        assert.match(parseGlossary([{ term: 'Concize', variants: 'concise' }]).error, /variants of Concize/);
+        assert.match(parseGlossary([{ term: 'Concize', variants: [42] }]).error, /variants of Concize/);
+        const tooMany = Array.from({ length: 11 }, (_, i) => `v${i}`);
+        assert.match(parseGlossary([{ term: 'Concize', variants: tooMany }]).error, /at most 10/);
+    });
+
+    it('rejects a term listed twice, ignoring case', () => {
+        assert.match(parseGlossary([{ term: 'Qdrant' }, { term: 'qdrant' }]).error, /more than once/);
+    });
+
+    it('rejects more than 200 entries', () => {
+        const entries = Array.from({ length: 201 }, (_, i) => ({ term: `term${i}` }));
+        assert.match(parseGlossary(entries).error, /at most 200/);
+    });
+});
+
+describe('mergeGlossaries', () => {
+    it('lets the later glossary win for a term in both, ignoring case', () => {
+        const workspace = [{ term: 'Qdrant', variants: ['quadrant'] }, { term: 'Groq', variants: ['grok'] }];
+        const meeting = [{ term: 'QDRANT', variants: ['q-drant'] }];
+        assert.deepEqual(mergeGlossaries(workspace, meeting), [
+            { term: 'QDRANT', variants: ['q-drant'] },
+            { term: 'Groq', variants: ['grok'] },
+        ]);
+    });
+
+    it('skips missing glossaries', () => {
+        assert.deepEqual(mergeGlossaries(undefined, [{ term: 'Groq' }], null), [{ term: 'Groq', variants: [] }]);
+    });
+});
+
+describe('buildTranscriptionPrompt', () => {
+    it('lists the terms', () => {
+        assert.equal(buildTranscriptionPrompt([{ term: 'Concize' }, { term: 'Qdrant' }]), 'Glossary: Concize, Qdrant.');
+    });
+
+    it('returns undefined for an empty glossary', () => {
+        assert.equal(buildTranscriptionPrompt([]), undefined);
+        assert.equal(buildTranscriptionPrompt(), undefined);
+    });
+
+    it('stops adding terms before the prompt gets too long for Whisper', () => {
+        const glossary = Array.from({ length: 100 }, (_, i) => ({ term: `term-number-${i}` }));
+        const prompt = buildTranscriptionPrompt(glossary);
+        assert.ok(prompt.length < 700);
+        assert.ok(prompt.startsWith('Glossary: term-number-0, term-number-1,'));
+        assert.ok(!prompt.includes('term-number-99'));
+    });
+});
+
+describe('applyGlossary', () => {
+    const glossary = [
+        { term: 'Concize', variants: ['concise', 'con size'] },
+        { term: 'C++', variants: ['c plus plus'] },
+    ];
+
+    it('replaces variants with the term, ignoring case', () => {
+        assert.equal(applyGlossary('We use Concise and CON SIZE.', glossary), 'We use Concize and Concize.');
+    });
+
+    it('only replaces whole words', () => {
+        assert.equal(applyGlossary('Be concisely conciser.', glossary), 'Be concisely conciser.');
+    });
+
+    it('treats variants as plain text and inserts terms literally', () => {
+        assert.equal(applyGlossary('Written in c plus plus.', glossary), 'Written in C++.');
+        assert.equal(applyGlossary('a.b', [{ term: '$&', variants: ['a.b'] }]), '$&');
+        assert.equal(applyGlossary('axb', [{ term: 'X', variants: ['a.b'] }]), 'axb');
+    });
+
+    it('matches words with accents and other scripts as whole words', () => {
+        assert.equal(applyGlossary('Café concise, naïve', glossary), 'Café Concize, naïve');
+        assert.equal(applyGlossary('éconcise', glossary), 'éconcise');
+    });
+
+    it('leaves empty text alone', () => {
+        assert.equal(applyGlossary('', glossary), '');
+        assert.equal(applyGlossary(undefined, glossary), undefined);
+    });
+});
@@ -0,0 +1,99 @@
+// tests/helpers/aggregation.js
+// Runs MongoDB update pipelines and query filters on plain objects, for testing them without a
+// database. Only the stages and operators the code under test uses are supported.
+
+const OPERATORS = {
+    $literal: (value) => value,
+    $ifNull: ([value, fallback], evaluate) => evaluate(value) ?? evaluate(fallback),
+    $size: (value, evaluate) => evaluate(value).length,
+    $filter: ({ input, as, cond }, evaluate, vars) =>
+        evaluate(input).filter(item => evaluateExpression(cond, evaluate.doc, { ...vars, [as]: item })),
+    $and: (values, evaluate) => values.every(value => evaluate(value)),
+    $or: (values, evaluate) => values.some(value => evaluate(value)),
+    $eq: ([a, b], evaluate) => evaluate(a) === evaluate(b),
+    $lt: ([a, b], evaluate) => evaluate(a) < evaluate(b),
+    $gt: ([a, b], evaluate) => evaluate(a) > evaluate(b),
+    $gte: ([a, b], evaluate) => evaluate(a) >= evaluate(b),
+    $add: (values, evaluate) => values.reduce((sum, value) => sum + evaluate(value), 0),
+    $subtract: ([a, b], evaluate) => evaluate(a) - evaluate(b),
+    $max: (values, evaluate) => Math.max(...values.map(value => evaluate(value))),
+    $cond: ([condition, then, otherwise], evaluate) => (evaluate(condition) ? evaluate(then) : evaluate(otherwise)),
+    $concatArrays: (values, evaluate) => values.flatMap(value => evaluate(value)),
+    $slice: ([array, a, b], evaluate) => {
+        const items = evaluate(array);
+        return b === undefined ? items.slice(0, evaluate(a)) : items.slice(evaluate(a), evaluate(a) + evaluate(b));
+    },
+    $arrayElemAt: ([array, index], evaluate) => evaluate(array)[evaluate(index)],
+};
+
+/**
+ * Evaluates an aggregation expression against a document.
+ * @param {*} expression - The expression.
+ * @param {Object} doc - The document `$field` paths refer to.
+ * @param {Object} [vars] - The values of `$$name` variables.
+ * @returns {*} The value.
+ */
+const evaluateExpression = (expression, doc, vars = {}) => {
+    const evaluate = (value) => evaluateExpression(value, doc, vars);
+    evaluate.doc = doc;
+
+    if (typeof expression === 'string' && expression.startsWith('$$')) {
+        const [name, ...path] = expression.slice(2).split('.');
+        return path.reduce((value, key) => value?.[key], vars[name]);
+    }
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return expression.slice(1).split('.').reduce((value, key) => value?.[key], doc);
+    }
+    if (Array.isArray(expression)) {
+        return expression.map(evaluate);
+    }
+    if (expression && typeof expression === 'object') {
+        const [key] = Object.keys(expression);
+        if (key && key.startsWith('$')) {
+            if (!OPERATORS[key]) throw new Error(`Unsupported operator ${key}`);
+            return OPERATORS[key](expression[key], evaluate, vars);
+        }
+        return Object.fromEntries(Object.entries(expression).map(([field, value]) => [field, evaluate(value)]));
+    }
+    return expression;
+};
+
+/**
+ * Applies an update pipeline's `$set` and `$unset` stages to a copy of a document.
+ * @param {Object} doc - The document.
+ * @param {Array<Object>} pipeline - The pipeline.
+ * @returns {Object} The updated document.
+ */
+const applyPipeline = (doc, pipeline) => pipeline.reduce((current, stage) => {
+    if (stage.$set) {
+        // Every expression in a stage sees the document as it was before the stage
+        const values = Object.entries(stage.$set).map(([field, value]) => [field, evaluateExpression(value, current)]);
+        return { ...current, ...Object.fromEntries(values) };
+    }
+    if (stage.$unset) {
+        const next = { ...current };
+        for (const field of [].concat(stage.$unset)) delete next[field];
+        return next;
+    }
+    throw new Error(`Unsupported stage ${Object.keys(stage)[0]}`);
+}, doc);
+
+/**
+ * Checks whether a document matches a query filter: equality, `$exists` and `$expr`.
+ * @param {Object} doc - The document.
+ * @param {Object} filter - The filter.
+ * @returns {boolean} True if it matches.
+ */
+const matchesFilter = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (field === '$expr') return !!evaluateExpression(condition, doc);
+    if (condition && typeof condition === 'object' && '$exists' in condition) {
+        return (doc[field] !== undefined) === condition.$exists;
+    }
+    return doc[field] === condition;
+});
+
+module.exports = {
+    evaluateExpression,
+    applyPipeline,
+    matchesFilter,
+};
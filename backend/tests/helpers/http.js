@@ -0,0 +1,54 @@
+// tests/helpers/http.js
+// Minimal stand-ins for Express's req and res, for calling middleware directly.
+
+/**
+ * Builds a request with the given fields.
+ * @param {Object} [fields] - e.g. headers, cookies, params, body, query, user.
+ * @returns {Object} The request.
+ */
+const mockRequest = (fields = {}) => ({
+    headers: {},
+    cookies: {},
+    params: {},
+    body: {},
+    query: {},
+    ...fields,
+});
+
+/**
+ * Builds a response that records the status and body it is sent.
+ * @returns {Object} The response, with `statusCode` and `body` once sent.
+ */
+const mockResponse = () => {
+    const res = { statusCode: 200, body: undefined };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+/**
+ * Runs a middleware and reports whether it called next().
+ * @param {Function} middleware - The middleware.
+ * @param {Object} req - The request.
+ * @returns {Promise<{res: Object, nextCalled: boolean}>} The response and whether next() was called.
+ */
+const runMiddleware = async (middleware, req) => {
+    const res = mockResponse();
+    let nextCalled = false;
+    await middleware(req, res, () => {
+        nextCalled = true;
+    });
+    return { res, nextCalled };
+};
+
+module.exports = {
+    mockRequest,
+    mockResponse,
+    runMiddleware,
+};
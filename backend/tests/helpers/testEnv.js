@@ -0,0 +1,22 @@
+// tests/helpers/testEnv.js
+// utils/config.js exits when a required variable is missing, so tests set placeholders first.
+// Nothing here is contacted: the tests only run code that doesn't reach a database or an API.
+
+const PLACEHOLDERS = {
+    CLOUDAMQP_URL: 'amqp://localhost',
+    GROQ_API_KEY: 'test',
+    GEMINI_API_KEY: 'test',
+    QDRANT_URL: 'https://localhost:6333',
+    QDRANT_API_KEY: 'test',
+    TRANSCRIPTION_COLLECTION: 'test_transcriptions',
+    CHAT_COLLECTION: 'test_chats',
+    MONGODB_URL: 'mongodb://localhost:27017/test',
+    CLOUDINARY_CLOUD_NAME: 'test',
+    CLOUDINARY_API_KEY: 'test',
+    CLOUDINARY_API_SECRET: 'test',
+    SHARE_LINK_SECRET: 'test-share-link-secret',
+};
+
+for (const [key, value] of Object.entries(PLACEHOLDERS)) {
+    process.env[key] = value;
+}
@@ -0,0 +1,129 @@
+// tests/meetingDeletion.test.js
+require('./helpers/testEnv');
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The deletion controller binds these when it is loaded, so they are replaced first
+const transcriptionDb = require('../db/mongoutils/transcription.db');
+const chatDb = require('../db/mongoutils/chat.db');
+const shareLinkDb = require('../db/mongoutils/shareLink.db');
+const actionItemDb = require('../db/mongoutils/actionItem.db');
+const embedTranscriptions = require('../controllers/embedding/embedTranscriptions');
+const embedChat = require('../controllers/embedding/embedChat');
+const audioDb = require('../db/cloudinary-utils/audio.db');
+
+const markMeetingDeleting = mock.method(transcriptionDb, 'markMeetingDeleting', async () => new Date());
+const countOutstandingChunks = mock.method(transcriptionDb, 'countOutstandingChunks', async () => 0);
+const isDrainedForDeletion = mock.method(transcriptionDb, 'isDrainedForDeletion', async () => true);
+const deleteMeeting = mock.method(transcriptionDb, 'deleteMeeting', async () => 1);
+const deleteChatsForJob = mock.method(chatDb, 'deleteChatsForJob', async () => 2);
+const deleteShareLinksForJob = mock.method(shareLinkDb, 'deleteShareLinksForJob', async () => 1);
+const deleteActionItemsForJob = mock.method(actionItemDb, 'deleteActionItemsForJob', async () => 3);
+const deleteTranscriptionPoints = mock.method(embedTranscriptions, 'deleteTranscriptionPoints', async () => ({ success: true, deleted: 10 }));
+const deleteChatPoints = mock.method(embedChat, 'deleteChatPoints', async () => ({ success: true, deleted: 2 }));
+const deleteAudioFilesForJob = mock.method(audioDb, 'deleteAudioFilesForJob', async () => 0);
+
+const { requestMeetingDeletion, finishDeletionIfDrained } = require('../controllers/meetingDeletion');
+
+const STORE_MOCKS = [
+    deleteChatsForJob,
+    deleteShareLinksForJob,
+    deleteActionItemsForJob,
+    deleteTranscriptionPoints,
+    deleteChatPoints,
+    deleteAudioFilesForJob,
+];
+
+beforeEach(() => {
+    for (const fn of [markMeetingDeleting, countOutstandingChunks, isDrainedForDeletion, deleteMeeting, ...STORE_MOCKS]) {
+        fn.mock.resetCalls();
+    }
+});
+
+describe('requestMeetingDeletion', () => {
+    it('removes every store and then the meeting once nothing is queued', async () => {
+        const report = await requestMeetingDeletion('job-1');
+
+        assert.equal(markMeetingDeleting.mock.calls[0].arguments[0], 'job-1');
+        for (const fn of STORE_MOCKS) {
+            assert.deepEqual(fn.mock.calls[0].arguments, ['job-1']);
+        }
+        assert.equal(deleteMeeting.mock.callCount(), 1);
+        assert.deepEqual(report, {
+            success: true,
+            pending: false,
+            removed: { qdrantTranscriptions: 10, qdrantChats: 2, cloudinaryAudio: 0, chats: 2, shareLinks: 1, actionItems: 3, meeting: 1 },
+            errors: {},
+        });
+    });
+
+    it('removes nothing while the worker still has audio of the meeting', async () => {
+        countOutstandingChunks.mock.mockImplementationOnce(async () => 2);
+
+        const report = await requestMeetingDeletion('job-1');
+
+        assert.equal(report.pending, true);
+        assert.equal(report.success, false);
+        for (const fn of [...STORE_MOCKS, deleteMeeting]) {
+            assert.equal(fn.mock.callCount(), 0);
+        }
+    });
+
+    it('deletes anyway when the deletion was first asked for long ago', async () => {
+        markMeetingDeleting.mock.mockImplementationOnce(async () => new Date(Date.now() - 60 * 60 * 1000));
+        countOutstandingChunks.mock.mockImplementationOnce(async () => 1);
+
+        const report = await requestMeetingDeletion('job-1');
+
+        assert.equal(report.success, true);
+        assert.equal(deleteMeeting.mock.callCount(), 1);
+    });
+
+    it('keeps the meeting when a store fails, and a retry completes the deletion', async () => {
+        deleteChatPoints.mock.mockImplementationOnce(async () => ({ success: false, error: 'Qdrant is down' }));
+
+        const failed = await requestMeetingDeletion('job-1');
+
+        assert.equal(failed.success, false);
+        assert.equal(failed.pending, false);
+        assert.deepEqual(failed.errors, { qdrantChats: 'Qdrant is down' });
+        assert.equal(failed.removed.qdrantChats, null);
+        assert.equal(deleteMeeting.mock.callCount(), 0);
+
+        const retried = await requestMeetingDeletion('job-1');
+
+        assert.equal(retried.success, true);
+        assert.equal(deleteMeeting.mock.callCount(), 1);
+        // Every store is purged again; the steps don't mind what is already gone
+        assert.equal(deleteChatsForJob.mock.callCount(), 2);
+    });
+
+    it('reports a failure to remove the meeting document', async () => {
+        deleteMeeting.mock.mockImplementationOnce(async () => {
+            throw new Error('Mongo is down');
+        });
+
+        const report = await requestMeetingDeletion('job-1');
+
+        assert.equal(report.success, false);
+        assert.deepEqual(report.errors, { meeting: 'Mongo is down' });
+    });
+});
+
+describe('finishDeletionIfDrained', () => {
+    it('finishes a pending deletion once the last chunk is handled', async () => {
+        const report = await finishDeletionIfDrained('job-1');
+
+        assert.equal(report.success, true);
+        assert.equal(deleteMeeting.mock.callCount(), 1);
+    });
+
+    it('does nothing for a meeting that is not being deleted or still has audio queued', async () => {
+        isDrainedForDeletion.mock.mockImplementationOnce(async () => false);
+
+        assert.equal(await finishDeletionIfDrained('job-1'), null);
+        for (const fn of [...STORE_MOCKS, deleteMeeting]) {
+            assert.equal(fn.mock.callCount(), 0);
+        }
+    });
+});
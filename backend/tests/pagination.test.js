@@ -0,0 +1,32 @@
+// tests/pagination.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+
+describe('cursors', () => {
+    const cursor = { createdAt: new Date('2026-03-14T09:26:53.589Z'), id: '65f2c0ffee00000000000001' };
+
+    it('decode to the position they were encoded from', () => {
+        assert.deepEqual(decodeCursor(encodeCursor(cursor)), cursor);
+    });
+
+    it('are URL-safe', () => {
+        assert.match(encodeCursor(cursor), /^[A-Za-z0-9_-]+$/);
+    });
+
+    it('are rejected when the id is not an ObjectId', () => {
+        const forged = Buffer.from('2026-03-14T09:26:53.589Z|{"$gt":""}').toString('base64url');
+        assert.equal(decodeCursor(forged), null);
+        assert.equal(decodeCursor(Buffer.from('2026-03-14T09:26:53.589Z|').toString('base64url')), null);
+    });
+
+    it('are rejected when the date is not valid', () => {
+        assert.equal(decodeCursor(Buffer.from('yesterday|65f2c0ffee00000000000001').toString('base64url')), null);
+    });
+
+    it('are rejected when they are not cursors at all', () => {
+        assert.equal(decodeCursor('not-a-cursor'), null);
+        assert.equal(decodeCursor(''), null);
+        assert.equal(decodeCursor(['a', 'b']), null);
+    });
+});
@@ -0,0 +1,240 @@
+// tests/security.test.js
+require('./helpers/testEnv');
+const { describe, it, mock, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    hashToken,
+    signValue,
+    verifySignature,
+} = require('../utils/security');
+const config = require('../utils/config');
+const ShareLink = require('../db/models/shareLink.model');
+const { shareLinksEnabled, buildShareToken, resolveShareToken } = require('../db/mongoutils/shareLink.db');
+const express = require('express');
+const ApiKey = require('../db/models/apiKey.model');
+const { isApiKey, createApiKey, getApiKeyUser, revokeApiKey } = require('../db/mongoutils/apiKey.db');
+const apiKeyRoutes = require('../routes/apiKeyRoutes');
+
+describe('passwords', () => {
+    it('verifies the password a hash was made from', async () => {
+        const hash = await hashPassword('correct horse');
+        assert.equal(await verifyPassword('correct horse', hash), true);
+        assert.equal(await verifyPassword('wrong horse', hash), false);
+    });
+
+    it('salts every hash', async () => {
+        assert.notEqual(await hashPassword('same'), await hashPassword('same'));
+    });
+
+    it('rejects malformed stored hashes', async () => {
+        assert.equal(await verifyPassword('anything', ''), false);
+        assert.equal(await verifyPassword('anything', null), false);
+        assert.equal(await verifyPassword('anything', 'no-separator'), false);
+    });
+});
+
+describe('tokens', () => {
+    it('generates URL-safe tokens that differ every time', () => {
+        const token = generateToken();
+        assert.match(token, /^[A-Za-z0-9_-]+$/);
+        assert.notEqual(token, generateToken());
+    });
+
+    it('hashes tokens deterministically', () => {
+        assert.equal(hashToken('abc'), hashToken('abc'));
+        assert.notEqual(hashToken('abc'), hashToken('abd'));
+    });
+});
+
+describe('signatures', () => {
+    it('accepts the signature of the same value and secret', () => {
+        assert.equal(verifySignature('value', signValue('value', 'secret'), 'secret'), true);
+    });
+
+    it('rejects another value, another secret or a missing signature', () => {
+        const signature = signValue('value', 'secret');
+        assert.equal(verifySignature('other', signature, 'secret'), false);
+        assert.equal(verifySignature('value', signature, 'other-secret'), false);
+        assert.equal(verifySignature('value', undefined, 'secret'), false);
+    });
+});
+
+describe('share tokens', () => {
+    const link = { _id: '650000000000000000000001', expiresAt: new Date(Date.now() + 60 * 60 * 1000) };
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('build as "<linkId>.<expiresAtMs>.<signature>"', () => {
+        const [linkId, expiresAtMs, signature] = buildShareToken(link).split('.');
+        assert.equal(linkId, link._id);
+        assert.equal(Number(expiresAtMs), link.expiresAt.getTime());
+        assert.equal(verifySignature(`${linkId}.${expiresAtMs}`, signature, config.SHARE_LINK_SECRET), true);
+    });
+
+    it('resolve to an active link', async () => {
+        const findOne = mock.method(ShareLink, 'findOne', async () => link);
+        assert.equal(await resolveShareToken(buildShareToken(link)), link);
+        assert.equal(findOne.mock.calls[0].arguments[0]._id, link._id);
+    });
+
+    it('are rejected without a lookup when tampered with', async () => {
+        const findOne = mock.method(ShareLink, 'findOne', async () => link);
+        const [linkId, , signature] = buildShareToken(link).split('.');
+        const extended = `${linkId}.${link.expiresAt.getTime() + 1000}.${signature}`;
+        assert.equal(await resolveShareToken(extended), null);
+        assert.equal(await resolveShareToken(`${linkId}.${link.expiresAt.getTime()}`), null);
+        assert.equal(await resolveShareToken(undefined), null);
+        assert.equal(findOne.mock.callCount(), 0);
+    });
+
+    it('are rejected once expired', async () => {
+        const findOne = mock.method(ShareLink, 'findOne', async () => link);
+        const expired = { ...link, expiresAt: new Date(Date.now() - 1000) };
+        assert.equal(await resolveShareToken(buildShareToken(expired)), null);
+        assert.equal(findOne.mock.callCount(), 0);
+    });
+
+    it('are rejected when the link was revoked', async () => {
+        mock.method(ShareLink, 'findOne', async () => null);
+        assert.equal(await resolveShareToken(buildShareToken(link)), null);
+    });
+
+    it('are rejected when share links are disabled', async () => {
+        const token = buildShareToken(link);
+        const secret = config.SHARE_LINK_SECRET;
+        config.SHARE_LINK_SECRET = undefined;
+        try {
+            const findOne = mock.method(ShareLink, 'findOne', async () => link);
+            assert.equal(shareLinksEnabled(), false);
+            assert.equal(await resolveShareToken(token), null);
+            assert.equal(findOne.mock.callCount(), 0);
+        } finally {
+            config.SHARE_LINK_SECRET = secret;
+        }
+    });
+});
+
+describe('API keys', () => {
+    const USER_ID = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('are told apart from session tokens by their prefix', () => {
+        assert.equal(isApiKey('cz_abc'), true);
+        assert.equal(isApiKey(generateToken()), false);
+        assert.equal(isApiKey('CZ_abc'), false);
+        assert.equal(isApiKey(undefined), false);
+    });
+
+    it('are stored hashed, with only their first characters kept', async () => {
+        const saved = [];
+        mock.method(ApiKey.prototype, 'save', async function () {
+            saved.push(this);
+            return this;
+        });
+
+        const { key, apiKey } = await createApiKey(USER_ID, 'ci-uploader', ['upload']);
+
+        assert.match(key, /^cz_[A-Za-z0-9_-]+$/);
+        assert.equal(saved.length, 1);
+        assert.equal(apiKey.keyHash, hashToken(key));
+        assert.notEqual(apiKey.keyHash, key);
+        assert.equal(apiKey.prefix, key.slice(0, 9));
+        assert.deepEqual([...apiKey.scopes], ['upload']);
+    });
+
+    it('are looked up by their hash, and only while not revoked', async () => {
+        const findOneAndUpdate = mock.method(ApiKey, 'findOneAndUpdate', async () => null);
+
+        assert.equal(await getApiKeyUser('cz_revoked'), null);
+        assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments[0], { keyHash: hashToken('cz_revoked'), revokedAt: null });
+    });
+
+    it('can only be revoked by their owner, once', async () => {
+        const findOneAndUpdate = mock.method(ApiKey, 'findOneAndUpdate', async () => ({ _id: 'key-1' }));
+
+        assert.equal(await revokeApiKey(USER_ID, 'key-1'), true);
+        assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments[0], { _id: 'key-1', userId: USER_ID, revokedAt: null });
+        assert.ok(findOneAndUpdate.mock.calls[0].arguments[1].$set.revokedAt instanceof Date);
+
+        findOneAndUpdate.mock.mockImplementation(async () => null);
+        assert.equal(await revokeApiKey(USER_ID, 'key-1'), false);
+    });
+
+    describe('routes', () => {
+        let server;
+        let baseUrl;
+
+        before(async () => {
+            const app = express();
+            app.use(express.json());
+            app.use((req, res, next) => {
+                req.user = { _id: USER_ID };
+                next();
+            });
+            app.use('/api/keys', apiKeyRoutes);
+            await new Promise(resolve => {
+                server = app.listen(0, '127.0.0.1', resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        const createKey = (body) => fetch(`${baseUrl}/api/keys`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+
+        it('create a key with a trimmed name and the scopes asked for', async () => {
+            mock.method(ApiKey.prototype, 'save', async function () {
+                return this;
+            });
+
+            const response = await createKey({ name: '  ci-uploader ', scopes: ['upload', 'upload', 'chat'] });
+            const body = await response.json();
+
+            assert.equal(response.status, 201);
+            assert.match(body.key, /^cz_/);
+            assert.equal(body.apiKey.name, 'ci-uploader');
+            assert.equal(body.apiKey.prefix, body.key.slice(0, 9));
+            assert.deepEqual(body.apiKey.scopes, ['upload', 'chat']);
+            assert.equal(body.apiKey.keyHash, undefined);
+        });
+
+        it('reject names that are missing, blank, too long or not strings', async () => {
+            for (const name of [undefined, '', '   ', 'x'.repeat(101), 42, ['ci'], { $gt: '' }]) {
+                const response = await createKey({ name, scopes: ['upload'] });
+                assert.equal(response.status, 400, `name ${JSON.stringify(name)}`);
+            }
+        });
+
+        it('reject missing or unknown scopes', async () => {
+            assert.equal((await createKey({ name: 'ci', scopes: [] })).status, 400);
+            assert.equal((await createKey({ name: 'ci', scopes: 'upload' })).status, 400);
+            const response = await createKey({ name: 'ci', scopes: ['upload', 'admin'] });
+            assert.equal(response.status, 400);
+            assert.match((await response.json()).message, /Unknown scopes: admin/);
+        });
+
+        it('revoke a key, and answer 404 for one that is not active', async () => {
+            const findOneAndUpdate = mock.method(ApiKey, 'findOneAndUpdate', async () => ({ _id: 'key-1' }));
+            const revoked = await fetch(`${baseUrl}/api/keys/key-1`, { method: 'DELETE' });
+            assert.equal(revoked.status, 200);
+
+            findOneAndUpdate.mock.mockImplementation(async () => null);
+            const missing = await fetch(`${baseUrl}/api/keys/key-1`, { method: 'DELETE' });
+            assert.equal(missing.status, 404);
+        });
+    });
+});
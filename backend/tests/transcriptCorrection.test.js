@@ -0,0 +1,102 @@
+// tests/transcriptCorrection.test.js
+require('./helpers/testEnv');
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The controller binds these when it is loaded, so they are replaced first
+const transcriptionDb = require('../db/mongoutils/transcription.db');
+const embedTranscriptions = require('../controllers/embedding/embedTranscriptions');
+const getCleanedChunks = mock.method(transcriptionDb, 'getCleanedChunks', async () => []);
+const editCleanedChunk = mock.method(transcriptionDb, 'editCleanedChunk', async (jobId, chunkId, changes) => ({
+    chunk: { _id: chunkId, pointId: `point-${chunkId}`, refinedText: changes.refinedText },
+    changed: true,
+}));
+const updateTranscriptionPoint = mock.method(embedTranscriptions, 'updateTranscriptionPoint', async () => ({ success: true }));
+
+const { findCorrection, applyCorrection, correctCleanedChunks } = require('../controllers/transcriptCorrection');
+
+describe('findCorrection', () => {
+    it('finds the words that were replaced', () => {
+        assert.deepEqual(findCorrection('I talked to John Smyth today.', 'I talked to John Smith today.'), { from: 'Smyth', to: 'Smith' });
+        assert.deepEqual(findCorrection('ship it on monday', 'ship it on next Tuesday'), { from: 'monday', to: 'next Tuesday' });
+    });
+
+    it('leaves out punctuation both versions share', () => {
+        assert.deepEqual(findCorrection('We met Acme.', 'We met Akme.'), { from: 'Acme', to: 'Akme' });
+        assert.deepEqual(findCorrection('"Kubernetes" is down', '"Cuba Netties" is down'), { from: 'Kubernetes', to: 'Cuba Netties' });
+    });
+
+    it('returns null when nothing was replaced', () => {
+        assert.equal(findCorrection('Same text', 'Same text'), null);
+        assert.equal(findCorrection('We shipped', 'We shipped it'), null);
+    });
+});
+
+describe('applyCorrection', () => {
+    it('replaces every whole-word occurrence', () => {
+        assert.deepEqual(
+            applyCorrection('Smyth said hi. Ask Smyth.', { from: 'Smyth', to: 'Smith' }),
+            { text: 'Smith said hi. Ask Smith.', count: 2 }
+        );
+    });
+
+    it('ignores the words inside longer words', () => {
+        assert.deepEqual(applyCorrection('Smythson called', { from: 'Smyth', to: 'Smith' }), { text: 'Smythson called', count: 0 });
+    });
+
+    it('matches across other whitespace and treats the words literally', () => {
+        assert.equal(applyCorrection('next\nmonday', { from: 'next monday', to: 'Tuesday' }).text, 'Tuesday');
+        assert.equal(applyCorrection('costs $5 (approx)', { from: '$5 (approx)', to: '$6' }).text, 'costs $6');
+    });
+});
+
+describe('correctCleanedChunks', () => {
+    const chunk = (id, startSeconds, endSeconds, refinedText) => ({ _id: id, startSeconds, endSeconds, refinedText, pointId: `point-${id}` });
+    const edit = { variant: 'original', segment: { start: 100, end: 104 }, previousText: 'Call Smyth', text: 'Call Smith', editorId: 'user-1' };
+
+    beforeEach(() => {
+        getCleanedChunks.mock.resetCalls();
+        editCleanedChunk.mock.resetCalls();
+        updateTranscriptionPoint.mock.resetCalls();
+    });
+
+    it('corrects and re-embeds the chunks around the segment that contain the words', async () => {
+        getCleanedChunks.mock.mockImplementationOnce(async () => [
+            chunk('a', 0, 60, 'Smyth opened the meeting.'),
+            chunk('b', 90, 120, 'We will call Smyth.'),
+            chunk('c', 120, 150, 'Nothing about it here.'),
+        ]);
+
+        const report = await correctCleanedChunks('job-1', edit);
+
+        assert.deepEqual(getCleanedChunks.mock.calls[0].arguments, ['job-1', 'original']);
+        assert.deepEqual(editCleanedChunk.mock.calls.map(call => call.arguments), [
+            ['job-1', 'b', { refinedText: 'We will call Smith.' }, 'user-1'],
+        ]);
+        assert.deepEqual(updateTranscriptionPoint.mock.calls.map(call => call.arguments[0]), ['point-b']);
+        assert.deepEqual(report.chunks.map(corrected => corrected._id), ['b']);
+        assert.deepEqual(report.notEmbedded, []);
+        assert.deepEqual(report.conflicts, []);
+    });
+
+    it('reports chunks that could not be re-embedded or were edited meanwhile', async () => {
+        getCleanedChunks.mock.mockImplementationOnce(async () => [
+            chunk('a', 80, 100, 'Smyth joined.'),
+            chunk('b', 100, 130, 'Call Smyth.'),
+        ]);
+        editCleanedChunk.mock.mockImplementationOnce(async () => ({ chunk: null, changed: false, conflict: true }));
+        updateTranscriptionPoint.mock.mockImplementationOnce(async () => ({ success: false, error: 'down' }));
+
+        const report = await correctCleanedChunks('job-1', edit);
+
+        assert.deepEqual(report.conflicts, ['a']);
+        assert.deepEqual(report.notEmbedded, ['b']);
+    });
+
+    it('does nothing when only words were added', async () => {
+        const report = await correctCleanedChunks('job-1', { ...edit, text: 'Call Smyth now' });
+
+        assert.equal(getCleanedChunks.mock.callCount(), 0);
+        assert.deepEqual(report, { chunks: [], notEmbedded: [], conflicts: [] });
+    });
+});
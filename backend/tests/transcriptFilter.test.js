@@ -0,0 +1,122 @@
+// tests/transcriptFilter.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTranscriptText, filterTranscript } = require('../controllers/transcriptFilter');
+
+const segment = (text, fields = {}) => ({ text, noSpeechProb: 0.1, avgLogprob: -0.3, compressionRatio: 1.4, ...fields });
+
+describe('buildTranscriptText', () => {
+    it('joins unlabelled segments with spaces', () => {
+        assert.equal(buildTranscriptText([{ text: 'Hello.' }, { text: 'Welcome.' }]), 'Hello. Welcome.');
+    });
+
+    it('starts a new line at every change of speaker', () => {
+        const text = buildTranscriptText([
+            { text: 'Hi.', speaker: 'Local' },
+            { text: 'How are you?', speaker: 'Local' },
+            { text: 'Good.', speaker: 'Remote' },
+            { text: 'Great.', speaker: 'Local' },
+        ]);
+        assert.equal(text, 'Local: Hi. How are you?\nRemote: Good.\nLocal: Great.');
+    });
+});
+
+describe('filterTranscript', () => {
+    it('leaves a clean transcription untouched', () => {
+        const result = { transcription: 'Let us start. First item.', segments: [segment('Let us start.'), segment('First item.')] };
+        assert.deepEqual(filterTranscript(result), { removed: [], overlapWords: 0 });
+        assert.equal(result.transcription, 'Let us start. First item.');
+        assert.equal(result.segments.length, 2);
+    });
+
+    it('drops segments Whisper marks as no speech', () => {
+        const result = {
+            transcription: 'Okay. you. mmm.',
+            segments: [
+                segment('Okay.'),
+                segment('you.', { noSpeechProb: 0.95 }),
+                segment('mmm.', { noSpeechProb: 0.7, avgLogprob: -1.4 }),
+            ],
+        };
+        const { removed } = filterTranscript(result);
+        assert.deepEqual(removed, [{ text: 'you.', reason: 'no speech' }, { text: 'mmm.', reason: 'no speech' }]);
+        assert.equal(result.transcription, 'Okay.');
+    });
+
+    it('keeps a likely-silent segment Whisper is confident about', () => {
+        const result = { transcription: 'Yes.', segments: [segment('Yes.', { noSpeechProb: 0.7, avgLogprob: -0.2 })] };
+        assert.deepEqual(filterTranscript(result).removed, []);
+    });
+
+    it('drops repetitive segments', () => {
+        const result = { transcription: 'x', segments: [segment('the the the the the the', { compressionRatio: 3.1 }), segment('Right.')] };
+        assert.deepEqual(filterTranscript(result).removed, [{ text: 'the the the the the the', reason: 'repetitive' }]);
+        assert.equal(result.transcription, 'Right.');
+    });
+
+    it('drops known silence phrases but keeps sentences that contain them', () => {
+        const result = {
+            transcription: 'x',
+            segments: [segment('Thanks for watching!'), segment('I said thanks for watching the demo.'), segment('  ')],
+        };
+        const { removed } = filterTranscript(result);
+        assert.deepEqual(removed.map(r => r.reason), ['blocklisted', 'empty']);
+        assert.equal(result.transcription, 'I said thanks for watching the demo.');
+    });
+
+    it('drops the subtitle credits Whisper makes up in other languages', () => {
+        const result = {
+            transcription: 'x',
+            segments: [
+                segment("Sous-titres réalisés par la communauté d'Amara.org"),
+                segment('Untertitel der Amara.org-Community'),
+                segment('Bonjour à tous.'),
+            ],
+        };
+        const { removed } = filterTranscript(result);
+        assert.deepEqual(removed.map(r => r.reason), ['blocklisted', 'blocklisted']);
+        assert.equal(result.transcription, 'Bonjour à tous.');
+    });
+
+    it('checks results without timings as one segment', () => {
+        const result = { transcription: 'Please like and subscribe.' };
+        assert.equal(filterTranscript(result).removed.length, 1);
+        assert.equal(result.transcription, '');
+    });
+
+    it('drops leading words that repeat the end of the previous chunk', () => {
+        const result = {
+            transcription: 'x',
+            segments: [segment('of the quarterly budget review,'), segment('which starts on Monday.')],
+        };
+        const { overlapWords } = filterTranscript(result, 'We now move to the discussion of the quarterly budget review.');
+        assert.equal(overlapWords, 5);
+        assert.equal(result.transcription, 'which starts on Monday.');
+        assert.equal(result.segments.length, 1);
+    });
+
+    it('allows a cut-off word before the repeat', () => {
+        const result = { transcription: 'view of the quarterly budget and more.' };
+        const { overlapWords } = filterTranscript(result, 'the discussion of the quarterly budget');
+        assert.equal(overlapWords, 5);
+        assert.equal(result.transcription, 'and more.');
+    });
+
+    it('ignores repeats shorter than four words', () => {
+        const result = { transcription: 'the budget again.' };
+        assert.equal(filterTranscript(result, 'we talked about the budget').overlapWords, 0);
+        assert.equal(result.transcription, 'the budget again.');
+    });
+
+    it('ignores speaker labels and punctuation when matching the overlap', () => {
+        const result = {
+            transcription: 'x',
+            segments: [
+                { ...segment('the next release date,'), speaker: 'Remote' },
+                { ...segment('Sounds good.'), speaker: 'Local' },
+            ],
+        };
+        filterTranscript(result, 'Local: Let us agree on\nRemote: the next release date');
+        assert.equal(result.transcription, 'Local: Sounds good.');
+    });
+});
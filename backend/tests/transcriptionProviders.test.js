@@ -0,0 +1,105 @@
+// tests/transcriptionProviders.test.js
+require('./helpers/testEnv');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { TRANSCRIPTION_PROVIDERS, createTranscriptionProvider } = require('../controllers/transcriptionProviders');
+
+describe('createTranscriptionProvider', () => {
+    it('creates each provider by name', () => {
+        assert.deepEqual(TRANSCRIPTION_PROVIDERS, ['groq', 'openai-compatible', 'mock']);
+        assert.equal(createTranscriptionProvider('groq', { apiKey: 'key' }).name, 'groq');
+        assert.equal(createTranscriptionProvider('openai-compatible', { baseUrl: 'http://localhost:8000/v1' }).name, 'openai-compatible');
+        assert.equal(createTranscriptionProvider('mock').name, 'mock');
+    });
+
+    it('uses the configured model, or each provider\'s default', () => {
+        assert.equal(createTranscriptionProvider('groq', { apiKey: 'key' }).model, 'whisper-large-v3');
+        assert.equal(createTranscriptionProvider('groq', { apiKey: 'key', model: 'whisper-large-v3-turbo' }).model, 'whisper-large-v3-turbo');
+        assert.equal(createTranscriptionProvider('openai-compatible', { baseUrl: 'http://localhost:8000/v1' }).model, 'whisper-1');
+    });
+
+    it('rejects unknown names', () => {
+        assert.throws(() => createTranscriptionProvider('whisper-cpp'), /Unknown transcription provider "whisper-cpp"/);
+        assert.throws(() => createTranscriptionProvider('toString'), /Unknown transcription provider/);
+    });
+
+    it('rejects providers missing their settings', () => {
+        assert.throws(() => createTranscriptionProvider('groq', {}), /GROQ_API_KEY or TRANSCRIPTION_API_KEY must be set/);
+        assert.throws(() => createTranscriptionProvider('openai-compatible', {}), /TRANSCRIPTION_API_URL must be set/);
+    });
+});
+
+describe('mock provider', () => {
+    const audio = Buffer.from('not really audio');
+    const hash = require('crypto').createHash('sha256').update(audio).digest('hex');
+    let fixturesDir;
+
+    before(() => {
+        fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures_'));
+    });
+
+    after(() => {
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    });
+
+    it('gives the same reply for the same audio without fixtures', async () => {
+        const provider = createTranscriptionProvider('mock');
+        const first = await provider.transcribe({ audioBuffer: audio, language: 'de', durationSeconds: 12 });
+        const second = await provider.transcribe({ audioBuffer: Buffer.from(audio), language: 'de', durationSeconds: 12 });
+
+        assert.deepEqual(first, second);
+        assert.deepEqual(first, {
+            text: `Mock transcription of audio ${hash.slice(0, 8)}.`,
+            language: 'de',
+            segments: [{ start: 0, end: 12, text: `Mock transcription of audio ${hash.slice(0, 8)}.` }],
+        });
+        assert.notEqual((await provider.transcribe({ audioBuffer: Buffer.from('other audio') })).text, first.text);
+    });
+
+    it('translates into English', async () => {
+        const reply = await createTranscriptionProvider('mock').transcribe({ audioBuffer: audio, language: 'de', translate: true });
+        assert.equal(reply.language, 'en');
+        assert.match(reply.text, /^Mock translation/);
+    });
+
+    it('prefers the fixture for the audio, then default.json', async () => {
+        const write = (name, text) => fs.writeFileSync(path.join(fixturesDir, name), JSON.stringify({ text, segments: [] }));
+        const provider = createTranscriptionProvider('mock', { fixturesDir });
+
+        write('default.json', 'default');
+        assert.equal((await provider.transcribe({ audioBuffer: audio })).text, 'default');
+
+        write(`${hash}.json`, 'for this audio');
+        write(`${hash}.translation.json`, 'translated');
+        assert.equal((await provider.transcribe({ audioBuffer: audio })).text, 'for this audio');
+        assert.equal((await provider.transcribe({ audioBuffer: audio, translate: true })).text, 'translated');
+        assert.equal((await provider.transcribe({ audioBuffer: Buffer.from('other audio') })).text, 'default');
+    });
+});
+
+describe('config', () => {
+    // Loads the config in a separate process, since it exits when a required variable is missing
+    const loadConfig = (env) => spawnSync(process.execPath, ['-e', 'require("./utils/config")'], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, ...env },
+        encoding: 'utf8',
+    });
+
+    it('requires GROQ_API_KEY for the groq provider', () => {
+        const result = loadConfig({ GROQ_API_KEY: '', TRANSCRIPTION_PROVIDER: 'groq' });
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /GROQ_API_KEY environment variable is not set/);
+    });
+
+    it('starts without GROQ_API_KEY for other providers', () => {
+        for (const provider of ['mock', 'openai-compatible']) {
+            const result = loadConfig({ GROQ_API_KEY: '', TRANSCRIPTION_PROVIDER: provider });
+            assert.equal(result.status, 0);
+            assert.match(result.stderr, /not cleaned or summarized/);
+        }
+    });
+});
@@ -0,0 +1,51 @@
+// actionItems.js
+
+const { ACTION_ITEM_STATUSES } = require('../db/models/actionItem.model');
+
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Picks and validates the editable fields of an action item from a request body.
+ * Fields that are absent are left out; an empty string or null clears assignee and dueDate.
+ *
+ * @param {Object} body - The request body.
+ * @returns {{updates: Object, error: string|null}} The cleaned fields, or an error message.
+ */
+const parseActionItemUpdate = (body = {}) => {
+    const updates = {};
+
+    if (body.description !== undefined) {
+        if (typeof body.description !== 'string' || !body.description.trim()) {
+            return { updates, error: 'description must be a non-empty string.' };
+        }
+        updates.description = body.description.trim();
+    }
+
+    for (const field of ['assignee', 'dueDate']) {
+        if (body[field] === undefined) continue;
+        if (body[field] !== null && typeof body[field] !== 'string') {
+            return { updates, error: `${field} must be a string or null.` };
+        }
+        // An empty string clears the field, like null
+        updates[field] = (body[field] || '').trim() || null;
+    }
+
+    for (const field of ['description', 'assignee', 'dueDate']) {
+        if (updates[field] && updates[field].length > MAX_TEXT_LENGTH) {
+            return { updates, error: `${field} must be at most ${MAX_TEXT_LENGTH} characters.` };
+        }
+    }
+
+    if (body.status !== undefined) {
+        if (!ACTION_ITEM_STATUSES.includes(body.status)) {
+            return { updates, error: `status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}.` };
+        }
+        updates.status = body.status;
+    }
+
+    return { updates, error: null };
+};
+
+module.exports = {
+    parseActionItemUpdate,
+};
@@ -0,0 +1,41 @@
+// audioRetention.js
+
+// Uploaded audio is normally deleted once it is transcribed. A meeting, or the workspace it is
+// shared with, can keep it for a number of days so the transcript can be checked against it.
+// Days count from the start of the meeting.
+
+const MAX_RETENTION_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates an audio retention setting from a request body.
+ *
+ * @param {*} value - A whole number of days (0 to delete audio once transcribed), or null to use the
+ * setting of the workspace or the server.
+ * @returns {{days: number|null, error: string|null}} The setting, or an error message.
+ */
+const parseAudioRetentionDays = (value) => {
+    if (value === null) {
+        return { days: null, error: null };
+    }
+    if (!Number.isInteger(value) || value < 0 || value > MAX_RETENTION_DAYS) {
+        return { days: null, error: `days must be a whole number from 0 to ${MAX_RETENTION_DAYS}, or null.` };
+    }
+    return { days: value, error: null };
+};
+
+/**
+ * Works out when a meeting's kept audio expires.
+ *
+ * @param {Date} createdAt - When the meeting started.
+ * @param {number} days - Its retention in days.
+ * @returns {Date|null} The expiry, or null if its audio is not kept.
+ */
+const getAudioExpiry = (createdAt, days) => {
+    return days > 0 ? new Date(new Date(createdAt).getTime() + days * DAY_MS) : null;
+};
+
+module.exports = {
+    parseAudioRetentionDays,
+    getAudioExpiry,
+};
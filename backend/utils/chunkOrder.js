@@ -0,0 +1,91 @@
+// chunkOrder.js
+
+// Keeps a meeting's chunk arrays in upload order however the worker finishes the chunks. The
+// expressions run inside MongoDB update pipelines, so a chunk is placed atomically.
+
+/**
+ * Where a chunk goes in the meeting's raw transcript: after every chunk with a lower sequence
+ * number, and after the earlier parts of its own upload.
+ * @param {{sequence?: number, part?: number}} [position] The chunk's position, as the worker reads it from the queue message.
+ * @returns {{sequence: number, part: number}} The key chunks are ordered and told apart by.
+ */
+const chunkKey = ({ sequence, part } = {}) => ({
+    // Chunks queued before uploads carried sequence numbers go last
+    sequence: Number.isInteger(sequence) ? sequence : Number.MAX_SAFE_INTEGER,
+    part: Number.isInteger(part) ? part : 0,
+});
+
+/**
+ * Aggregation expressions over a chunk array and its order array. Chunks stored before the order
+ * array existed have no entry in it and count as coming first.
+ * @param {string} chunksField The text array, e.g. 'transcriptionChunks'.
+ * @param {string} orderField Its order array, e.g. 'transcriptionChunkOrder'.
+ * @param {{sequence: number, part: number}} key The chunk's key from chunkKey().
+ * @returns {{chunks: object, order: object, orderIndex: object, chunkIndex: object, duplicate: object}} The arrays,
+ * where the chunk goes in each, and whether a chunk with the same key is already stored.
+ */
+const chunkIndexExpressions = (chunksField, orderField, key) => {
+    const chunks = { $ifNull: [`$${chunksField}`, []] };
+    const order = { $ifNull: [`$${orderField}`, []] };
+    const countOrder = cond => ({ $size: { $filter: { input: order, as: 'entry', cond } } });
+    const orderIndex = countOrder({
+        $or: [
+            { $lt: ['$$entry.sequence', key.sequence] },
+            { $and: [{ $eq: ['$$entry.sequence', key.sequence] }, { $lt: ['$$entry.part', key.part] }] },
+        ],
+    });
+    return {
+        chunks,
+        order,
+        orderIndex,
+        chunkIndex: { $add: [{ $max: [0, { $subtract: [{ $size: chunks }, { $size: order }] }] }, orderIndex] },
+        duplicate: {
+            $gt: [countOrder({
+                $and: [{ $eq: ['$$entry.sequence', key.sequence] }, { $eq: ['$$entry.part', key.part] }],
+            }), 0],
+        },
+    };
+};
+
+// Aggregation expression for `array` with `value` inserted at `index`
+const insertAt = (array, index, value) => ({
+    $concatArrays: [
+        { $cond: [{ $eq: [index, 0] }, [], { $slice: [array, index] }] },
+        [value],
+        { $slice: [array, index, { $add: [{ $size: array }, 1] }] },
+    ],
+});
+
+/**
+ * Builds an update pipeline that inserts a chunk's text at its place in a chunk array, unless a
+ * chunk with the same key is already stored (an upload that was queued twice). Stages can use
+ * `$_duplicate` to leave other fields alone for a duplicate.
+ * @param {string} chunksField The text array, e.g. 'transcriptionChunks'.
+ * @param {string} orderField Its order array, e.g. 'transcriptionChunkOrder'.
+ * @param {string} text The chunk's text.
+ * @param {{sequence: number, part: number}} key The chunk's key from chunkKey().
+ * @param {object} [fields] More fields to $set, as aggregation expressions.
+ * @returns {Array<object>} The pipeline.
+ */
+const insertChunkPipeline = (chunksField, orderField, text, key, fields = {}) => {
+    const { chunks, order, orderIndex, chunkIndex, duplicate } = chunkIndexExpressions(chunksField, orderField, key);
+    return [
+        { $set: { _duplicate: duplicate, _orderIndex: orderIndex, _chunkIndex: chunkIndex } },
+        {
+            $set: {
+                [chunksField]: { $cond: ['$_duplicate', chunks, insertAt(chunks, '$_chunkIndex', { $literal: text })] },
+                [orderField]: {
+                    $cond: ['$_duplicate', order, insertAt(order, '$_orderIndex', { sequence: key.sequence, part: key.part })],
+                },
+                ...fields,
+            },
+        },
+        { $unset: ['_duplicate', '_orderIndex', '_chunkIndex'] },
+    ];
+};
+
+module.exports = {
+    chunkKey,
+    chunkIndexExpressions,
+    insertChunkPipeline,
+};
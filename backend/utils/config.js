@@ -4,6 +4,7 @@ require('dotenv').config();
 const config = {
     MONGODB_URL: process.env.MONGODB_URL,
     CLOUDAMQP_URL: process.env.CLOUDAMQP_URL,
+    // Groq cleans transcripts and writes summaries, and transcribes with the default provider
     GROQ_API_KEY: process.env.GROQ_API_KEY,
     GEMINI_API_KEY: process.env.GEMINI_API_KEY,
     
@@ -19,11 +20,27 @@ const config = {
     CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME,
     CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY,
     CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET,
+
+    // Secret used to sign public share links; share links are turned off without it
+    SHARE_LINK_SECRET: process.env.SHARE_LINK_SECRET,
+
+    // Speech-to-text backend: 'groq' (default), 'openai-compatible' or 'mock'
+    TRANSCRIPTION_PROVIDER: process.env.TRANSCRIPTION_PROVIDER || 'groq',
+    TRANSCRIPTION_API_URL: process.env.TRANSCRIPTION_API_URL,
+    TRANSCRIPTION_API_KEY: process.env.TRANSCRIPTION_API_KEY,
+    TRANSCRIPTION_MODEL: process.env.TRANSCRIPTION_MODEL,
+    // Replies for the 'mock' provider, see controllers/transcriptionProviders/mockProvider.js
+    TRANSCRIPTION_FIXTURES_DIR: process.env.TRANSCRIPTION_FIXTURES_DIR,
+
+    // Days uploaded audio is kept for playback when neither the meeting nor its workspace sets it;
+    // 0 deletes it as soon as it is transcribed
+    AUDIO_RETENTION_DAYS: Number(process.env.AUDIO_RETENTION_DAYS) || 0,
+    // How often audio past its retention is purged
+    AUDIO_PURGE_INTERVAL_MINUTES: Number(process.env.AUDIO_PURGE_INTERVAL_MINUTES) || 60,
 };
 
 const required = [
     "CLOUDAMQP_URL",
-    "GROQ_API_KEY",
     "GEMINI_API_KEY",
     "PORT",
     "NODE_ENV",
@@ -34,7 +51,9 @@ const required = [
     "MONGODB_URL",
     "CLOUDINARY_CLOUD_NAME",
     "CLOUDINARY_API_KEY",
-    "CLOUDINARY_API_SECRET"
+    "CLOUDINARY_API_SECRET",
+    // Other providers can run without Groq, e.g. the mock provider offline
+    ...(config.TRANSCRIPTION_PROVIDER === 'groq' ? ["GROQ_API_KEY"] : []),
 ];
 
 required.forEach((key) => {
@@ -44,4 +63,12 @@ required.forEach((key) => {
     }
 });
 
+if (!config.GROQ_API_KEY) {
+    console.warn('WARNING: GROQ_API_KEY environment variable is not set. Transcripts are not cleaned or summarized.');
+}
+
+if (!config.SHARE_LINK_SECRET) {
+    console.warn('WARNING: SHARE_LINK_SECRET environment variable is not set. Share links are disabled.');
+}
+
 module.exports = config;
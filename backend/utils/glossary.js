@@ -0,0 +1,109 @@
+// glossary.js
+
+// A glossary lists terms that transcription gets wrong (product names, customer names, acronyms).
+// Each entry is { term, variants }: `term` is the correct spelling and `variants` are known wrong
+// spellings that are replaced with it after transcription.
+
+const MAX_ENTRIES = 200;
+const MAX_VARIANTS = 10;
+const MAX_TERM_LENGTH = 100;
+// Whisper only reads the last 224 tokens of its prompt, so the term list is cut off well before that
+const MAX_PROMPT_LENGTH = 600;
+
+/**
+ * Validates a glossary from a request body.
+ *
+ * @param {*} value - The submitted glossary: an array of { term, variants } objects.
+ * @returns {{glossary: Array<{term: string, variants: Array<string>}>, error: string|null}} The cleaned glossary, or an error message.
+ */
+const parseGlossary = (value) => {
+    if (!Array.isArray(value)) {
+        return { glossary: [], error: 'glossary must be an array of { term, variants } entries.' };
+    }
+    if (value.length > MAX_ENTRIES) {
+        return { glossary: [], error: `glossary can have at most ${MAX_ENTRIES} entries.` };
+    }
+
+    const glossary = [];
+    for (const entry of value) {
+        const { term, variants = [] } = entry || {};
+        if (typeof term !== 'string' || !term.trim() || term.trim().length > MAX_TERM_LENGTH) {
+            return { glossary: [], error: `Each glossary entry needs a term of 1 to ${MAX_TERM_LENGTH} characters.` };
+        }
+        if (!Array.isArray(variants) || variants.length > MAX_VARIANTS
+            || variants.some(variant => typeof variant !== 'string' || variant.trim().length > MAX_TERM_LENGTH)) {
+            return { glossary: [], error: `variants of ${term.trim()} must be an array of at most ${MAX_VARIANTS} strings.` };
+        }
+        if (glossary.some(e => e.term.toLowerCase() === term.trim().toLowerCase())) {
+            return { glossary: [], error: `The term ${term.trim()} is listed more than once.` };
+        }
+
+        const cleanVariants = [...new Set(variants.map(variant => variant.trim()).filter(Boolean))]
+            .filter(variant => variant !== term.trim());
+        glossary.push({ term: term.trim(), variants: cleanVariants });
+    }
+    return { glossary, error: null };
+};
+
+/**
+ * Combines glossaries, e.g. a workspace's and a meeting's. When both define a term
+ * (ignoring case), the entry from the later glossary wins.
+ *
+ * @param {...Array<{term: string, variants: Array<string>}>} glossaries - The glossaries, least specific first.
+ * @returns {Array<{term: string, variants: Array<string>}>} The merged glossary.
+ */
+const mergeGlossaries = (...glossaries) => {
+    const entries = new Map();
+    for (const glossary of glossaries) {
+        for (const entry of glossary || []) {
+            entries.set(entry.term.toLowerCase(), { term: entry.term, variants: entry.variants || [] });
+        }
+    }
+    return [...entries.values()];
+};
+
+/**
+ * Builds the Whisper prompt that biases transcription towards the glossary's spellings.
+ *
+ * @param {Array<{term: string}>} glossary - The meeting's glossary.
+ * @returns {string|undefined} The prompt, or undefined for an empty glossary.
+ */
+const buildTranscriptionPrompt = (glossary = []) => {
+    const terms = [];
+    let length = 0;
+    for (const { term } of glossary) {
+        if (length + term.length + 2 > MAX_PROMPT_LENGTH) break;
+        terms.push(term);
+        length += term.length + 2;
+    }
+    return terms.length > 0 ? `Glossary: ${terms.join(', ')}.` : undefined;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Replaces the glossary's known wrong spellings with the correct terms. Variants match
+ * whole words only and ignore case.
+ *
+ * @param {string} text - The transcribed text.
+ * @param {Array<{term: string, variants: Array<string>}>} glossary - The meeting's glossary.
+ * @returns {string} The corrected text.
+ */
+const applyGlossary = (text, glossary = []) => {
+    if (!text) return text;
+    let corrected = text;
+    for (const { term, variants } of glossary) {
+        for (const variant of variants || []) {
+            const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(variant)}(?![\\p{L}\\p{N}])`, 'giu');
+            corrected = corrected.replace(pattern, () => term);
+        }
+    }
+    return corrected;
+};
+
+module.exports = {
+    parseGlossary,
+    mergeGlossaries,
+    buildTranscriptionPrompt,
+    applyGlossary,
+};
@@ -0,0 +1,93 @@
+// languages.js
+
+// Requesting 'auto' lets Whisper detect the language of each audio chunk
+const AUTO_LANGUAGE = 'auto';
+
+const DEFAULT_LANGUAGE = 'en';
+
+// ISO-639-1 codes of the languages Whisper can transcribe, with their English names
+const LANGUAGES = {
+    af: 'Afrikaans', am: 'Amharic', ar: 'Arabic', as: 'Assamese', az: 'Azerbaijani',
+    ba: 'Bashkir', be: 'Belarusian', bg: 'Bulgarian', bn: 'Bengali', bo: 'Tibetan',
+    br: 'Breton', bs: 'Bosnian', ca: 'Catalan', cs: 'Czech', cy: 'Welsh',
+    da: 'Danish', de: 'German', el: 'Greek', en: 'English', es: 'Spanish',
+    et: 'Estonian', eu: 'Basque', fa: 'Persian', fi: 'Finnish', fo: 'Faroese',
+    fr: 'French', gl: 'Galician', gu: 'Gujarati', ha: 'Hausa', haw: 'Hawaiian',
+    he: 'Hebrew', hi: 'Hindi', hr: 'Croatian', ht: 'Haitian Creole', hu: 'Hungarian',
+    hy: 'Armenian', id: 'Indonesian', is: 'Icelandic', it: 'Italian', ja: 'Japanese',
+    jw: 'Javanese', ka: 'Georgian', kk: 'Kazakh', km: 'Khmer', kn: 'Kannada',
+    ko: 'Korean', la: 'Latin', lb: 'Luxembourgish', ln: 'Lingala', lo: 'Lao',
+    lt: 'Lithuanian', lv: 'Latvian', mg: 'Malagasy', mi: 'Maori', mk: 'Macedonian',
+    ml: 'Malayalam', mn: 'Mongolian', mr: 'Marathi', ms: 'Malay', mt: 'Maltese',
+    my: 'Burmese', ne: 'Nepali', nl: 'Dutch', nn: 'Norwegian Nynorsk', no: 'Norwegian',
+    oc: 'Occitan', pa: 'Punjabi', pl: 'Polish', ps: 'Pashto', pt: 'Portuguese',
+    ro: 'Romanian', ru: 'Russian', sa: 'Sanskrit', sd: 'Sindhi', si: 'Sinhala',
+    sk: 'Slovak', sl: 'Slovenian', sn: 'Shona', so: 'Somali', sq: 'Albanian',
+    sr: 'Serbian', su: 'Sundanese', sv: 'Swedish', sw: 'Swahili', ta: 'Tamil',
+    te: 'Telugu', tg: 'Tajik', th: 'Thai', tk: 'Turkmen', tl: 'Tagalog',
+    tr: 'Turkish', tt: 'Tatar', uk: 'Ukrainian', ur: 'Urdu', uz: 'Uzbek',
+    vi: 'Vietnamese', yi: 'Yiddish', yo: 'Yoruba', yue: 'Cantonese', zh: 'Chinese',
+};
+
+/**
+ * Turns a language code or English name (as Whisper reports detected languages) into a code.
+ *
+ * @param {string} value - e.g. 'de', 'DE' or 'german'.
+ * @returns {string|null} The ISO-639-1 code, or null if the language is not supported.
+ */
+const normalizeLanguage = (value) => {
+    const key = String(value || '').trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(LANGUAGES, key)) return key;
+    const code = Object.keys(LANGUAGES).find(c => LANGUAGES[c].toLowerCase() === key);
+    return code || null;
+};
+
+/**
+ * The language a meeting's text is in: the one it was started with, or the one detected
+ * from its audio when it was started with 'auto'.
+ *
+ * @param {Object} [meeting] - The meeting from getMeetingInfo.
+ * @returns {string|null} The ISO-639-1 code, or null while an 'auto' meeting has no detected language yet.
+ */
+const getMeetingLanguage = (meeting) => {
+    if (!meeting) return null;
+    if (!meeting.language) return DEFAULT_LANGUAGE; // meetings started before languages were configurable
+    if (meeting.language === AUTO_LANGUAGE) return meeting.detectedLanguage || null;
+    return meeting.language;
+};
+
+/**
+ * Whether a meeting's audio is also translated into English. Meetings that turn out
+ * to be in English are not, since the transcript already is.
+ *
+ * @param {Object} [meeting] - The meeting from getMeetingInfo.
+ * @returns {boolean}
+ */
+const shouldTranslate = (meeting) => !!(meeting && meeting.translateToEnglish && getMeetingLanguage(meeting) !== 'en');
+
+/**
+ * Which version of the cleaned transcript the shared notes (summary, chapters) are built from.
+ *
+ * @param {Object} [meeting] - The meeting from getMeetingInfo.
+ * @returns {string} 'translation' for translated meetings, otherwise 'original'.
+ */
+const getNotesVariant = (meeting) => (shouldTranslate(meeting) ? 'translation' : 'original');
+
+/**
+ * The English name of a language code, for prompts.
+ *
+ * @param {string} code - An ISO-639-1 code.
+ * @returns {string|null} The name, or null if unknown.
+ */
+const getLanguageName = (code) => (code && LANGUAGES[code]) || null;
+
+module.exports = {
+    AUTO_LANGUAGE,
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    normalizeLanguage,
+    getMeetingLanguage,
+    shouldTranslate,
+    getNotesVariant,
+    getLanguageName,
+};
@@ -0,0 +1,61 @@
+// meetingMetadata.js
+
+// The user-editable descriptive fields of a meeting
+const MEETING_METADATA_FIELDS = ['title', 'sourceUrl', 'sourceTitle', 'participants', 'tags'];
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_LIST_LENGTH = 100;
+
+// Normalises a list field: accepts an array or a comma-separated string, trims and de-duplicates
+const parseList = (value) => {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+};
+
+/**
+ * Picks and validates the meeting metadata fields from a request body.
+ * Fields that are absent are left out, so the result can be used for partial updates.
+ *
+ * @param {Object} body - The request body.
+ * @returns {{metadata: Object, error: string|null}} The cleaned fields, or an error message.
+ */
+const parseMeetingMetadata = (body = {}) => {
+    const metadata = {};
+
+    for (const field of ['title', 'sourceUrl', 'sourceTitle']) {
+        if (body[field] === undefined) continue;
+        if (body[field] !== null && typeof body[field] !== 'string') {
+            return { metadata, error: `${field} must be a string.` };
+        }
+        const value = (body[field] || '').trim();
+        if (value.length > MAX_TEXT_LENGTH) {
+            return { metadata, error: `${field} must be at most ${MAX_TEXT_LENGTH} characters.` };
+        }
+        metadata[field] = value;
+    }
+
+    if (metadata.sourceUrl) {
+        try {
+            new URL(metadata.sourceUrl);
+        } catch (e) {
+            return { metadata, error: 'sourceUrl must be a valid URL.' };
+        }
+    }
+
+    for (const field of ['participants', 'tags']) {
+        if (body[field] === undefined) continue;
+        const list = body[field] === null ? [] : parseList(body[field]);
+        if (list.length > MAX_LIST_LENGTH) {
+            return { metadata, error: `${field} can have at most ${MAX_LIST_LENGTH} entries.` };
+        }
+        // Tags are matched exactly in filters, so keep them case-insensitive
+        metadata[field] = field === 'tags' ? [...new Set(list.map(tag => tag.toLowerCase()))] : list;
+    }
+
+    return { metadata, error: null };
+};
+
+module.exports = {
+    MEETING_METADATA_FIELDS,
+    parseMeetingMetadata,
+};
@@ -0,0 +1,187 @@
+// meetingTemplates.js
+
+// A template decides how a meeting is processed:
+//   - cleaningRules: extra rules appended to the clean() prompt
+//   - summarySections: the lists the post-meeting summary is made of, besides the
+//     executive summary and action items that every summary has
+//   - chatPersona: the opening of the chat assistant's system instruction
+
+const DEFAULT_TEMPLATE_ID = 'general';
+
+const DEFAULT_CHAT_PERSONA = 'You are a helpful assistant for a meeting management application.';
+
+const BUILT_IN_TEMPLATES = {
+    general: {
+        name: 'General meeting',
+        cleaningRules: [],
+        summarySections: [
+            { key: 'key_decisions', title: 'Key decisions', description: 'decision that was actually made' },
+            { key: 'open_questions', title: 'Open questions', description: 'question or issue left unresolved' },
+        ],
+        chatPersona: DEFAULT_CHAT_PERSONA,
+    },
+    standup: {
+        name: 'Daily standup',
+        cleaningRules: [
+            'Keep each update (what was done, what is planned, what is blocking) together in one chunk where possible.',
+            'Keep ticket numbers, branch names and other identifiers exactly as spoken.',
+        ],
+        summarySections: [
+            { key: 'progress', title: 'Progress', description: 'piece of work reported as done since the last standup' },
+            { key: 'plans', title: 'Plans', description: 'piece of work someone plans to do next' },
+            { key: 'blockers', title: 'Blockers', description: 'blocker or impediment that was raised' },
+        ],
+        chatPersona: 'You are an assistant for a team\'s daily standup. Focus on who is working on what, progress and blockers.',
+    },
+    interview: {
+        name: 'Customer interview',
+        cleaningRules: [
+            'Preserve the interviewee\'s own wording for opinions, complaints and requests; do not make them sound stronger or weaker.',
+            'Keep each question in the same chunk as its answer.',
+        ],
+        summarySections: [
+            { key: 'pain_points', title: 'Pain points', description: 'problem or frustration the interviewee described' },
+            { key: 'feature_requests', title: 'Feature requests', description: 'capability the interviewee asked for or wished for' },
+            { key: 'notable_quotes', title: 'Notable quotes', description: 'short verbatim quote worth keeping, in quotation marks' },
+            { key: 'insights', title: 'Insights', description: 'takeaway about the interviewee\'s needs or behaviour' },
+        ],
+        chatPersona: 'You are a user-research assistant analysing a customer interview. Ground every claim in what the interviewee actually said.',
+    },
+    'one-on-one': {
+        name: '1:1',
+        cleaningRules: [
+            'Keep feedback, in either direction, in its own chunk together with its context.',
+        ],
+        summarySections: [
+            { key: 'feedback', title: 'Feedback', description: 'piece of feedback given, in either direction' },
+            { key: 'concerns', title: 'Concerns', description: 'concern or worry that was raised' },
+            { key: 'growth', title: 'Growth and career', description: 'career or development topic that was discussed' },
+        ],
+        chatPersona: 'You are an assistant helping a manager and their report follow up on a one-on-one. Be factual and discreet about personal topics.',
+    },
+    sales: {
+        name: 'Sales call',
+        cleaningRules: [
+            'Keep prices, discounts, quantities, dates and competitor names exactly as spoken.',
+        ],
+        summarySections: [
+            { key: 'customer_needs', title: 'Customer needs', description: 'need or goal the customer described' },
+            { key: 'objections', title: 'Objections', description: 'objection or hesitation the customer raised' },
+            { key: 'budget_and_timeline', title: 'Budget and timeline', description: 'fact about budget, pricing, timeline or decision process' },
+            { key: 'competitors', title: 'Competitors', description: 'competitor or alternative that was mentioned, with context' },
+        ],
+        chatPersona: 'You are a sales assistant reviewing a customer call. Focus on the customer\'s needs, objections, budget, timeline and the path to closing the deal.',
+    },
+};
+
+const MAX_NAME_LENGTH = 100;
+const MAX_RULES = 20;
+const MAX_SECTIONS = 10;
+const MAX_TEXT_LENGTH = 500;
+const MAX_PERSONA_LENGTH = 2000;
+// Section keys become JSON keys in the summary prompt
+const SECTION_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const RESERVED_SECTION_KEYS = ['executive_summary', 'action_items'];
+
+/**
+ * Returns the snapshot of a built-in template that is stored on a meeting.
+ *
+ * @param {string} [id='general'] - The built-in template id.
+ * @returns {Object|null} The template, or null if there is no built-in with that id.
+ */
+const getBuiltInTemplate = (id = DEFAULT_TEMPLATE_ID) => {
+    if (!Object.prototype.hasOwnProperty.call(BUILT_IN_TEMPLATES, id)) return null;
+    return { id, builtIn: true, ...BUILT_IN_TEMPLATES[id] };
+};
+
+/**
+ * Resolves the template of a meeting, falling back to the default for meetings
+ * started before templates existed.
+ *
+ * @param {Object} [meeting] - The meeting from getMeetingInfo.
+ * @returns {Object} The template.
+ */
+const getMeetingTemplate = (meeting) => (meeting && meeting.template && meeting.template.id)
+    ? meeting.template
+    : getBuiltInTemplate(DEFAULT_TEMPLATE_ID);
+
+/**
+ * Picks and validates the fields of a user-defined template from a request body.
+ * Fields that are absent are left out, so the result can be used for partial updates.
+ *
+ * @param {Object} body - The request body.
+ * @returns {{template: Object, error: string|null}} The cleaned fields, or an error message.
+ */
+const parseTemplateDefinition = (body = {}) => {
+    const template = {};
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { template, error: 'name must be a non-empty string.' };
+        }
+        if (body.name.trim().length > MAX_NAME_LENGTH) {
+            return { template, error: `name must be at most ${MAX_NAME_LENGTH} characters.` };
+        }
+        template.name = body.name.trim();
+    }
+
+    if (body.cleaningRules !== undefined) {
+        if (!Array.isArray(body.cleaningRules) || body.cleaningRules.some(rule => typeof rule !== 'string')) {
+            return { template, error: 'cleaningRules must be an array of strings.' };
+        }
+        const rules = body.cleaningRules.map(rule => rule.trim()).filter(Boolean);
+        if (rules.length > MAX_RULES) {
+            return { template, error: `cleaningRules can have at most ${MAX_RULES} entries.` };
+        }
+        if (rules.some(rule => rule.length > MAX_TEXT_LENGTH)) {
+            return { template, error: `Each cleaning rule must be at most ${MAX_TEXT_LENGTH} characters.` };
+        }
+        template.cleaningRules = rules;
+    }
+
+    if (body.summarySections !== undefined) {
+        if (!Array.isArray(body.summarySections) || body.summarySections.length > MAX_SECTIONS) {
+            return { template, error: `summarySections must be an array of at most ${MAX_SECTIONS} sections.` };
+        }
+        const sections = [];
+        for (const section of body.summarySections) {
+            const { key, title, description } = section || {};
+            if (typeof key !== 'string' || !SECTION_KEY_PATTERN.test(key) || RESERVED_SECTION_KEYS.includes(key)) {
+                return { template, error: 'Each section needs a key of lowercase letters, digits and underscores (not executive_summary or action_items).' };
+            }
+            if (sections.some(s => s.key === key)) {
+                return { template, error: `Section key ${key} is used more than once.` };
+            }
+            if (typeof title !== 'string' || !title.trim() || typeof description !== 'string' || !description.trim()) {
+                return { template, error: `Section ${key} needs a title and a description.` };
+            }
+            if (title.trim().length > MAX_NAME_LENGTH || description.trim().length > MAX_TEXT_LENGTH) {
+                return { template, error: `Section ${key} has a title or description that is too long.` };
+            }
+            sections.push({ key, title: title.trim(), description: description.trim() });
+        }
+        template.summarySections = sections;
+    }
+
+    if (body.chatPersona !== undefined) {
+        if (body.chatPersona !== null && typeof body.chatPersona !== 'string') {
+            return { template, error: 'chatPersona must be a string.' };
+        }
+        const persona = (body.chatPersona || '').trim();
+        if (persona.length > MAX_PERSONA_LENGTH) {
+            return { template, error: `chatPersona must be at most ${MAX_PERSONA_LENGTH} characters.` };
+        }
+        template.chatPersona = persona || DEFAULT_CHAT_PERSONA;
+    }
+
+    return { template, error: null };
+};
+
+module.exports = {
+    DEFAULT_TEMPLATE_ID,
+    DEFAULT_CHAT_PERSONA,
+    BUILT_IN_TEMPLATES,
+    getBuiltInTemplate,
+    getMeetingTemplate,
+    parseTemplateDefinition,
+};
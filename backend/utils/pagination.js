@@ -0,0 +1,27 @@
+// pagination.js
+
+// Cursors are opaque to clients: base64url of "<createdAt ISO>|<_id>"
+
+/**
+ * Encodes the position after which the next page starts.
+ * @param {{createdAt: Date, id: string}} cursor - The last item of the page.
+ * @returns {string} The cursor to hand to the client.
+ */
+const encodeCursor = (cursor) => Buffer.from(`${cursor.createdAt.toISOString()}|${cursor.id}`).toString('base64url');
+
+/**
+ * Decodes a cursor from a query string.
+ * @param {*} value - The cursor the client sent back.
+ * @returns {{createdAt: Date, id: string}|null} The position, or null if the cursor is not valid.
+ */
+const decodeCursor = (value) => {
+    const [createdAt, id] = Buffer.from(String(value), 'base64url').toString('utf8').split('|');
+    const date = new Date(createdAt);
+    if (!id || !/^[a-f0-9]{24}$/i.test(id) || isNaN(date.getTime())) return null;
+    return { createdAt: date, id };
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+};
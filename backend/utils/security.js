@@ -0,0 +1,88 @@
+// security.js
+const crypto = require('crypto');
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hashes a plain-text password with scrypt and a random salt.
+ * @param {string} password The plain-text password.
+ * @returns {Promise<string>} The salt and hash joined as "salt:hash".
+ */
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, derivedKey) => {
+            if (err) return reject(err);
+            resolve(`${salt}:${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+/**
+ * Checks a plain-text password against a hash produced by hashPassword.
+ * @param {string} password The plain-text password to check.
+ * @param {string} storedHash The stored "salt:hash" string.
+ * @returns {Promise<boolean>} True if the password matches.
+ */
+function verifyPassword(password, storedHash) {
+    return new Promise((resolve, reject) => {
+        const [salt, hash] = (storedHash || '').split(':');
+        if (!salt || !hash) return resolve(false);
+
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, derivedKey) => {
+            if (err) return reject(err);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+/**
+ * Generates a random, URL-safe token.
+ * @param {number} [bytes=32] The number of random bytes.
+ * @returns {string} The token.
+ */
+function generateToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hashes a token with SHA-256 so it can be stored and looked up without keeping the raw value.
+ * @param {string} token The raw token.
+ * @returns {string} The hex digest.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Signs a value with HMAC-SHA256.
+ * @param {string} value The value to sign.
+ * @param {string} secret The signing secret.
+ * @returns {string} The base64url signature.
+ */
+function signValue(value, secret) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+/**
+ * Checks an HMAC-SHA256 signature in constant time.
+ * @param {string} value The signed value.
+ * @param {string} signature The signature to check.
+ * @param {string} secret The signing secret.
+ * @returns {boolean} True if the signature is valid.
+ */
+function verifySignature(value, signature, secret) {
+    const expected = Buffer.from(signValue(value, secret));
+    const actual = Buffer.from(String(signature || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    hashToken,
+    signValue,
+    verifySignature,
+};
@@ -0,0 +1,18 @@
+// timestamps.js
+
+/**
+ * Formats seconds from the start of a meeting as m:ss or h:mm:ss.
+ * @param {number} seconds - The offset in seconds.
+ * @returns {string} The timestamp.
+ */
+const formatTimestamp = (seconds) => {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+module.exports = {
+    formatTimestamp,
+};
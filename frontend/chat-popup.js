@@ -146,23 +146,32 @@ class ChatInterface {
         this.currentStreamingMessage = bubbleDiv;
         this.scrollToBottom();
 
-        const API_URL = 'http://localhost:3000/api/chat/stream';
-        
         try {
             const result = await chrome.storage.local.get('jobId');
             const jobId = result.jobId;
-            
+
+            if (!jobId) {
+                throw new Error('No meeting found. Please start a recording first.');
+            }
+
+            const API_URL = `http://localhost:3000/api/meetings/${encodeURIComponent(jobId)}/chat/stream`;
+            const { sessionToken } = await chrome.storage.local.get('sessionToken');
+
             const response = await fetch(API_URL, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...(sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {}),
                 },
+                credentials: 'include',
                 body: JSON.stringify({
                     userPrompt: userMessage,
-                    jobId: jobId || "default",
                 })
             });
 
+            if (response.status === 401) {
+                throw new Error('You are not logged in. Please log in from the Concize popup and try again.');
+            }
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -1,11 +1,25 @@
 let recorder;
 let data = [];
 let activeStreams = [];
+// The meeting being recorded; offscreen documents can't read chrome.storage, so the popup sends it
+let currentJobId;
+// The session token from the popup's login, sent with every upload
+let sessionToken;
+// Uploads of the meeting are numbered, with where each starts in the meeting, so the backend keeps them in order
+let uploadSequence = 0;
+let meetingStartedAt;
+let recordingStartedAt;
 
 chrome.runtime.onMessage.addListener(async (message) => {
   if (message.target === "offscreen") {
     switch (message.type) {
       case "start-recording":
+        if (message.jobId !== currentJobId) {
+          uploadSequence = 0;
+          meetingStartedAt = Date.now();
+        }
+        currentJobId = message.jobId;
+        sessionToken = message.sessionToken;
         startRecording(message.data);
         break;
       case "stop-recording":
@@ -55,6 +69,12 @@ async function startRecording(streamId) {
     const tabSource = audioContext.createMediaStreamSource(tabStream);
     const micSource = audioContext.createMediaStreamSource(micStream);
     const destination = audioContext.createMediaStreamDestination();
+    destination.channelCount = 2;
+
+    // Keep the speakers apart: mic on the left channel, tab on the right, so the backend can label who spoke.
+    // Each merger input is downmixed to mono.
+    const merger = audioContext.createChannelMerger(2);
+    merger.connect(destination);
 
     // Create gain nodes
     const tabGain = audioContext.createGain();
@@ -67,11 +87,11 @@ async function startRecording(streamId) {
     // Connect tab audio to both speakers and recorder
     tabSource.connect(tabGain);
     tabGain.connect(audioContext.destination);
-    tabGain.connect(destination);
+    tabGain.connect(merger, 0, 1);
 
     // Connect mic to recorder only (prevents echo)
     micSource.connect(micGain);
-    micGain.connect(destination);
+    micGain.connect(merger, 0, 0);
 
     // Force WebM output
     const mimeType = "audio/webm";
@@ -86,13 +106,25 @@ async function startRecording(streamId) {
       // Send the audio blob to the backend
       const formData = new FormData();
       formData.append('audio', audioBlob, `recording-${new Date().toISOString()}.${extension}`);
+      formData.append('channelLayout', 'local-remote');
+      formData.append('sequence', String(uploadSequence++));
+      formData.append('offsetSeconds', String((recordingStartedAt - meetingStartedAt) / 1000));
 
       try {
-        const response = await fetch('http://localhost:3000/api/audios/', {
+        const response = await fetch(`http://localhost:3000/api/meetings/${encodeURIComponent(currentJobId)}/audio`, {
           method: 'POST',
           body: formData,
+          headers: sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {},
+          credentials: 'include',
         });
 
+        if (response.status === 401) {
+          // The popup shows the login form again
+          chrome.runtime.sendMessage({
+            type: "session-expired",
+            target: "popup",
+          });
+        }
         if (!response.ok) {
           const errorText = await response.text();
           throw new Error(`Failed to upload audio: ${response.status} ${errorText}`);
@@ -119,6 +151,7 @@ async function startRecording(streamId) {
     };
 
     recorder.start();
+    recordingStartedAt = Date.now();
     window.location.hash = "recording";
 
     chrome.runtime.sendMessage({
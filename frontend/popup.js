@@ -9,6 +9,24 @@ const toggleButtonWrapper = document.getElementById("toggleButtonWrapper");
 const getTranscriptionButton = document.getElementById("getTranscriptionButton");
 const transcriptionDisplayArea = document.getElementById("transcriptionDisplayArea");
 const transcriptionTextContent = document.getElementById("transcriptionTextContent");
+const loginForm = document.getElementById("loginForm");
+const loginEmailInput = document.getElementById("loginEmail");
+const loginPasswordInput = document.getElementById("loginPassword");
+const loginButton = document.getElementById("loginButton");
+const appSection = document.getElementById("appSection");
+const accountEmailSpan = document.getElementById("accountEmail");
+const logoutButton = document.getElementById("logoutButton");
+
+/**
+ * Builds the headers for a backend request, adding the session token saved at login.
+ * The backend also sets a session cookie, but the offscreen document uploads with the token.
+ * @param {Object} headers - Other headers to send.
+ * @returns {Promise<Object>} The headers.
+ */
+async function getAuthHeaders(headers = {}) {
+    const { sessionToken } = await chrome.storage.local.get('sessionToken');
+    return sessionToken ? { ...headers, Authorization: `Bearer ${sessionToken}` } : headers;
+}
 
 /**
  * Displays a general status message to the user.
@@ -50,6 +68,66 @@ function hidePermissionMessage() {
     permissionStatusDiv.textContent = "";
 }
 
+/**
+ * Shows the login form and hides everything that needs a session.
+ * @param {string} [message] - Why the user has to log in, e.g. an expired session.
+ */
+function showLoggedOutState(message) {
+    appSection.classList.add("hidden");
+    loginForm.classList.remove("hidden");
+    hidePermissionMessage();
+    if (message) {
+        showStatusMessage(message, true);
+    } else {
+        hideStatusMessage();
+    }
+}
+
+/**
+ * Hides the login form and shows the recording controls for the signed-in user.
+ * @param {{email: string}} [user] - The user from the backend.
+ */
+function showLoggedInState(user) {
+    loginForm.classList.add("hidden");
+    appSection.classList.remove("hidden");
+    accountEmailSpan.textContent = user ? user.email : "";
+}
+
+/**
+ * Forgets the stored session after the backend answered 401 and asks the user to log in again.
+ * @param {string} [message] - The message to show.
+ */
+async function handleUnauthenticated(message = "Your session has expired. Please log in again.") {
+    await chrome.storage.local.remove(['sessionToken', 'user']);
+    showLoggedOutState(message);
+}
+
+/**
+ * Asks the backend who is logged in and shows the matching state.
+ * @returns {Promise<boolean>} True if the user is logged in.
+ */
+async function checkAuthState() {
+    try {
+        const response = await fetch('http://localhost:3000/api/auth/me', {
+            headers: await getAuthHeaders(),
+            credentials: 'include',
+        });
+        if (response.status === 401) {
+            await chrome.storage.local.remove(['sessionToken', 'user']);
+            showLoggedOutState();
+            return false;
+        }
+        const data = await response.json();
+        showLoggedInState(data.user);
+        return true;
+    } catch (error) {
+        // The server is unreachable; keep the stored session and let the buttons report errors
+        const { user } = await chrome.storage.local.get('user');
+        showLoggedInState(user);
+        return true;
+    }
+}
+
 /**
  * Updates the worker status text and badge color.
  * @param {'Stopped' | 'Recording' | 'Running'} status - The new status.
@@ -80,6 +158,7 @@ function updateUIForRecording(isRecording) {
 
         // Update worker status
         updateWorkerStatus('Recording');
+        logoutButton.disabled = true;
     } else {
         // Show start button, hide stop button
         stopButton.classList.remove("visible");
@@ -94,6 +173,7 @@ function updateUIForRecording(isRecording) {
 
         // Update worker status
         updateWorkerStatus('Stopped');
+        logoutButton.disabled = false;
     }
 }
 
@@ -142,8 +222,63 @@ async function checkRecordingState() {
     updateUIForRecording(isCurrentlyRecording);
 }
 
-// Call checkRecordingState when popup opens
-document.addEventListener("DOMContentLoaded", checkRecordingState);
+// Check the session, then the recording state, when popup opens
+document.addEventListener("DOMContentLoaded", async () => {
+    if (await checkAuthState()) {
+        await checkRecordingState();
+    }
+});
+
+// Log in and keep the session token for later requests
+loginForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    hideStatusMessage();
+    loginButton.disabled = true;
+
+    try {
+        const response = await fetch('http://localhost:3000/api/auth/login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({
+                email: loginEmailInput.value.trim(),
+                password: loginPasswordInput.value,
+            }),
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            showStatusMessage(data.message || `Login failed with status ${response.status}.`, true);
+            return;
+        }
+        await chrome.storage.local.set({ sessionToken: data.token, user: data.user });
+        loginPasswordInput.value = "";
+        showLoggedInState(data.user);
+        await checkRecordingState();
+    } catch (error) {
+        showStatusMessage("Failed to log in: " + error.message, true);
+    } finally {
+        loginButton.disabled = false;
+    }
+});
+
+// Log out; disabled while recording so uploads keep their session
+logoutButton.addEventListener("click", async () => {
+    try {
+        await fetch('http://localhost:3000/api/auth/logout', {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            credentials: 'include',
+        });
+    } catch (error) {
+        console.error("Error logging out:", error);
+    }
+    await chrome.storage.local.remove(['sessionToken', 'user', 'jobId']);
+    transcriptionDisplayArea.classList.add('hidden');
+    showLoggedOutState();
+});
 
 // Add button click listeners
 startButton.addEventListener("click", async () => {
@@ -156,20 +291,6 @@ startButton.addEventListener("click", async () => {
     }
 
     try {
-        // Call the meeting/start API to get a jobId
-        const startMeetingResponse = await fetch('http://localhost:3000/api/meeting/start', {
-            method: 'POST',
-        });
-        const startMeetingData = await startMeetingResponse.json();
-
-        if (!startMeetingData.success) {
-            showStatusMessage(`Failed to start meeting session: ${startMeetingData.message}`, true);
-            updateUIForRecording(false); // Revert UI if meeting session can't start
-            return;
-        }
-        console.log(`Meeting session started with jobId: ${startMeetingData.jobId}`);
-        await chrome.storage.local.set({ jobId: startMeetingData.jobId });
-
         const [tab] = await chrome.tabs.query({
             active: true,
             currentWindow: true,
@@ -186,6 +307,34 @@ startButton.addEventListener("click", async () => {
             return;
         }
 
+        // Call the meeting/start API to get a jobId, recording which tab the meeting came from
+        const startMeetingResponse = await fetch('http://localhost:3000/api/meeting/start', {
+            method: 'POST',
+            headers: await getAuthHeaders({
+                'Content-Type': 'application/json',
+            }),
+            credentials: 'include',
+            body: JSON.stringify({
+                title: tab.title,
+                sourceUrl: tab.url,
+                sourceTitle: tab.title,
+            }),
+        });
+        if (startMeetingResponse.status === 401) {
+            updateUIForRecording(false);
+            await handleUnauthenticated();
+            return;
+        }
+        const startMeetingData = await startMeetingResponse.json();
+
+        if (!startMeetingData.success) {
+            showStatusMessage(`Failed to start meeting session: ${startMeetingData.message}`, true);
+            updateUIForRecording(false); // Revert UI if meeting session can't start
+            return;
+        }
+        console.log(`Meeting session started with jobId: ${startMeetingData.jobId}`);
+        await chrome.storage.local.set({ jobId: startMeetingData.jobId });
+
         // Update UI immediately to show recording state
         updateUIForRecording(true);
 
@@ -210,6 +359,9 @@ startButton.addEventListener("click", async () => {
             type: "start-recording",
             target: "offscreen",
             data: streamId,
+            jobId: startMeetingData.jobId,
+            // Offscreen documents can't read chrome.storage
+            sessionToken: (await chrome.storage.local.get('sessionToken')).sessionToken,
         });
 
     } catch (error) {
@@ -247,14 +399,19 @@ getTranscriptionButton.addEventListener("click", async () => {
 
         showStatusMessage("Fetching transcription...");
 
-        const response = await fetch(`http://localhost:3000/api/transcription`, {
+        const response = await fetch(`http://localhost:3000/api/meetings/${encodeURIComponent(jobId)}/transcription`, {
             method: 'GET',
-            headers: {
+            headers: await getAuthHeaders({
                 'Content-Type': 'application/json',
-            },
+            }),
             credentials: 'include',
         });
 
+        if (response.status === 401) {
+            await handleUnauthenticated();
+            return;
+        }
+
         if (!response.ok) {
             const errorData = await response.json();
             throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
@@ -306,6 +463,10 @@ chrome.runtime.onMessage.addListener((message) => {
             case "recording-stopped":
                 updateUIForRecording(false); // Ensure UI is reset to stopped
                 break;
+            case "session-expired":
+                updateUIForRecording(false);
+                handleUnauthenticated();
+                break;
         }
     }
 });
\ No newline at end of file